@@ -0,0 +1,126 @@
+// =============================================================================
+// Admin Layout
+//
+// The frame of the /admin pages: the theme tokens (the default light/dark
+// theme, following the system setting), a title bar with a "Sign out"
+// button, and the page content.
+// =============================================================================
+
+// Import Head to set the title and keep the admin pages out of search engines.
+import Head from "next/head";
+// Import the theme tokens (see lib/theme.js).
+import { buildThemeCss, themeVar } from "../lib/theme";
+
+// The root class that carries the theme's custom properties.
+const THEME_CLASS = "chai-admin";
+
+/**
+ * Signs out (clears the admin session cookie) and goes back to the sign-in form.
+ */
+const signOut = async () => {
+  await fetch("/api/admin/session", { method: "DELETE" });
+  window.location.href = "/admin";
+};
+
+/**
+ * AdminLayout renders the frame around an admin page.
+ *
+ * @param {Object} props
+ * @param {string} props.title - The page title.
+ * @param {boolean} [props.signedIn] - Shows the "Sign out" button.
+ * @param {React.ReactNode} props.children - The page content.
+ * @returns {JSX.Element} The rendered page.
+ */
+export default function AdminLayout({ title, signedIn = false, children }) {
+  return (
+    <div
+      className={THEME_CLASS}
+      style={{
+        minHeight: "100vh",
+        padding: "24px",
+        boxSizing: "border-box",
+        background: themeVar("surfaceColor"),
+        color: themeVar("textColor"),
+        fontFamily: themeVar("fontFamily"),
+        fontSize: themeVar("fontSize"),
+      }}
+    >
+      <Head>
+        <title>{`${title} · Admin`}</title>
+        <meta name="robots" content="noindex" />
+      </Head>
+      <style dangerouslySetInnerHTML={{ __html: buildThemeCss({ mode: "auto" }, `.${THEME_CLASS}`) }} />
+
+      <div style={{ maxWidth: "1080px", margin: "0 auto", display: "flex", flexDirection: "column", gap: "16px" }}>
+        {/* TITLE BAR */}
+        <div style={{ display: "flex", alignItems: "center", gap: "12px" }}>
+          <a href="/admin" style={{ color: themeVar("subtleTextColor"), textDecoration: "none" }}>
+            Admin
+          </a>
+          <h1 style={{ flex: "1", margin: 0, fontSize: "20px", fontWeight: 700 }}>{title}</h1>
+          {signedIn && (
+            <button
+              type="button"
+              onClick={signOut}
+              style={{
+                padding: "4px 10px",
+                borderRadius: themeVar("controlRadius"),
+                border: `1px solid ${themeVar("borderColor")}`,
+                background: themeVar("controlColor"),
+                color: themeVar("mutedTextColor"),
+                fontFamily: themeVar("fontFamily"),
+                fontSize: "12px",
+                cursor: "pointer",
+              }}
+            >
+              Sign out
+            </button>
+          )}
+        </div>
+
+        {children}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * A card around one section of an admin page.
+ *
+ * @param {Object} props
+ * @param {string} props.title - The section title.
+ * @param {React.ReactNode} props.children - The section content.
+ * @returns {JSX.Element} The rendered card.
+ */
+export const AdminCard = ({ title, children }) => (
+  <section
+    style={{
+      padding: "16px",
+      borderRadius: themeVar("cardRadius"),
+      border: `1px solid ${themeVar("cardBorderColor")}`,
+      background: themeVar("backgroundColor"),
+      overflowX: "auto",
+    }}
+  >
+    <h2 style={{ margin: "0 0 12px 0", fontSize: "16px", fontWeight: 700 }}>{title}</h2>
+    {children}
+  </section>
+);
+
+// Styles for the tables on the admin pages.
+export const tableStyles = {
+  table: { width: "100%", borderCollapse: "collapse" },
+  th: {
+    padding: "6px 8px",
+    textAlign: "left",
+    borderBottom: `1px solid ${themeVar("borderColor")}`,
+    color: themeVar("subtleTextColor"),
+    fontWeight: 700,
+    fontSize: "12px",
+  },
+  td: {
+    padding: "6px 8px",
+    borderBottom: `1px solid ${themeVar("cardBorderColor")}`,
+    verticalAlign: "top",
+  },
+};
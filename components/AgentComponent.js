@@ -0,0 +1,2332 @@
+// =============================================================================
+// Chat Agent with User & Agent Bubbles (React + Vercel)
+//
+// This React component renders a chat interface where users can type messages
+// and receive responses from an agent via a serverless API endpoint on Vercel.
+// Messages are displayed in styled chat bubbles to clearly differentiate between
+// user messages (right-aligned) and agent messages (left-aligned).
+//
+// Key Features:
+// - Maintains a conversation history.
+// - Displays each message in a styled bubble.
+// - Sends user messages to the API and appends the agent's response to the chat, rendered as
+//   Markdown with tables, highlighted code blocks and links that open in a new tab.
+// - Streams the agent's reply token-by-token when the flow supports streaming.
+// - Sends like/dislike feedback (with an optional dislike reason) to /api/feedback.
+// - Keeps several chat threads in localStorage, each with its own session
+//   and its own unsent draft.
+// - Grows the message box with its text: Enter sends, Shift+Enter adds a new
+//   line and the Up arrow brings back earlier messages of the thread.
+// - Lets the visitor attach images, PDFs and text files (button, drag-and-drop
+//   or paste), sent to the proxy as a multipart upload (see lib/attachments.js).
+// - Renders any persona: every text, pill, size and color comes from its config
+//   (see lib/configSchema.js), so a new persona needs no JSX edits.
+// - Fills the whole window when loaded with ?embed=1 (used by public/embed.js).
+// - Talks to the page embedding it through a postMessage bridge (lib/bridge.js).
+// - Shows a cooldown (and disables sending) when the proxy rate-limits the visitor.
+// - Lets the visitor stop a pending reply; gives up on replies that never start.
+// - Automatically scrolls to the latest message in a scrollable parent container.
+// - Animates the submit button while the agent is "thinking".
+// - Provides detailed comments for ease of understanding.
+//
+// Author: Thomas J McLeish
+// Date: March 2, 2025
+// =============================================================================
+
+// Import React hooks for managing state and side effects.
+import { Fragment, useState, useEffect, useRef } from "react";
+// Import the router to read the ?embed=1 query parameter.
+import { useRouter } from "next/router";
+// Import the message bubble shared with the shared conversation page.
+import MessageBubble from "./MessageBubble";
+// Import the chat thread helpers (ids, localStorage persistence).
+import {
+  createId,
+  createThread,
+  loadDraft,
+  loadThreads,
+  saveDraft,
+  saveThreads,
+  titleFromMessages,
+} from "../lib/threads";
+// Import the SSE reader used to render streamed replies as they arrive.
+import { readSseStream } from "../lib/sse";
+// Import the reason picker shown after a dislike.
+import FeedbackReasonPicker from "./FeedbackReasonPicker";
+// Import the branch helpers used by Edit and Regenerate.
+import { forkAt, switchBranch, historyForFork } from "../lib/branches";
+// Import the edit box and version pager for user messages.
+import MessageEditor from "./MessageEditor";
+import BranchPager from "./BranchPager";
+// Import the like/dislike/copy buttons shown under each reply.
+import ReplyActionButton from "./ReplyActionButton";
+// Import the chip that shows an attached file.
+import AttachmentChip from "./AttachmentChip";
+// Import the attachment checks and previews (see lib/attachments.js).
+import { checkAttachment, describeAttachment, formatFileSize, makeThumbnail } from "../lib/attachments";
+// Import the thread switcher shown above the conversation.
+import ThreadSwitcher from "./ThreadSwitcher";
+// Import the share menu (read-only links, see lib/shares.js).
+import ShareMenu from "./ShareMenu";
+// Import the export menu and formats (Markdown, JSON, plain text).
+import ExportMenu from "./ExportMenu";
+import {
+  EXPORT_FORMATS,
+  downloadText,
+  exportFileName,
+  toPlainText,
+} from "../lib/exportConversation";
+// Import the analytics tracker (batched usage events, see lib/events.js).
+import { createAnalytics } from "../lib/analytics";
+// Import the postMessage bridge to the page embedding the chat.
+import { cleanContext, createHostBridge } from "../lib/bridge";
+// Import the locale detection, the translations and the context that passes
+// them to the child components (see lib/i18n.js).
+import {
+  DEFAULT_LOCALE,
+  I18nContext,
+  createTranslator,
+  detectLocale,
+  getDirection,
+  localize,
+  localizeConfig,
+} from "../lib/i18n";
+// Import the theme tokens (CSS custom properties) used by every style below.
+import { buildThemeCss, themeVar } from "../lib/theme";
+
+/**
+ * Retrieves or generates a persistent user ID and stores it in localStorage.
+ * Ensures it only runs on the client side and limits it to 32 characters.
+ * @returns {string} The user ID.
+ */
+const getUserId = () => {
+  if (typeof window === "undefined") return ""; // Prevent SSR issues
+
+  let userId = localStorage.getItem("userId");
+  //if the id is greater than 32 characters, we need to generate a new one.
+  userId = userId && userId.length <= 32 ? userId : null;
+
+  if (!userId) {
+    userId = createId(); // Ensure max 32 chars
+    localStorage.setItem("userId", userId);
+  }
+  return userId;
+};
+
+// How long to wait for the proxy to start answering before giving up.
+// Longer than the proxy's own timeouts and retries (see config/server.js).
+const REPLY_TIMEOUT_MS = 120 * 1000;
+
+/**
+ * Packs a payload and its attached files into a multipart upload for
+ * /api/proxy (see lib/multipart.js).
+ * @param {Object} payload - The usual JSON payload.
+ * @param {Object[]} attachments - The files picked in the chat ({ file, name }).
+ * @returns {FormData} The upload.
+ */
+const toFormData = (payload, attachments) => {
+  const form = new FormData();
+  form.append("payload", JSON.stringify(payload));
+  attachments.forEach(({ file, name }) => form.append("attachments", file, name));
+  return form;
+};
+
+// The message box grows with its text up to this height, then scrolls.
+const INPUT_MAX_HEIGHT = 160;
+
+// The character counter shows once a message reaches this share of the limit.
+const COUNTER_THRESHOLD = 0.8;
+
+/**
+ * AgentComponent renders a chat interface with user and agent bubbles.
+ * It manages the conversation state, handles user input and API requests,
+ * and renders responses as Markdown.
+ *
+ * @param {Object} props
+ * @param {string} props.persona - The persona id; requests go to /api/proxy/<persona>.
+ * @param {Object} props.config - The persona's browser-safe config (see lib/personas.js).
+ * @param {boolean} [props.analytics] - Send usage events to /api/events (see lib/analytics.js).
+ * @param {number} [props.maxMessageLength] - The longest message the proxy accepts
+ *   (see getMaxMessageLength in lib/validation.js); no limit when omitted.
+ * @param {Object|null} [props.attachmentLimits] - The files the proxy accepts (see
+ *   getAttachmentLimits in lib/validation.js); attachments are off when null.
+ * @param {Object} [props.historyLimits] - How much history the proxy accepts after an
+ *   edit or a regenerate (see getHistoryLimits in lib/validation.js); no limit when omitted.
+ * @returns {JSX.Element} The rendered chat interface.
+ */
+export default function AgentComponent({
+  persona,
+  config: personaConfig,
+  analytics = false,
+  maxMessageLength = Infinity,
+  attachmentLimits = null,
+  historyLimits,
+}) {
+  // The interface language. The server renders the persona's locale (or the
+  // default one); the visitor's is picked once the page runs in the browser
+  // (see the effect below and lib/i18n.js).
+  const [locale, setLocale] = useState(() => detectLocale({ configured: personaConfig.locale }));
+  const t = createTranslator(locale);
+  const dir = getDirection(locale);
+
+  // The persona config with its texts in the chosen language.
+  const config = localizeConfig(personaConfig, locale);
+
+  // Suggestion pills, texts and sizes of this persona (defaults are filled in
+  // by lib/configSchema.js, so every setting is present).
+  const suggestions = config.suggestedPrompts;
+  const { header, layout, disclaimer } = config;
+
+  // Theme tokens set by the host page (setTheme bridge command) win over the config.
+  // The tokens become CSS custom properties on the root element (see lib/theme.js).
+  const [themeOverrides, setThemeOverrides] = useState({});
+  const theme = { ...config.theme, ...themeOverrides };
+  const themeClass = `chai-theme-${persona}`;
+
+  // Extra context from the host page (setContext bridge command), sent to the
+  // flow as variables with every message.
+  const [hostContext, setHostContext] = useState({});
+
+  // The postMessage bridge to the host page (a no-op outside an allowed iframe).
+  const bridgeRef = useRef(null);
+  // Always points at the latest command handler, so the bridge sees fresh state.
+  const commandHandlerRef = useRef(null);
+
+  // When loaded inside the embed.js panel (?embed=1), the card fills the
+  // iframe instead of being a fixed-size floating card.
+  const router = useRouter();
+  const embedded = router.query.embed === "1";
+
+  // Pick the visitor's language: ?lang= in the URL, then the persona's
+  // locale setting, then the browser's languages.
+  useEffect(() => {
+    if (!router.isReady) return;
+    setLocale(
+      detectLocale({
+        requested: router.query.lang,
+        configured: personaConfig.locale,
+        preferred: navigator.languages || [navigator.language],
+      })
+    );
+  }, [router.isReady, router.query.lang]);
+
+  // The page is the chat (or the embed.js iframe), so it takes the chat's
+  // language and direction too (for screen readers and the scrollbar side).
+  useEffect(() => {
+    document.documentElement.lang = locale;
+    document.documentElement.dir = dir;
+  }, [locale, dir]);
+
+  // State to store the user's current input from the text field.
+  const [message, setMessage] = useState("");
+
+  // Earlier messages brought back with the arrow keys (see handleInputKeyDown):
+  // which one is shown, counted back from the latest (null when none is), and
+  // the text that was in the input before, restored when coming back down.
+  const [recallIdx, setRecallIdx] = useState(null);
+  const recallStashRef = useRef("");
+
+  // Files attached to the next message ({ id, file, name, type, size, thumbnail }),
+  // why the last ones were refused (null when none were), and whether files
+  // are being dragged over the chat.
+  const [attachments, setAttachments] = useState([]);
+  const [attachmentError, setAttachmentError] = useState(null);
+  const [isDragging, setIsDragging] = useState(false);
+  // The hidden file picker opened by the attach button.
+  const fileInputRef = useRef(null);
+
+  // State to store the conversation as an array of message objects.
+  // Each message object has a role ("user" or "agent") and the message content.
+  const [conversation, setConversation] = useState([]);
+
+  // State to capture any errors during the API request.
+  const [error, setError] = useState(null);
+
+  // State to track if the agent is processing (loading state).
+  const [isLoading, setIsLoading] = useState(false);
+
+  // State to track if a streamed reply is arriving (hides the "Thinking..." label).
+  const [isStreaming, setIsStreaming] = useState(false);
+
+  // Cancels the pending request (see handleStop), and why it was cancelled.
+  const abortControllerRef = useRef(null);
+  const abortReasonRef = useRef(null);
+
+  // When the proxy rate-limits us (429), sending is paused until this time (ms).
+  const [cooldownUntil, setCooldownUntil] = useState(0);
+  // Seconds left in the cooldown, updated every second while it runs.
+  const [cooldownSeconds, setCooldownSeconds] = useState(0);
+
+  // Create a ref to track the end of the messages container.
+  const messagesEndRef = useRef(null);
+
+  // The chat input, focused again after sending so the visitor can keep typing.
+  const inputRef = useRef(null);
+
+  // The suggestion pill buttons, and the one reached with Tab (the arrow keys
+  // move between them, see handlePillKeyDown).
+  const pillRefs = useRef([]);
+  const [pillFocusIdx, setPillFocusIdx] = useState(0);
+
+  // Text read out by screen readers through the live region (new replies,
+  // errors, "copied"). Streamed replies are announced once they are complete.
+  const [announcement, setAnnouncement] = useState("");
+
+  // Initialize the user ID state.
+  const [userId, setUserId] = useState("");
+
+  // Saved chat threads and the id of the open one.
+  // Each thread has its own session ID (see lib/threads.js).
+  const [threads, setThreads] = useState([]);
+  const [activeThreadId, setActiveThreadId] = useState(null);
+
+  // The session ID sent to the flow. It starts as the thread's own and
+  // changes with the branch being shown (see lib/branches.js).
+  const [sessionId, setSessionId] = useState("");
+
+  // Earlier versions of the conversation, kept when the user edits a message
+  // or regenerates a reply (see lib/branches.js).
+  const [branches, setBranches] = useState({});
+
+  // Index of the user message being edited (null when not editing) and its new text.
+  const [editingIdx, setEditingIdx] = useState(null);
+  const [editText, setEditText] = useState("");
+
+  // Initialize the hovered index state for suggested prompts.
+  const [hoveredIndex, setHoveredIndex] = useState(null);
+
+  // State to track if the submit button is hovered.
+  const [isSubmitHovered, setIsSubmitHovered] = useState(false);
+
+  // The message of the suggestion pill being hovered or focused: the input
+  // previews it until the pill is picked or left (null when none is).
+  const [previewMessage, setPreviewMessage] = useState(null);
+
+  // Feedback state per message
+  const [feedbackArr, setFeedbackArr] = useState([]);
+
+  // Index of the agent message whose dislike reason picker is open (null when closed).
+  const [reasonPickerIdx, setReasonPickerIdx] = useState(null);
+
+  // Pills are only shown until the first interaction in a thread.
+  const showPills = conversation.length === 0;
+
+  // The analytics tracker (see lib/analytics.js), the ids it adds to every
+  // event, and the message of the last clicked pill (to tell pill messages
+  // from typed ones).
+  const analyticsRef = useRef(null);
+  const analyticsIdsRef = useRef({});
+  analyticsIdsRef.current = { user_id: userId, session_id: sessionId };
+  const pickedPillRef = useRef(null);
+
+  // Initialize the user ID and restore the saved threads on the client side
+  useEffect(() => {
+    setUserId(getUserId());
+
+    const { threads: saved, activeId } = loadThreads(persona);
+    const list = saved.length > 0 ? saved : [createThread()];
+    setThreads(list);
+    openThread(list.find((t) => t.id === activeId) || list[0]);
+  }, []);
+
+  // Start the analytics tracker once (it does nothing when analytics are off).
+  useEffect(() => {
+    const tracker = createAnalytics({
+      persona,
+      enabled: analytics,
+      getIds: () => analyticsIdsRef.current,
+    });
+    analyticsRef.current = tracker;
+    return () => tracker.destroy();
+  }, []);
+
+  // A session became active: a thread was opened or another branch is shown.
+  useEffect(() => {
+    if (sessionId) track("session_start");
+  }, [sessionId]);
+
+  // Copy the open conversation back into its thread whenever it changes.
+  useEffect(() => {
+    if (!activeThreadId) return;
+    setThreads((prev) =>
+      prev.map((t) =>
+        t.id !== activeThreadId ||
+        (t.messages === conversation &&
+          t.feedback === feedbackArr &&
+          t.branches === branches &&
+          t.sessionId === sessionId)
+          ? t
+          : {
+              ...t,
+              messages: conversation,
+              feedback: feedbackArr,
+              branches,
+              sessionId,
+              title: t.title || titleFromMessages(conversation),
+              updatedAt: t.messages === conversation ? t.updatedAt : Date.now(),
+            }
+      )
+    );
+  }, [conversation, feedbackArr, branches, sessionId]);
+
+  // Count the cooldown down once per second until it is over.
+  useEffect(() => {
+    if (!cooldownUntil) return;
+    const tick = () => {
+      const seconds = Math.max(0, Math.ceil((cooldownUntil - Date.now()) / 1000));
+      setCooldownSeconds(seconds);
+      if (seconds === 0) setCooldownUntil(0);
+    };
+    tick();
+    const timer = setInterval(tick, 1000);
+    return () => clearInterval(timer);
+  }, [cooldownUntil]);
+
+  // Connect to the host page once, when the chat is embedded in an iframe.
+  useEffect(() => {
+    const bridge = createHostBridge({
+      allowedOrigins: (config.bridge && config.bridge.allowedOrigins) || [],
+      onCommand: (name, payload) => commandHandlerRef.current(name, payload),
+    });
+    bridgeRef.current = bridge;
+    return () => bridge.destroy();
+  }, []);
+
+  // Persist the threads whenever they (or the open thread) change.
+  useEffect(() => {
+    if (activeThreadId) saveThreads(persona, threads, activeThreadId);
+  }, [threads, activeThreadId]);
+
+  // Keep the open thread's unsent draft, so it survives a reload or a switch
+  // to another thread.
+  useEffect(() => {
+    if (activeThreadId) saveDraft(persona, activeThreadId, message);
+  }, [message, activeThreadId]);
+
+  // Grow (or shrink) the message box to fit its text.
+  useEffect(() => {
+    const input = inputRef.current;
+    if (!input) return;
+    input.style.height = "auto";
+    input.style.height = `${Math.min(input.scrollHeight, INPUT_MAX_HEIGHT)}px`;
+  }, [message, previewMessage]);
+
+  // Keep feedbackArr in sync with conversation length
+  useEffect(() => {
+    if (feedbackArr.length !== conversation.length) {
+      setFeedbackArr((prev) => {
+        const arr = [...prev];
+        while (arr.length < conversation.length) arr.push({ like: false, dislike: false, copied: false });
+        return arr.slice(0, conversation.length);
+      });
+    }
+  }, [conversation.length]);
+
+  /**
+   * Shows a thread's conversation in the chat.
+   * @param {Object} thread - The thread to open.
+   */
+  const openThread = (thread) => {
+    setActiveThreadId(thread.id);
+    setConversation(thread.messages || []);
+    setFeedbackArr(thread.feedback || []);
+    setSessionId(thread.sessionId);
+    setBranches(thread.branches || {});
+    setMessage(loadDraft(persona, thread.id));
+    setRecallIdx(null);
+    setAttachments([]);
+    setAttachmentError(null);
+    setReasonPickerIdx(null);
+    setEditingIdx(null);
+    setError(null);
+  };
+
+  /**
+   * Switches to another saved thread.
+   * @param {string} id - The thread id.
+   */
+  const handleSelectThread = (id) => {
+    const thread = threads.find((t) => t.id === id);
+    if (thread) openThread(thread);
+  };
+
+  /**
+   * Starts a new chat, unless the open one is still empty.
+   */
+  const handleNewThread = () => {
+    if (conversation.length === 0) return;
+    const thread = createThread();
+    setThreads((prev) => [thread, ...prev]);
+    openThread(thread);
+  };
+
+  /**
+   * Deletes the open thread and opens the most recent remaining one
+   * (or a fresh thread when none are left).
+   */
+  const handleDeleteThread = () => {
+    if (conversation.length > 0 && !window.confirm(t("threads.confirmDelete"))) return;
+
+    const remaining = threads
+      .filter((t) => t.id !== activeThreadId)
+      .sort((a, b) => b.updatedAt - a.updatedAt);
+    const next = remaining[0] || createThread();
+    saveDraft(persona, activeThreadId, "");
+    setThreads(remaining.length > 0 ? remaining : [next]);
+    openThread(next);
+  };
+
+  /**
+   * Records an analytics event (see lib/analytics.js for the types).
+   * @param {string} type - The event type.
+   * @param {Object} [props] - The event data.
+   */
+  const track = (type, props) => {
+    if (analyticsRef.current) analyticsRef.current.track(type, props);
+  };
+
+  /**
+   * Sends an event to the host page through the bridge (see lib/bridge.js).
+   * @param {string} name - The event name.
+   * @param {Object} [payload] - The event data.
+   */
+  const emitEvent = (name, payload) => {
+    if (bridgeRef.current) bridgeRef.current.emit(name, payload);
+  };
+
+  /**
+   * Runs a command sent by the host page through the bridge.
+   * @param {string} name - The command name (see lib/bridge.js).
+   * @param {Object} payload - The command data.
+   */
+  const handleBridgeCommand = (name, payload) => {
+    switch (name) {
+      case "prefill":
+        setMessage(String(payload.text || ""));
+        break;
+      case "send":
+        if (!isLoading) submitMessage(String(payload.text || ""), { source: "bridge" });
+        break;
+      case "reset":
+        if (!isLoading) handleNewThread();
+        break;
+      case "setContext": {
+        // Keep what the proxy accepts and tell the host page about the rest.
+        const { context, problems } = cleanContext(payload.context);
+        setHostContext(context);
+        if (problems.length > 0) {
+          emitEvent("error", { message: `setContext: dropped ${problems.join("; ")}` });
+        }
+        break;
+      }
+      case "setTheme":
+        setThemeOverrides(payload.theme && typeof payload.theme === "object" ? payload.theme : {});
+        break;
+      default:
+        break;
+    }
+  };
+  commandHandlerRef.current = handleBridgeCommand;
+
+  /**
+   * Scrolls the chat container to the bottom to ensure the latest message is visible.
+   */
+  const scrollToBottom = () => {
+    messagesEndRef.current?.scrollIntoView({ behavior: "smooth" });
+  };
+
+  // Remove auto-scroll behavior - keep UI static during AI responses
+  // useEffect(() => {
+  //   if (document.querySelector(".chat-container")) {
+  //     scrollToBottom();
+  //   }
+  // }, [conversation]);
+
+  /**
+   * Handles the form submission event.
+   * @param {Event} e - The form submission event.
+   */
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    submitMessage(message, { attachments });
+    // The send button turns into the Stop button, so keep the focus in the input.
+    focusInput();
+  };
+
+  /**
+   * Moves the keyboard focus to the chat input.
+   */
+  const focusInput = () => {
+    inputRef.current?.focus();
+  };
+
+  // The user messages of the open thread, oldest first, for the arrow keys.
+  const sentMessages = conversation.filter((msg) => msg.role === "user").map((msg) => msg.content);
+
+  /**
+   * Shows an earlier message in the input, or the text typed before when
+   * coming back past the latest one.
+   * @param {number|null} idx - Counted back from the latest message (null for the typed text).
+   */
+  const recallMessage = (idx) => {
+    if (recallIdx === null) recallStashRef.current = message;
+    setRecallIdx(idx);
+    setMessage(idx === null ? recallStashRef.current : sentMessages[sentMessages.length - 1 - idx]);
+  };
+
+  /**
+   * Handles the keys of the message box, like a terminal:
+   * - Enter sends, Shift+Enter adds a new line.
+   * - The Up arrow on the first line brings back the previous message of the
+   *   thread, the Down arrow on the last line the next one, Escape the text
+   *   typed before. Elsewhere the arrows move the caret as usual.
+   * @param {KeyboardEvent} e - The keydown event.
+   */
+  const handleInputKeyDown = (e) => {
+    // Leave Enter to input methods (Chinese, Japanese, ...) while a word is being composed.
+    if (e.nativeEvent.isComposing) return;
+
+    if (e.key === "Enter" && !e.shiftKey) {
+      e.preventDefault();
+      if (!isLoading) handleSubmit(e);
+      return;
+    }
+
+    const { selectionStart, selectionEnd, value } = e.currentTarget;
+    const onFirstLine = !value.slice(0, selectionStart).includes("\n");
+    const onLastLine = !value.slice(selectionEnd).includes("\n");
+
+    if (e.key === "ArrowUp" && onFirstLine) {
+      // Outside of a recall, only from the very start, so the caret still
+      // moves to the start of a single line first.
+      if (recallIdx === null && (selectionStart !== 0 || selectionEnd !== 0) && value) return;
+      const next = recallIdx === null ? 0 : recallIdx + 1;
+      if (next >= sentMessages.length) return;
+      e.preventDefault();
+      recallMessage(next);
+    } else if (e.key === "ArrowDown" && onLastLine && recallIdx !== null) {
+      e.preventDefault();
+      recallMessage(recallIdx === 0 ? null : recallIdx - 1);
+    } else if (e.key === "Escape" && recallIdx !== null) {
+      e.preventDefault();
+      recallMessage(null);
+    }
+  };
+
+  /**
+   * Keeps what the visitor types. Editing a recalled message makes it the new
+   * text (the arrows then start again from the latest message).
+   * @param {Event} e - The change event.
+   */
+  const handleInputChange = (e) => {
+    setMessage(e.target.value);
+    setRecallIdx(null);
+  };
+
+  // The character counter: shown near the proxy's limit, and in the error
+  // color (with sending disabled) past it. Like the proxy, it doesn't count
+  // the spaces around the message.
+  const messageLength = message.trim().length;
+  const showCounter = messageLength >= maxMessageLength * COUNTER_THRESHOLD;
+  const tooLong = messageLength > maxMessageLength;
+  const canSend = cooldownSeconds === 0 && !tooLong;
+
+  /**
+   * Handles the submission of the chat input form.
+   *
+   * Prevents the default form submission behavior, updates the conversation
+   * with the user's message, sends the message to the API, and appends the agent's
+   * response to the conversation.
+   *
+   * @param {string} userInput - The message to send.
+   * @param {Object} [options]
+   * @param {string} [options.sessionId] - Send in this session instead of the
+   *   current one (a branch that was just created, see handleEditSubmit).
+   * @param {Object[]} [options.history] - Earlier messages that seed a new session.
+   * @param {string} [options.source] - Where the message comes from, for analytics
+   *   ("bridge", "edit" or "regenerate"; typed and pill messages are told apart here).
+   * @param {Object[]} [options.attachments] - Files to send with the message (from the composer).
+   * @param {(errorMessage: string|null) => void} [options.onUndelivered] - Called instead of
+   *   taking the message back (or showing an error reply) when the proxy rate-limits it
+   *   (null) or it fails before any reply arrives (see resendFrom).
+   * @returns {Promise<void>} A promise that resolves when the submission is complete.
+   */
+  const submitMessage = async (userInput, options = {}) => {
+    // If the message is empty or too long for the proxy, or we are cooling
+    // down after a 429, do nothing.
+    if (!userInput.trim() || userInput.trim().length > maxMessageLength || cooldownSeconds > 0) return;
+
+    // Clear the input immediately after user submits
+    setMessage("");
+    setRecallIdx(null);
+
+    // The files go with this message; the composer starts empty again.
+    const files = options.attachments || [];
+    if (files.length > 0) setAttachments([]);
+    setAttachmentError(null);
+
+    // Clear any previous errors.
+    setError(null);
+
+    // Create a new conversation entry for the user's message, with a light
+    // description of its files for the bubble (see lib/attachments.js).
+    const userMessage = {
+      role: "user",
+      content: userInput.trim(),
+      createdAt: Date.now(),
+      ...(files.length > 0 && { attachments: files.map(describeAttachment) }),
+    };
+
+    // Update the conversation state by adding the user's message.
+    setConversation((prev) => [...prev, userMessage]);
+    emitEvent("message_sent", { text: userMessage.content });
+    track("message_sent", {
+      source: options.source || (userMessage.content === pickedPillRef.current ? "pill" : "input"),
+      length: userMessage.content.length,
+    });
+    pickedPillRef.current = null;
+    // When the message was sent, to measure how long the reply takes.
+    const sentAt = Date.now();
+
+    // Prepare the payload for the API call.
+    // Note: In production, user_id and session_id should be uniquely generated.
+    const payload = {
+      data: {
+        message: { role: "user", content: userMessage.content },
+        // Context set by the host page, if any, and the interface language,
+        // so the agent can reply in the visitor's language.
+        variables: { ...hostContext, locale },
+        // The conversation before an edited message, for a new branch's session.
+        ...(options.history && options.history.length > 0 && { messages: options.history }),
+      },
+      stateful: true,
+      stream: true,
+      user_id: userId,
+      session_id: options.sessionId || sessionId,
+      verbose: false,
+    };
+
+    // Lets the Stop button (or the timeout below) cancel the request.
+    // Cancelling also makes the proxy cancel its call to the flow.
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+    abortReasonRef.current = null;
+    const timeout = setTimeout(() => {
+      abortReasonRef.current = "timeout";
+      controller.abort();
+    }, REPLY_TIMEOUT_MS);
+    // Set once the proxy accepted the message and the reply is on its way.
+    let replyStarted = false;
+
+    try {
+      // Set loading state to true to trigger the animation.
+      setIsLoading(true);
+
+      // Send a POST request to the serverless API endpoint on Vercel.
+      // Messages with files go as a multipart upload, whose Content-Type
+      // (with its boundary) the browser sets itself.
+      const res = await fetch(`/api/proxy/${persona}`, {
+        method: "POST",
+        ...(files.length > 0
+          ? { body: toFormData(payload, files) }
+          : { headers: { "Content-Type": "application/json" }, body: JSON.stringify(payload) }),
+        signal: controller.signal,
+      });
+
+      // The reply has started: from here on only the Stop button cancels it.
+      clearTimeout(timeout);
+
+      // Too many requests: take the message back, put it in the input again
+      // and pause sending for as long as the server asks (Retry-After, in seconds).
+      if (res.status === 429) {
+        const retryAfter = parseInt(res.headers.get("Retry-After"), 10) || 30;
+        setCooldownUntil(Date.now() + retryAfter * 1000);
+        if (options.onUndelivered) return options.onUndelivered(null);
+        setConversation((prev) => prev.slice(0, -1));
+        setMessage(userMessage.content);
+        if (files.length > 0) setAttachments(files);
+        return;
+      }
+
+      // If the server response is not OK, throw an error.
+      if (!res.ok) {
+        throw new Error(t("error.server", { status: res.status }));
+      }
+      replyStarted = true;
+
+      // If the proxy relays a stream, render the reply as it arrives.
+      // Otherwise fall back to the regular JSON response below.
+      const contentType = res.headers.get("content-type") || "";
+      if (contentType.includes("text/event-stream") && res.body) {
+        const reply = await readStreamedReply(res.body);
+        emitEvent("reply_received", { text: reply });
+        setAnnouncement(reply);
+        track("reply_received", { latency_ms: Date.now() - sentAt, length: reply.length, streamed: true });
+        return;
+      }
+
+      // Parse the JSON response from the API.
+      const data = await res.json();
+
+      // Extract the agent's reply from output_data.content.
+      // If output_data or content is missing, fall back to a default message.
+      const agentReply =
+        data.output_data && data.output_data.content
+          ? data.output_data.content
+          : t("error.noReply");
+
+      // Create a new conversation entry for the agent's response.
+      const agentMessage = {
+        role: "agent",
+        content: agentReply,
+        createdAt: Date.now(),
+      };
+
+      // Update the conversation state by adding the agent's message.
+      setConversation((prev) => [...prev, agentMessage]);
+      emitEvent("reply_received", { text: agentReply });
+      setAnnouncement(agentReply);
+      track("reply_received", { latency_ms: Date.now() - sentAt, length: agentReply.length, streamed: false });
+
+      // Clear the user input field.
+      setMessage("");
+    } catch (err) {
+      // The visitor pressed Stop: keep whatever was streamed so far, no error.
+      if (err.name === "AbortError" && abortReasonRef.current !== "timeout") return;
+
+      const errorMessage =
+        err.name === "AbortError"
+          ? t("error.timeout")
+          : err.message;
+
+      // Log the error to the console for debugging.
+      console.error("Error fetching agent response:", err);
+      emitEvent("error", { message: errorMessage });
+      track("error", { message: errorMessage.slice(0, 200) });
+      setAnnouncement(t("error.reply", { message: errorMessage }));
+      if (!replyStarted && options.onUndelivered) return options.onUndelivered(errorMessage);
+      // Show error as a chat reply from the agent
+      // (flagged so it isn't sent back as history, see lib/branches.js).
+      setConversation((prev) => [
+        ...prev,
+        {
+          role: "agent",
+          content: t("error.reply", { message: errorMessage }),
+          error: true,
+          createdAt: Date.now(),
+        },
+      ]);
+    } finally {
+      // Reset the loading state regardless of success or error.
+      clearTimeout(timeout);
+      abortControllerRef.current = null;
+      setIsLoading(false);
+      setIsStreaming(false);
+    }
+  };
+
+  /**
+   * Checks whether a message can be resent now (nothing pending, no cooldown).
+   * @returns {boolean}
+   */
+  const canResend = () => !isLoading && cooldownSeconds === 0;
+
+  /**
+   * Attaches files to the next message, after checking them against the
+   * proxy's limits. Refused files are explained under the input.
+   * @param {FileList|File[]} fileList - From the file picker, a drop or a paste.
+   */
+  const addFiles = (fileList) => {
+    if (!attachmentLimits) return;
+    const files = Array.from(fileList);
+    const room = attachmentLimits.maxFiles - attachments.length;
+    const problems = [];
+    if (files.length > room) {
+      problems.push(t("attachments.tooMany", { max: attachmentLimits.maxFiles }));
+    }
+
+    const accepted = [];
+    for (const file of files.slice(0, Math.max(0, room))) {
+      const problem = checkAttachment(file, attachmentLimits);
+      if (problem === "wrongType") {
+        problems.push(t("attachments.wrongType", { name: file.name }));
+      } else if (problem === "tooLarge") {
+        problems.push(
+          t("attachments.tooLarge", { name: file.name, max: formatFileSize(attachmentLimits.maxFileBytes) })
+        );
+      } else {
+        accepted.push({ id: createId(), file, name: file.name, type: file.type, size: file.size, thumbnail: null });
+      }
+    }
+
+    setAttachmentError(problems.length > 0 ? problems.join(" ") : null);
+    if (problems.length > 0) setAnnouncement(problems.join(" "));
+    if (accepted.length === 0) return;
+    setAttachments((prev) => [...prev, ...accepted]);
+
+    // Draw the image previews in the background.
+    accepted.forEach(async (item) => {
+      const thumbnail = await makeThumbnail(item.file);
+      if (!thumbnail) return;
+      setAttachments((prev) => prev.map((a) => (a.id === item.id ? { ...a, thumbnail } : a)));
+    });
+  };
+
+  /**
+   * Removes an attached file from the next message.
+   * @param {string} id - The attachment's id.
+   */
+  const removeAttachment = (id) => {
+    setAttachments((prev) => prev.filter((a) => a.id !== id));
+    setAttachmentError(null);
+    focusInput();
+  };
+
+  /**
+   * Shows the drop zone while files are dragged over the chat.
+   * @param {DragEvent} e - The dragover event.
+   */
+  const handleDragOver = (e) => {
+    if (!attachmentLimits || !Array.from(e.dataTransfer.types).includes("Files")) return;
+    e.preventDefault();
+    setIsDragging(true);
+  };
+
+  /**
+   * Hides the drop zone once the files leave the chat.
+   * @param {DragEvent} e - The dragleave event.
+   */
+  const handleDragLeave = (e) => {
+    if (!e.currentTarget.contains(e.relatedTarget)) setIsDragging(false);
+  };
+
+  /**
+   * Attaches the files dropped on the chat.
+   * @param {DragEvent} e - The drop event.
+   */
+  const handleDrop = (e) => {
+    setIsDragging(false);
+    if (!attachmentLimits || e.dataTransfer.files.length === 0) return;
+    e.preventDefault();
+    addFiles(e.dataTransfer.files);
+    focusInput();
+  };
+
+  /**
+   * Attaches pasted files (e.g. a screenshot). Pasted text is left to the
+   * message box, even when it comes with an image.
+   * @param {ClipboardEvent} e - The paste event.
+   */
+  const handlePaste = (e) => {
+    if (!attachmentLimits || e.clipboardData.files.length === 0) return;
+    if (e.clipboardData.getData("text/plain")) return;
+    e.preventDefault();
+    addFiles(e.clipboardData.files);
+  };
+
+  /**
+   * Shows a new conversation state built by lib/branches.js.
+   * @param {Object} state - { messages, feedback, sessionId, branches }
+   */
+  const applyBranchState = (state) => {
+    setConversation(state.messages);
+    setFeedbackArr(state.feedback);
+    setSessionId(state.sessionId);
+    setBranches(state.branches);
+    setReasonPickerIdx(null);
+    setEditingIdx(null);
+    setError(null);
+  };
+
+  /**
+   * Starts a new branch at a user message and sends it (possibly reworded).
+   * The earlier version stays available in the branch pager.
+   *
+   * @param {number} index - The index of the user message.
+   * @param {string} text - The message to send.
+   * @param {"edit"|"regenerate"} source - The action, for analytics.
+   */
+  const resendFrom = (index, text, source) => {
+    if (!text.trim() || !canResend()) return;
+    const current = { messages: conversation, feedback: feedbackArr, sessionId, branches };
+    const next = forkAt(current, index, createId());
+    applyBranchState(next);
+    // If nothing comes back (a 429, or a failure before the reply), drop the
+    // new version again rather than leave an empty one in the pager, and give
+    // an edit back to its editor, as a plain message goes back to the input.
+    const onUndelivered = (errorMessage) => {
+      applyBranchState(current);
+      if (source === "edit") {
+        setEditText(text);
+        setEditingIdx(index);
+      }
+      if (errorMessage) setError(t("error.reply", { message: errorMessage }));
+    };
+    submitMessage(text, {
+      sessionId: next.sessionId,
+      history: historyForFork(next.messages, historyLimits),
+      source,
+      onUndelivered,
+    });
+    // The editor closes and the Regenerate buttons are disabled: keep the focus in the input.
+    focusInput();
+  };
+
+  /**
+   * Sends the edited version of a user message (the "Edit" action).
+   * @param {number} index - The index of the user message.
+   */
+  const handleEditSubmit = (index) => {
+    if (editText.trim() === conversation[index].content) {
+      setEditingIdx(null);
+      return;
+    }
+    resendFrom(index, editText, "edit");
+  };
+
+  /**
+   * Asks for a new answer to the message before an agent reply (the "Regenerate" action).
+   * @param {number} index - The index of the agent message.
+   */
+  const handleRegenerate = (index) => {
+    const userIdx = conversation.slice(0, index).map((msg) => msg.role).lastIndexOf("user");
+    if (userIdx === -1) return;
+    resendFrom(userIdx, conversation[userIdx].content, "regenerate");
+  };
+
+  /**
+   * Shows another version at a branch point (the "‹ 2 / 3 ›" pager).
+   * @param {number} index - The index of the user message where the branch starts.
+   * @param {number} version - The version to show.
+   */
+  const handleSwitchBranch = (index, version) => {
+    if (isLoading) return;
+    applyBranchState(
+      switchBranch({ messages: conversation, feedback: feedbackArr, sessionId, branches }, index, version)
+    );
+  };
+
+  /**
+   * Cancels the pending reply (the "Stop" button).
+   */
+  const handleStop = () => {
+    if (!abortControllerRef.current) return;
+    abortReasonRef.current = "user";
+    abortControllerRef.current.abort();
+  };
+
+  /**
+   * Reads the proxy's event stream and grows the agent's message as text arrives.
+   *
+   * The proxy sends "delta" events with new text, a final "done" event with the
+   * complete reply, or an "error" event if the stream breaks halfway.
+   *
+   * @param {ReadableStream<Uint8Array>} body - The streamed response body.
+   * @returns {Promise<string>} The complete reply ("" when nothing valid arrived).
+   */
+  const readStreamedReply = async (body) => {
+    let content = "";
+    let started = false;
+
+    // Replaces the text of the agent message being streamed (always the last one).
+    const updateReply = (text) => {
+      setConversation((prev) => {
+        const next = [...prev];
+        next[next.length - 1] = { ...next[next.length - 1], content: text };
+        return next;
+      });
+    };
+
+    await readSseStream(body, ({ event, data }) => {
+      const parsed = JSON.parse(data);
+
+      if (event === "error") {
+        throw new Error(parsed.error || t("error.streamInterrupted"));
+      }
+
+      // Add an empty agent bubble on the first event, then fill it in.
+      if (!started) {
+        started = true;
+        setIsStreaming(true);
+        setConversation((prev) => [...prev, { role: "agent", content: "", createdAt: Date.now() }]);
+      }
+
+      if (event === "delta") content += parsed.content;
+      if (event === "done") content = parsed.content || content;
+      updateReply(content);
+    });
+
+    if (!content) {
+      if (!started) {
+        setConversation((prev) => [...prev, { role: "agent", content: "", createdAt: Date.now() }]);
+      }
+      updateReply(t("error.noReply"));
+    }
+    return content;
+  };
+
+  /**
+   * Style of the small text buttons under messages (Edit, Regenerate).
+   * @param {boolean} enabled - False while a reply is pending.
+   * @returns {Object} The style.
+   */
+  const textActionStyle = (enabled) => ({
+    padding: "2px 6px",
+    border: "none",
+    background: "none",
+    color: themeVar("mutedTextColor"),
+    fontFamily: themeVar("fontFamily"),
+    fontSize: "12px",
+    cursor: enabled ? "pointer" : "default",
+    opacity: enabled ? 1 : 0.5,
+  });
+
+  /**
+   * Handles the click event on a suggested prompt.
+   *
+   * Sets the chat input to the prompt text when clicked.
+   * Submit the prompt to the chat
+   *
+   * @param {Object} prompt - The prompt object containing text and autoSubmit flag.
+   */
+  const handlePromptClick = async (prompt) => {
+    // Set the chat input to the prompt text.
+    setMessage(prompt);
+    // Submit the prompt to the chat immediately
+    await submitMessage(prompt);
+  };
+
+  /**
+   * Handles the mouseover event on a suggested prompt.
+   * @param {*} index
+   */
+  const handlePromptMouseOver = (index) => {
+    if (!isLoading) {
+      setHoveredIndex(index);
+    }
+  };
+
+  /**
+   * Handles the mouseout event on a suggested prompt.
+   */
+  const handlePromptMouseOut = () => {
+    setHoveredIndex(null);
+  };
+
+  // Copy handler
+  const handleCopy = (text, idx) => {
+    navigator.clipboard.writeText(text);
+    track("copy", { target: "message", message_index: idx });
+    setAnnouncement(t("reply.copiedAnnouncement"));
+    setFeedbackArr((prev) => {
+      const arr = [...prev];
+      arr[idx] = { ...arr[idx], copied: true, like: false, dislike: false };
+      return arr;
+    });
+    setTimeout(() => {
+      setFeedbackArr((prev) => {
+        const arr = [...prev];
+        arr[idx] = { ...arr[idx], copied: false };
+        return arr;
+      });
+    }, 1200);
+  };
+  /**
+   * Collects what the export formats need (see lib/exportConversation.js).
+   * @returns {Object} The open conversation.
+   */
+  const conversationForExport = () => ({
+    title: titleFromMessages(conversation),
+    agentName: header.title || t("export.agentName"),
+    persona,
+    sessionId,
+    messages: conversation,
+    feedback: feedbackArr,
+  });
+
+  /**
+   * Downloads the open conversation in one of the export formats.
+   * @param {string} format - A key of EXPORT_FORMATS.
+   */
+  const handleExport = (format) => {
+    const { extension, mimeType, format: formatConversation } = EXPORT_FORMATS[format];
+    const data = conversationForExport();
+    downloadText(exportFileName(data.title, extension), formatConversation(data), mimeType);
+  };
+
+  /**
+   * Copies the whole open conversation as plain text.
+   * @returns {Promise<void>}
+   */
+  const handleCopyConversation = () => {
+    track("copy", { target: "conversation" });
+    return navigator.clipboard.writeText(toPlainText(conversationForExport()));
+  };
+
+  // The open thread's share links (see components/ShareMenu.js).
+  const activeShares = (threads.find((t) => t.id === activeThreadId) || {}).shares || [];
+
+  /**
+   * Changes the open thread's share links.
+   * @param {(shares: Object[]) => Object[]} update - Returns the new list.
+   */
+  const updateShares = (update) => {
+    setThreads((prev) =>
+      prev.map((t) => (t.id === activeThreadId ? { ...t, shares: update(t.shares || []) } : t))
+    );
+  };
+
+  /**
+   * Shares a snapshot of the open conversation through /api/share.
+   * Only the messages are sent: never the user or session ids.
+   *
+   * @param {number|null} expiresInDays - How long the link works (null: until revoked).
+   * @returns {Promise<void>} Rejects with a message to show when it fails.
+   */
+  const handleCreateShare = async (expiresInDays) => {
+    const res = await fetch("/api/share", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        persona,
+        title: titleFromMessages(conversation),
+        messages: conversation
+          .filter((msg) => !msg.error)
+          .map(({ role, content, createdAt }) => ({ role, content, createdAt })),
+        ...(expiresInDays && { expires_in_days: expiresInDays }),
+      }),
+    });
+    if (!res.ok) {
+      throw new Error(
+        res.status === 429 ? t("share.tooManyRequests") : t("share.createFailed", { status: res.status })
+      );
+    }
+    const data = await res.json();
+    updateShares((shares) => [
+      ...shares,
+      { id: data.id, url: data.url, revokeToken: data.revoke_token, expiresAt: data.expires_at },
+    ]);
+  };
+
+  /**
+   * Revokes a share link with the token returned when it was created.
+   * @param {Object} share - One of the open thread's share links.
+   * @returns {Promise<void>} Rejects with a message to show when it fails.
+   */
+  const handleRevokeShare = async (share) => {
+    const res = await fetch(`/api/share/${share.id}`, {
+      method: "DELETE",
+      headers: { Authorization: `Bearer ${share.revokeToken}` },
+    });
+    // 404: the link is already gone (expired or revoked elsewhere).
+    if (!res.ok && res.status !== 404) {
+      throw new Error(t("share.revokeFailed", { status: res.status }));
+    }
+    updateShares((shares) => shares.filter((s) => s.id !== share.id));
+  };
+
+  /**
+   * Sends a feedback vote for an agent message to /api/feedback.
+   * The answer is stored together with the user prompt that preceded it.
+   * Failures are only logged: feedback should never interrupt the chat.
+   *
+   * @param {number} idx - The index of the agent message in the conversation.
+   * @param {"like"|"dislike"|"clear"} vote - The vote to record.
+   * @param {{reason?: string|null, comment?: string}} [details] - Optional dislike details.
+   */
+  const sendFeedback = async (idx, vote, details = {}) => {
+    const previous = conversation[idx - 1];
+    try {
+      const res = await fetch("/api/feedback", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({
+          persona,
+          vote,
+          reason: details.reason || null,
+          comment: details.comment || null,
+          message: conversation[idx].content,
+          prompt: previous && previous.role === "user" ? previous.content : null,
+          message_index: idx,
+          user_id: userId,
+          session_id: sessionId,
+        }),
+      });
+      if (!res.ok) {
+        throw new Error(`Server error: ${res.status}`);
+      }
+    } catch (err) {
+      console.error("Error sending feedback:", err);
+    }
+  };
+
+  /**
+   * Toggles the like/dislike state of an agent message and records the vote.
+   * Disliking also opens the optional reason picker.
+   *
+   * @param {number} idx - The index of the agent message in the conversation.
+   * @param {"like"|"dislike"} type - The icon that was clicked.
+   */
+  const handleFeedback = (idx, type) => {
+    // Error bubbles aren't answers: there is nothing to vote on.
+    if (conversation[idx].error) return;
+    const current = feedbackArr[idx] || {};
+    const isActive = !current[type];
+
+    setFeedbackArr((prev) => {
+      const arr = [...prev];
+      arr[idx] = {
+        like: type === "like" && isActive,
+        dislike: type === "dislike" && isActive,
+        copied: false,
+      };
+      return arr;
+    });
+
+    setReasonPickerIdx(type === "dislike" && isActive ? idx : null);
+    sendFeedback(idx, isActive ? type : "clear");
+    emitEvent("feedback", { vote: isActive ? type : "clear", message: conversation[idx].content });
+    track("feedback", { vote: isActive ? type : "clear", message_index: idx });
+  };
+
+  /**
+   * Picks a suggestion pill: its message goes into the input, ready to send.
+   * @param {number} idx - The index of the pill.
+   */
+  const handlePillClick = (idx) => {
+    const pill = suggestions[idx];
+    setMessage(pill.message);
+    setPreviewMessage(null);
+    pickedPillRef.current = pill.message;
+    track("pill_click", { index: idx, title: pillTitleForAnalytics(idx) });
+    focusInput();
+  };
+
+  /**
+   * Returns a pill's title in the default language, so analytics count a
+   * pill once whatever language it was shown in.
+   * @param {number} idx - The index of the pill.
+   * @returns {string}
+   */
+  const pillTitleForAnalytics = (idx) => localize(personaConfig.suggestedPrompts[idx].title, DEFAULT_LOCALE);
+
+  /**
+   * Moves between the suggestion pills with the arrow, Home and End keys.
+   * Only one pill is in the Tab order at a time (a "roving tabindex"), so
+   * Tab skips from the pills straight to the input.
+   * @param {KeyboardEvent} e - The keydown event.
+   * @param {number} idx - The index of the focused pill.
+   */
+  const handlePillKeyDown = (e, idx) => {
+    const last = suggestions.length - 1;
+    const next = idx === last ? 0 : idx + 1;
+    const previous = idx === 0 ? last : idx - 1;
+    // The pills run right to left in RTL languages, and so do the arrows.
+    const targets = {
+      ArrowRight: dir === "rtl" ? previous : next,
+      ArrowDown: next,
+      ArrowLeft: dir === "rtl" ? next : previous,
+      ArrowUp: previous,
+      Home: 0,
+      End: last,
+    };
+    if (!(e.key in targets)) return;
+    e.preventDefault();
+    setPillFocusIdx(targets[e.key]);
+    pillRefs.current[targets[e.key]]?.focus();
+  };
+
+  /**
+   * Records the reason and comment chosen in the dislike reason picker.
+   * @param {number} idx - The index of the agent message in the conversation.
+   * @param {{reason: string|null, comment: string}} details - The picker values.
+   */
+  const handleReasonSubmit = (idx, details) => {
+    setReasonPickerIdx(null);
+    if (details.reason || details.comment) {
+      sendFeedback(idx, "dislike", details);
+    }
+  };
+  // Main render - FRAMER OPTIMIZED FIXED CONTAINER
+  return (
+    // The locale and translations, for the child components (see lib/i18n.js).
+    <I18nContext.Provider value={{ locale, dir, t }}>
+      <div
+        className={`${themeClass} main-container${embedded ? " embedded" : ""}`}
+        dir={dir}
+        lang={locale}
+        style={{
+          display: "flex",
+          flexDirection: "column",
+          justifyContent: "flex-start",
+          alignItems: "center",
+          fontFamily: themeVar("fontFamily"),
+          background: "transparent",
+          margin: "0",
+          padding: embedded ? "0" : "20px",
+          overflow: "visible",
+          position: "relative",
+          // RESPONSIVE: Three states - Website, Tablet, Mobile (sizes are in the styles below)
+        }}
+      >
+        {/* THEME - defines the --chai-* custom properties for this persona (light, dark or auto) */}
+        <style dangerouslySetInnerHTML={{ __html: buildThemeCss(theme, `.${themeClass}`) }} />
+
+        {/* CARD CONTAINER - Chat Interface Layout */}
+        <div
+          style={{
+            display: "flex",
+            width: embedded ? "100%" : `${layout.cardWidth}px`,
+            height: embedded ? "100%" : `${layout.cardHeight}px`,
+            minWidth: embedded ? "0" : "320px",
+            maxWidth: embedded ? "none" : `${layout.cardWidth}px`,
+            flexDirection: "column",
+            alignItems: "center",
+            justifyContent: "space-between",
+            margin: "0 auto",
+            background: themeVar("backgroundColor"),
+            color: themeVar("textColor"),
+            border: embedded ? "none" : `1px solid ${themeVar("cardBorderColor")}`,
+            borderRadius: embedded ? "0" : themeVar("cardRadius"),
+            boxShadow: embedded ? "none" : themeVar("cardShadow"),
+            padding: embedded ? "16px" : themeVar("cardPadding"),
+            boxSizing: "border-box",
+            position: "relative",
+          }}
+          onDragOver={handleDragOver}
+          onDragLeave={handleDragLeave}
+          onDrop={handleDrop}
+        >
+          {/* DROP ZONE - shown while files are dragged over the chat */}
+          {isDragging && (
+            <div
+              aria-hidden="true"
+              style={{
+                position: "absolute",
+                inset: 0,
+                display: "flex",
+                alignItems: "center",
+                justifyContent: "center",
+                border: `2px dashed ${themeVar("accentColor")}`,
+                borderRadius: embedded ? "0" : themeVar("cardRadius"),
+                background: themeVar("backgroundColor"),
+                opacity: 0.92,
+                color: themeVar("textColor"),
+                fontFamily: themeVar("fontFamily"),
+                fontSize: "16px",
+                boxSizing: "border-box",
+                pointerEvents: "none",
+                zIndex: 10,
+              }}
+            >
+              {t("attachments.drop")}
+            </div>
+          )}
+
+          {/* THREAD SWITCHER - pick, start or delete a chat */}
+          <ThreadSwitcher
+            threads={threads}
+            activeId={activeThreadId}
+            disabled={isLoading}
+            onSelect={handleSelectThread}
+            onNew={handleNewThread}
+            onDelete={handleDeleteThread}
+          >
+            {/* SHARE MENU - read-only links to the conversation */}
+            <ShareMenu
+              disabled={isLoading || conversation.length === 0}
+              shares={activeShares}
+              onCreate={handleCreateShare}
+              onRevoke={handleRevokeShare}
+            />
+            {/* EXPORT MENU - download or copy the conversation */}
+            <ExportMenu
+              disabled={isLoading || conversation.length === 0}
+              onExport={handleExport}
+              onCopy={handleCopyConversation}
+            />
+          </ThreadSwitcher>
+
+          {/* CHAT CONVERSATION AREA - FIXED HEIGHT (fills the free space when embedded) */}
+          <div
+            style={{
+              height: embedded ? "auto" : `${layout.conversationHeight}px`,
+              flex: embedded ? "1 1 auto" : "none",
+              minHeight: 0,
+              width: "100%",
+              maxWidth: "736px",
+              overflowY: "auto",
+              padding: "0 0 16px 0",
+              display: "flex",
+              flexDirection: "column",
+              gap: "16px",
+            }}
+          >
+            {/* Chat conversation container displaying messages in bubbles */}
+            <div
+              className="chat-container"
+              style={{
+                display: "flex",
+                flexDirection: "column",
+                gap: themeVar("messageGap"),
+                marginBottom: "5px",
+                maxHeight: "100%",
+                overflowY: "auto",
+                border: "none",
+                padding: "0",
+                borderRadius: 0,
+                background: "none",
+                width: "100%",
+                boxSizing: "border-box",
+              }}
+            >
+              {/* HEADER - the persona's title and introduction, until the first message */}
+              {conversation.length === 0 && (header.title || header.description) && (
+                <div style={{ padding: "8px 0 16px 0", fontFamily: themeVar("fontFamily") }}>
+                  {header.title && (
+                    <div style={{ color: themeVar("textColor"), fontSize: "20px", fontWeight: 700, lineHeight: "normal" }}>
+                      {header.title}
+                    </div>
+                  )}
+                  {header.description && (
+                    <div style={{ color: themeVar("mutedTextColor"), fontSize: themeVar("fontSize"), fontWeight: 400, lineHeight: "normal", marginTop: "4px" }}>
+                      {header.description}
+                    </div>
+                  )}
+                </div>
+              )}
+
+              {/* WELCOME MESSAGE - shown as the first agent bubble (never sent to the flow) */}
+              {config.welcomeMessage && (
+                <MessageBubble message={{ role: "agent", content: config.welcomeMessage }} />
+              )}
+
+              {conversation.map((msg, index) => {
+                const feedback = feedbackArr[index] || { like: false, dislike: false, copied: false };
+                // User messages: the bubble (or the editor), then Edit and the branch pager.
+                if (msg.role === "user") {
+                  const branch = branches[index];
+                  return (
+                    <Fragment key={index}>
+                      {editingIdx === index ? (
+                        <MessageEditor
+                          value={editText}
+                          onChange={setEditText}
+                          onSubmit={() => handleEditSubmit(index)}
+                          onCancel={() => setEditingIdx(null)}
+                          disabled={isLoading || cooldownSeconds > 0}
+                        />
+                      ) : (
+                        <MessageBubble message={msg} />
+                      )}
+                      <div style={{ display: "flex", justifyContent: "flex-end", alignItems: "center", gap: "4px" }}>
+                        {branch && (
+                          <BranchPager
+                            active={branch.active}
+                            count={branch.versions.length}
+                            onSelect={(version) => handleSwitchBranch(index, version)}
+                            disabled={isLoading}
+                          />
+                        )}
+                        {editingIdx !== index && (
+                          <button
+                            type="button"
+                            onClick={() => {
+                              setEditText(msg.content);
+                              setEditingIdx(index);
+                            }}
+                            disabled={isLoading}
+                            aria-label={t("message.editLabel")}
+                            style={textActionStyle(!isLoading)}
+                          >
+                            {t("message.edit")}
+                          </button>
+                        )}
+                      </div>
+                    </Fragment>
+                  );
+                }
+                return (
+                  <MessageBubble key={index} message={msg}>
+                    {/* Feedback stack container below text */}
+                    <div style={{ display: "flex", height: "30px", alignItems: "center", alignSelf: "stretch", justifyContent: "flex-start", marginInlineStart: "40px" }}>
+                      <div style={{ display: "flex", height: "30px", justifyContent: "flex-start", alignItems: "center", gap: "-11.647px" }}>
+                        {/* No votes on error bubbles: they aren't answers from the agent */}
+                        {!msg.error && (
+                          <Fragment>
+                            <ReplyActionButton
+                              label={t("reply.like")}
+                              ariaLabel={t("reply.likeLabel")}
+                              active={feedback.like}
+                              toggle
+                              onClick={() => handleFeedback(index, "like")}
+                            />
+                            <ReplyActionButton
+                              label={t("reply.dislike")}
+                              ariaLabel={t("reply.dislikeLabel")}
+                              active={feedback.dislike}
+                              toggle
+                              onClick={() => handleFeedback(index, "dislike")}
+                            />
+                          </Fragment>
+                        )}
+                        <ReplyActionButton
+                          label={t("reply.copy")}
+                          ariaLabel={feedback.copied ? t("reply.copiedLabel") : t("reply.copyLabel")}
+                          active={feedback.copied}
+                          onClick={() => handleCopy(msg.content, index)}
+                        />
+                        {/* Regenerate: ask again for a new answer */}
+                        <button
+                          type="button"
+                          onClick={() => handleRegenerate(index)}
+                          disabled={isLoading}
+                          style={textActionStyle(!isLoading)}
+                        >
+                          {t("reply.regenerate")}
+                        </button>
+                      </div>
+                    </div>
+                    {/* Optional reason picker after a dislike */}
+                    {reasonPickerIdx === index && (
+                      <FeedbackReasonPicker
+                        reasons={config.feedbackReasons}
+                        onSubmit={(details) => handleReasonSubmit(index, details)}
+                        onCancel={() => setReasonPickerIdx(null)}
+                      />
+                    )}
+                  </MessageBubble>
+                );
+              })}
+            
+              {/* THINKING STATE - Show when loading, until the first streamed text arrives */}
+              {isLoading && !isStreaming && (
+                <div
+                  style={{
+                    display: "flex",
+                    alignItems: "center",
+                    gap: "8px",
+                    padding: "19px 13px",
+                    borderRadius: themeVar("bubbleRadius"),
+                    background: "none",
+                    color: themeVar("subtleTextColor"),
+                    fontFamily: themeVar("fontFamily"),
+                    fontSize: themeVar("fontSize"),
+                    fontStyle: "normal",
+                    fontWeight: 400,
+                    lineHeight: "normal",
+                    alignSelf: "flex-start",
+                    margin: 0,
+                    width: "100%",
+                    maxWidth: "100%",
+                    position: "relative",
+                    boxSizing: "border-box",
+                  }}
+                >
+                  <div style={{ display: "flex", width: "100%", flexDirection: "column", alignItems: "flex-start" }}>
+                    <div style={{
+                      color: themeVar("subtleTextColor"),
+                      fontFamily: themeVar("fontFamily"),
+                      fontSize: themeVar("fontSize"),
+                      fontStyle: "normal",
+                      fontWeight: 400,
+                      lineHeight: "normal",
+                      marginInlineStart: "40px",
+                      paddingBottom: "5px",
+                      display: "flex",
+                      alignItems: "center",
+                      gap: "8px"
+                    }}>
+                      <div style={{
+                        width: "16px",
+                        height: "16px",
+                        border: `2px solid ${themeVar("subtleTextColor")}`,
+                        borderTop: "2px solid transparent",
+                        borderRadius: "50%",
+                        animation: "spin 1s linear infinite"
+                      }}></div>
+                      {config.thinkingLabel}
+                    </div>
+                  </div>
+                </div>
+              )}
+              <div ref={messagesEndRef} />
+            </div>
+          </div>
+
+          {/* LIVE REGION - screen readers read out new replies, errors and "copied" */}
+          <div className="visually-hidden" role="status" aria-live="polite" aria-atomic="true">
+            {announcement}
+          </div>
+
+          {/* BOTTOM SECTION - Pills and Input - FIXED HEIGHT */}
+          <div
+            style={{
+              height: embedded ? "auto" : `${layout.inputAreaHeight}px`,
+              flexShrink: 0,
+              display: "flex",
+              flexDirection: "column",
+              alignItems: "center",
+              gap: "16px",
+              width: "100%",
+              maxWidth: "736px",
+            }}
+          >
+            {/* SUGGESTION PILLS TITLE */}
+            {showPills && suggestions.length > 0 && config.suggestedPromptsTitle && (
+              <div
+                style={{
+                  alignSelf: "flex-start",
+                  color: themeVar("mutedTextColor"),
+                  fontFamily: themeVar("fontFamily"),
+                  fontSize: "12px",
+                  fontWeight: 400,
+                  lineHeight: "normal",
+                }}
+              >
+                {config.suggestedPromptsTitle}
+              </div>
+            )}
+
+            {/* SUGGESTION PILLS GRID - HIDE AFTER FIRST INTERACTION */}
+            {showPills && suggestions.length > 0 && (
+            <div
+              role="toolbar"
+              aria-label={config.suggestedPromptsTitle || t("pills.label")}
+              style={{
+                display: "grid",
+                height: "auto",
+                maxHeight: "76px",
+                padding: "16px 0",
+                rowGap: "16px",
+                columnGap: "16px",
+                alignSelf: "stretch",
+                gridTemplateRows: "repeat(1, minmax(0, 1fr))",
+                gridTemplateColumns: `repeat(${Math.max(suggestions.length, 6)}, minmax(0, 1fr))`,
+                width: "100%",
+                maxWidth: "744px",
+                boxSizing: "border-box",
+                background: themeVar("backgroundColor"),
+                overflow: "visible",
+                position: "relative",
+                zIndex: 10,
+                margin: "0",
+              }}
+            >
+            {suggestions.map((s, idx) => (
+              <button
+                key={s.title}
+                type="button"
+                ref={(el) => (pillRefs.current[idx] = el)}
+                tabIndex={idx === Math.min(pillFocusIdx, suggestions.length - 1) ? 0 : -1}
+                onMouseEnter={() => {
+                  setPreviewMessage(s.message);
+                  track("pill_hover", { index: idx, title: pillTitleForAnalytics(idx) });
+                }}
+                onMouseLeave={() => setPreviewMessage(null)}
+                onFocus={() => {
+                  setPillFocusIdx(idx);
+                  setPreviewMessage(s.message);
+                }}
+                onBlur={() => setPreviewMessage(null)}
+                onKeyDown={(e) => handlePillKeyDown(e, idx)}
+                onClick={() => handlePillClick(idx)}
+                style={{
+                  display: "flex",
+                  width: "59.559px",
+                  height: "75px",
+                  flexDirection: "column",
+                  alignItems: "center",
+                  gap: "3px",
+                  flexShrink: 0,
+                  gridRow: "1 / span 1",
+                  gridColumn: `${idx + 1} / span 1`,
+                  cursor: "pointer",
+                  boxSizing: "border-box",
+                  padding: 0,
+                  border: "none",
+                  background: "none",
+                  color: "inherit",
+                  font: "inherit",
+                }}
+              >
+                <span
+                  className="suggestion-circle"
+                >
+                  {/* The pill's icon: an image URL, an emoji, or a plain dot */}
+                  {s.icon && /^(\/|https?:)/.test(s.icon) ? (
+                    <img className="suggestion-icon" src={s.icon} alt="" style={{ objectFit: "contain" }} />
+                  ) : s.icon ? (
+                    <span className="suggestion-icon" aria-hidden="true">{s.icon}</span>
+                  ) : (
+                    <span className="suggestion-icon" style={{ borderRadius: "50%", background: themeVar("badgeColor") }} />
+                  )}
+                </span>
+                <span
+                  style={{
+                    display: "block",
+                    width: "100%",
+                    color: themeVar("textColor"),
+                    textAlign: "center",
+                    fontFamily: themeVar("fontFamily"),
+                    fontSize: themeVar("fontSize"),
+                    fontStyle: "normal",
+                    fontWeight: 400,
+                    lineHeight: "normal",
+                    overflow: "hidden",
+                    textOverflow: "ellipsis",
+                    whiteSpace: "nowrap",
+                  }}
+                >
+                  {s.title}
+                </span>
+              </button>
+            ))}
+          
+            {/* THINKING STATE - Show when loading */}
+            {isLoading && (
+              <div
+                style={{
+                  display: "flex",
+                  alignItems: "center",
+                  gap: "8px",
+                  padding: "19px 13px",
+                  borderRadius: themeVar("bubbleRadius"),
+                  background: "none",
+                  color: themeVar("subtleTextColor"),
+                  fontFamily: themeVar("fontFamily"),
+                  fontSize: themeVar("fontSize"),
+                  fontStyle: "normal",
+                  fontWeight: 400,
+                  lineHeight: "normal",
+                  alignSelf: "flex-start",
+                  margin: 0,
+                  width: "100%",
+                  maxWidth: "731px",
+                  position: "relative",
+                  boxSizing: "border-box",
+                }}
+              >
+                <div style={{ display: "flex", width: "731px", flexDirection: "column", alignItems: "flex-start" }}>
+                  <div style={{
+                    color: themeVar("subtleTextColor"),
+                    fontFamily: themeVar("fontFamily"),
+                    fontSize: themeVar("fontSize"),
+                    fontStyle: "normal",
+                    fontWeight: 400,
+                    lineHeight: "normal",
+                    marginInlineStart: "40px",
+                    paddingBottom: "5px",
+                    display: "flex",
+                    alignItems: "center",
+                    gap: "8px"
+                  }}>
+                    <div style={{
+                      width: "16px",
+                      height: "16px",
+                      border: `2px solid ${themeVar("subtleTextColor")}`,
+                      borderTop: "2px solid transparent",
+                      borderRadius: "50%",
+                      animation: "spin 1s linear infinite"
+                    }}></div>
+                    {config.thinkingLabel}
+                  </div>
+                </div>
+              </div>
+            )}
+          </div>
+          )}
+        
+           {/* COOLDOWN NOTICE - shown while rate-limited */}
+           {cooldownSeconds > 0 && (
+             <div
+               role="status"
+               style={{
+                 width: "100%",
+                 padding: "8px 16px",
+                 borderRadius: themeVar("bubbleRadius"),
+                 background: themeVar("surfaceColor"),
+                 color: themeVar("mutedTextColor"),
+                 fontFamily: themeVar("fontFamily"),
+                 fontSize: "12px",
+                 fontStyle: "normal",
+                 fontWeight: 400,
+                 lineHeight: "normal",
+                 boxSizing: "border-box",
+               }}
+             >
+               {t("cooldown", { seconds: cooldownSeconds })}
+             </div>
+           )}
+
+           {/* SEND NOTICE - an edit or a regenerate that didn't go through */}
+           {error && (
+             <div
+               role="alert"
+               style={{
+                 width: "100%",
+                 padding: "8px 16px",
+                 borderRadius: themeVar("bubbleRadius"),
+                 background: themeVar("surfaceColor"),
+                 color: themeVar("errorColor"),
+                 fontFamily: themeVar("fontFamily"),
+                 fontSize: "12px",
+                 fontStyle: "normal",
+                 fontWeight: 400,
+                 lineHeight: "normal",
+                 boxSizing: "border-box",
+               }}
+             >
+               {error}
+             </div>
+           )}
+
+           {/* ATTACHMENT NOTICE - why files were refused */}
+           {attachmentError && (
+             <div
+               style={{
+                 width: "100%",
+                 padding: "8px 16px",
+                 borderRadius: themeVar("bubbleRadius"),
+                 background: themeVar("surfaceColor"),
+                 color: themeVar("errorColor"),
+                 fontFamily: themeVar("fontFamily"),
+                 fontSize: "12px",
+                 fontStyle: "normal",
+                 fontWeight: 400,
+                 lineHeight: "normal",
+                 boxSizing: "border-box",
+               }}
+             >
+               {attachmentError}
+             </div>
+           )}
+
+           {/* Chat input form - Clean without card container */}
+           <form onSubmit={handleSubmit} style={{ border: "none", background: "none", padding: "8px 0 0 0", margin: 0, width: "100%", display: "flex", flexDirection: "column" }}>
+             {/* ATTACHMENTS - the files going with the next message */}
+             {attachments.length > 0 && (
+               <ul
+                 aria-label={t("attachments.label")}
+                 style={{ listStyle: "none", display: "flex", flexWrap: "wrap", gap: "6px", margin: 0, padding: "0 0 8px 0" }}
+               >
+                 {attachments.map((item) => (
+                   <li key={item.id}>
+                     <AttachmentChip attachment={item} onRemove={() => removeAttachment(item.id)} />
+                   </li>
+                 ))}
+               </ul>
+             )}
+             <div
+               className="chat-input-container"
+               style={{
+                 display: "flex",
+                 // The send button stays at the bottom as the message box grows.
+                 alignItems: "flex-end",
+                 minHeight: "48px",
+                 background: themeVar("controlColor"),
+                 border: `1px solid ${themeVar("borderColor")}`,
+                 borderRadius: themeVar("inputRadius"),
+                 padding: "7px 16px",
+                 boxSizing: "border-box",
+                 position: "relative",
+                 margin: "0",
+                 overflow: "hidden",
+               }}
+             >
+               <label htmlFor="message" className="visually-hidden">
+                 {config.chatInputLabel}
+               </label>
+               <span id="message-hint" className="visually-hidden">
+                 {t("input.hint")}
+               </span>
+               {/* Attach button - opens the file picker (hidden when attachments are off) */}
+               {attachmentLimits && (
+                 <Fragment>
+                   <input
+                     ref={fileInputRef}
+                     type="file"
+                     multiple
+                     accept={attachmentLimits.allowedTypes.join(",")}
+                     onChange={(e) => {
+                       addFiles(e.target.files);
+                       // Lets the same file be picked again after removing it.
+                       e.target.value = "";
+                     }}
+                     hidden
+                   />
+                   <button
+                     type="button"
+                     aria-label={t("attachments.add")}
+                     title={t("attachments.add")}
+                     onClick={() => fileInputRef.current?.click()}
+                     style={{
+                       background: "none",
+                       color: themeVar("mutedTextColor"),
+                       border: "none",
+                       cursor: "pointer",
+                       padding: "6px",
+                       margin: 0,
+                       marginInlineEnd: "4px",
+                       width: "32px",
+                       height: "32px",
+                       borderRadius: "16px",
+                       display: "flex",
+                       alignItems: "center",
+                       justifyContent: "center",
+                       flexShrink: 0,
+                     }}
+                   >
+                     <svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" aria-hidden="true">
+                       <path d="M21.44 11.05l-9.19 9.19a6 6 0 0 1-8.49-8.49l9.19-9.19a4 4 0 0 1 5.66 5.66l-9.2 9.19a2 2 0 0 1-2.83-2.83l8.49-8.48" stroke="currentColor" strokeWidth="1.8" strokeLinecap="round" strokeLinejoin="round"/>
+                     </svg>
+                   </button>
+                 </Fragment>
+               )}
+               <textarea
+                 ref={inputRef}
+                 id="message"
+                 rows={1}
+                 placeholder={config.chatInputPlaceholder}
+                 value={previewMessage ?? message}
+                 onChange={handleInputChange}
+                 onKeyDown={handleInputKeyDown}
+                 onPaste={handlePaste}
+                 aria-describedby={showCounter ? "message-hint message-counter" : "message-hint"}
+                 aria-invalid={tooLong || undefined}
+                 style={{
+                   flex: "1",
+                   minWidth: "0",
+                   maxHeight: `${INPUT_MAX_HEIGHT}px`,
+                   color: themeVar("textColor"),
+                   fontFamily: themeVar("fontFamily"),
+                   fontSize: themeVar("fontSize"),
+                   fontStyle: "normal",
+                   fontWeight: 400,
+                   lineHeight: "20px",
+                   border: "none",
+                   outline: "none",
+                   background: "transparent",
+                   boxSizing: "border-box",
+                   padding: "6px 0",
+                   paddingInlineEnd: "8px",
+                   margin: 0,
+                   resize: "none",
+                   overflowY: "auto",
+                 }}
+               />
+               {/* Stop button - replaces the send button while a reply is pending */}
+               {isLoading ? (
+               <button
+                 type="button"
+                 aria-label={t("input.stop")}
+                 data-testid="stop-button"
+                 onClick={handleStop}
+                 style={{
+                   background: themeVar("accentColor"),
+                   color: themeVar("accentTextColor"),
+                   border: "none",
+                   cursor: "pointer",
+                   padding: "8px",
+                   margin: "0",
+                   width: "32px",
+                   height: "32px",
+                   borderRadius: "16px",
+                   display: "flex",
+                   alignItems: "center",
+                   justifyContent: "center",
+                   flexShrink: 0,
+                   boxShadow: "0 2px 4px rgba(0, 0, 0, 0.1)",
+                 }}
+               >
+                 <svg xmlns="http://www.w3.org/2000/svg" width="12" height="12" viewBox="0 0 12 12" fill="none">
+                   <rect x="1" y="1" width="10" height="10" rx="2" fill="currentColor"/>
+                 </svg>
+               </button>
+               ) : (
+               /* Send button - Inside input field */
+               <button
+                 type="submit"
+                 aria-label={t("input.send")}
+                 data-testid="send-button"
+                 disabled={!canSend}
+                 style={{
+                   background: themeVar("accentColor"),
+                   color: themeVar("accentTextColor"),
+                   border: "none",
+                   cursor: canSend ? "pointer" : "default",
+                   opacity: canSend ? 1 : 0.4,
+                   padding: "8px",
+                   margin: "0",
+                   width: "32px",
+                   height: "32px",
+                   borderRadius: "16px",
+                   display: "flex",
+                   alignItems: "center",
+                   justifyContent: "center",
+                   flexShrink: 0,
+                   boxShadow: "0 2px 4px rgba(0, 0, 0, 0.1)",
+                 }}
+               >
+                 <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 20 21" fill="none">
+                   <path d="M17.4898 9.26352L4.36484 1.77212C4.1436 1.64801 3.88983 1.59416 3.63726 1.6177C3.38468 1.64125 3.14525 1.74109 2.95076 1.90395C2.75628 2.06681 2.61594 2.28499 2.54841 2.52951C2.48087 2.77403 2.48933 3.0333 2.57265 3.2729L4.99452 10.3409C4.99421 10.3435 4.99421 10.3461 4.99452 10.3487C4.99409 10.3513 4.99409 10.3539 4.99452 10.3565L2.57265 17.4401C2.50592 17.6286 2.48538 17.8303 2.51274 18.0284C2.5401 18.2264 2.61458 18.415 2.72991 18.5783C2.84525 18.7417 2.99808 18.8749 3.17557 18.967C3.35307 19.059 3.55005 19.1071 3.74999 19.1073C3.96692 19.1067 4.18004 19.0502 4.36874 18.9432L17.4867 11.4393C17.6802 11.3309 17.8414 11.173 17.9537 10.9817C18.066 10.7905 18.1254 10.5728 18.1258 10.351C18.1262 10.1292 18.0676 9.9113 17.956 9.71964C17.8443 9.52799 17.6837 9.36949 17.4906 9.2604L17.4898 9.26352ZM3.74999 17.8573V17.8502L6.10468 10.9823H10.625C10.7908 10.9823 10.9497 10.9164 11.0669 10.7992C11.1841 10.682 11.25 10.523 11.25 10.3573C11.25 10.1915 11.1841 10.0325 11.0669 9.91533C10.9497 9.79812 10.7908 9.73227 10.625 9.73227H6.11093L3.75468 2.86665L3.74999 2.85727L16.875 10.344L3.74999 17.8573Z" fill="currentColor"/>
+                 </svg>
+               </button>
+               )}
+             </div>
+             {/* Character counter - shown near the proxy's message length limit */}
+             {showCounter && (
+               <div
+                 id="message-counter"
+                 style={{
+                   alignSelf: "flex-end",
+                   padding: "4px 16px 0",
+                   color: tooLong ? themeVar("errorColor") : themeVar("subtleTextColor"),
+                   fontFamily: themeVar("fontFamily"),
+                   fontSize: "12px",
+                   fontWeight: tooLong ? 700 : 400,
+                 }}
+               >
+                 {tooLong
+                   ? t("input.tooLong", { over: messageLength - maxMessageLength })
+                   : t("input.counter", { count: messageLength, max: maxMessageLength })}
+               </div>
+             )}
+           </form>
+        
+          {/* DISCLAIMER - badge and small print from the config (hidden when null or empty) */}
+          {disclaimer && (disclaimer.badge || disclaimer.text) && (
+          <div
+            style={{
+              display: "flex",
+              justifyContent: "center",
+              alignItems: "center",
+              gap: "8px",
+              width: "100%",
+              maxWidth: "744px",
+              padding: "8px 12px",
+            }}
+          >
+            {/* Badge (e.g. "BETA") */}
+            {disclaimer.badge && (
+            <div
+              style={{
+                display: "flex",
+                minWidth: "33px",
+                height: "14.143px",
+                padding: "3.367px",
+                justifyContent: "center",
+                alignItems: "center",
+                gap: "6.735px",
+                borderRadius: "14.143px",
+                background: themeVar("badgeColor"),
+                boxSizing: "border-box",
+              }}
+            >
+              <span
+                style={{
+                  flexShrink: 0,
+                  color: themeVar("mutedTextColor"),
+                  textAlign: "center",
+                  fontFamily: themeVar("fontFamily"),
+                  fontSize: "8.082px",
+                  fontStyle: "normal",
+                  fontWeight: 700,
+                  lineHeight: "normal",
+                  letterSpacing: 0,
+                }}
+              >
+                {disclaimer.badge}
+              </span>
+            </div>
+            )}
+            {/* Text holder */}
+            {disclaimer.text && (
+            <div
+              style={{
+                color: themeVar("mutedTextColor"),
+                fontFamily: themeVar("fontFamily"),
+                fontSize: "11px",
+                fontStyle: "normal",
+                fontWeight: 400,
+                lineHeight: "normal",
+                display: "flex",
+                alignItems: "center",
+              }}
+            >
+              {disclaimer.text}
+            </div>
+            )}
+          </div>
+          )}
+        </div>
+        </div>
+
+        {/* Define keyframes for the spin animation and responsive styles */}
+        <style jsx>{`
+          .chat-container::-webkit-scrollbar {
+            width: 8px; /* Make scrollbar thinner */
+          }
+          .chat-container::-webkit-scrollbar-track {
+            background: transparent;
+            border-radius: 5px; /* Ensures the track has rounded corners */
+          }
+          .chat-container::-webkit-scrollbar-thumb {
+            background-color: var(--chai-scrollbar-color);
+            border-radius: 5px;
+          }
+          /* Firefox scrollbar styling */
+          .chat-container {
+            scrollbar-width: thin;
+            scrollbar-color: var(--chai-scrollbar-color) transparent;
+          }
+
+          /* Sizes live here rather than in inline styles, so the breakpoints
+             below can change them without !important. */
+          .main-container {
+            width: 100%;
+            height: 100vh;
+          }
+          .chat-input-container {
+            width: 100%;
+            max-width: 100%;
+          }
+          .chat-input-container:focus-within {
+            outline: 2px solid var(--chai-accent-color);
+            outline-offset: 2px;
+          }
+          .suggestion-circle {
+            width: 59.559px;
+            height: 59.559px;
+            flex-shrink: 0;
+            border-radius: 46px;
+            border: 1px solid var(--chai-pill-border-color);
+            background: var(--chai-pill-color);
+            background-blend-mode: luminosity;
+            backdrop-filter: blur(50px);
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            transition: background 0.2s, border 0.2s;
+          }
+          .suggestion-circle:hover,
+          button:focus-visible .suggestion-circle {
+            background: var(--chai-pill-hover-color);
+          }
+          /* Keyboard focus ring for every control in the chat (buttons of the
+             child components included). */
+          .main-container :global(button:focus-visible) {
+            outline: 2px solid var(--chai-accent-color);
+            outline-offset: 2px;
+          }
+          /* Hidden on screen but read by screen readers (input label, live region). */
+          .visually-hidden {
+            position: absolute;
+            width: 1px;
+            height: 1px;
+            padding: 0;
+            margin: -1px;
+            overflow: hidden;
+            clip: rect(0, 0, 0, 0);
+            white-space: nowrap;
+            border: 0;
+          }
+          .suggestion-icon {
+            width: 24px;
+            height: 24px;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            font-size: 22px;
+            line-height: 1;
+          }
+        
+          /* RESPONSIVE DESIGN - THREE STATES */
+        
+          /* 1. WEBSITE STATE (Desktop) - 1200px and above */
+          @media (min-width: 1200px) {
+            .main-container {
+              width: 785px;
+              height: 700px;
+            }
+          }
+        
+          /* 2. TABLET STATE - 768px to 1199px */
+          @media (min-width: 768px) and (max-width: 1199px) {
+            .chat-input-container {
+              width: 90%;
+              max-width: 600px;
+            }
+            .main-container {
+              width: 90%;
+              max-width: 800px;
+              height: 600px;
+            }
+            .suggestion-circle {
+              width: 35px;
+              height: 35px;
+              border-radius: 17.5px;
+            }
+            .suggestion-icon {
+              width: 18px;
+              height: 18px;
+              font-size: 16px;
+            }
+          }
+        
+          /* 3. MOBILE STATE - Below 768px */
+          @media (max-width: 767px) {
+            .chat-input-container {
+              width: 95%;
+              max-width: 400px;
+            }
+            .main-container {
+              width: 95%;
+              max-width: 450px;
+              height: 500px;
+            }
+            .suggestion-circle {
+              width: 30px;
+              height: 30px;
+              border-radius: 15px;
+            }
+            .suggestion-icon {
+              width: 15px;
+              height: 15px;
+              font-size: 13px;
+            }
+          }
+        
+          /* EMBEDDED STATE - fill the embed.js iframe at every size
+             (two classes, so it beats the breakpoints above) */
+          .main-container.embedded {
+            width: 100%;
+            max-width: none;
+            height: 100vh;
+          }
+
+          /* Ensure no horizontal scrollbar */
+          :global(body),
+          :global(html) {
+            overflow-x: hidden;
+          }
+        
+          * {
+            box-sizing: border-box;
+          }
+        
+          @keyframes spin {
+            from {
+              transform: rotate(0deg);
+            }
+            to {
+              transform: rotate(360deg);
+            }
+          }
+        `}</style>
+      </div>
+    </I18nContext.Provider>
+  );
+}
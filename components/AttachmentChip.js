@@ -0,0 +1,82 @@
+// =============================================================================
+// Attachment Chip
+//
+// One attached file: a thumbnail for images, a file icon for the others, with
+// its name and size. Shown above the message box while composing (with a
+// remove button) and in the user's bubble once sent (see lib/attachments.js).
+// =============================================================================
+
+// Import the translations (see lib/i18n.js).
+import { useI18n } from "../lib/i18n";
+// Import the file size format.
+import { formatFileSize } from "../lib/attachments";
+// Import the theme tokens (see lib/theme.js).
+import { themeVar } from "../lib/theme";
+
+/**
+ * AttachmentChip renders one attached file.
+ *
+ * @param {Object} props
+ * @param {{name: string, type: string, size: number, thumbnail?: string}} props.attachment - The file.
+ * @param {() => void} [props.onRemove] - Shows a remove button when set.
+ * @returns {JSX.Element} The rendered chip.
+ */
+export default function AttachmentChip({ attachment, onRemove }) {
+  const { t } = useI18n();
+
+  return (
+    <span
+      style={{
+        display: "inline-flex",
+        alignItems: "center",
+        gap: "6px",
+        maxWidth: "220px",
+        padding: "4px 8px",
+        borderRadius: themeVar("controlRadius"),
+        border: `1px solid ${themeVar("borderColor")}`,
+        background: themeVar("controlColor"),
+        color: themeVar("textColor"),
+        fontFamily: themeVar("fontFamily"),
+        fontSize: "12px",
+        boxSizing: "border-box",
+      }}
+    >
+      {attachment.thumbnail ? (
+        <img
+          src={attachment.thumbnail}
+          alt=""
+          style={{ width: "32px", height: "32px", objectFit: "cover", borderRadius: "4px", flexShrink: 0 }}
+        />
+      ) : (
+        <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" aria-hidden="true" style={{ flexShrink: 0 }}>
+          <path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8l-6-6Z" stroke="currentColor" strokeWidth="1.5" strokeLinejoin="round"/>
+          <path d="M14 2v6h6" stroke="currentColor" strokeWidth="1.5" strokeLinejoin="round"/>
+        </svg>
+      )}
+      <span style={{ overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap", minWidth: 0 }}>
+        {attachment.name}
+      </span>
+      <span style={{ color: themeVar("subtleTextColor"), whiteSpace: "nowrap" }}>
+        {formatFileSize(attachment.size)}
+      </span>
+      {onRemove && (
+        <button
+          type="button"
+          onClick={onRemove}
+          aria-label={t("attachments.remove", { name: attachment.name })}
+          style={{
+            border: "none",
+            background: "none",
+            padding: "0 2px",
+            color: themeVar("mutedTextColor"),
+            fontSize: "14px",
+            lineHeight: 1,
+            cursor: "pointer",
+          }}
+        >
+          ×
+        </button>
+      )}
+    </span>
+  );
+}
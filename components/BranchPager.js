@@ -0,0 +1,70 @@
+// =============================================================================
+// Branch Pager
+//
+// Shown under a user message that was edited or regenerated: "‹ 2 / 3 ›"
+// pages between the versions of the conversation from that message on
+// (see lib/branches.js).
+// =============================================================================
+
+// Import the theme tokens (see lib/theme.js).
+import { themeVar } from "../lib/theme";
+// Import the translations (see lib/i18n.js).
+import { useI18n } from "../lib/i18n";
+
+/**
+ * BranchPager renders previous/next arrows around the version number.
+ *
+ * @param {Object} props
+ * @param {number} props.active - The version being shown (0-based).
+ * @param {number} props.count - The number of versions.
+ * @param {(version: number) => void} props.onSelect - Called with the version to show.
+ * @param {boolean} props.disabled - True while a reply is pending.
+ * @returns {JSX.Element} The rendered pager.
+ */
+export default function BranchPager({ active, count, onSelect, disabled }) {
+  const { t } = useI18n();
+  const arrowStyle = (enabled) => ({
+    padding: "0 6px",
+    border: "none",
+    background: "none",
+    color: themeVar("mutedTextColor"),
+    fontFamily: themeVar("fontFamily"),
+    fontSize: "14px",
+    cursor: enabled ? "pointer" : "default",
+    opacity: enabled ? 1 : 0.35,
+  });
+  const canGoBack = !disabled && active > 0;
+  const canGoForward = !disabled && active < count - 1;
+
+  return (
+    <span style={{ display: "inline-flex", alignItems: "center" }}>
+      <button
+        type="button"
+        aria-label={t("branch.previous")}
+        disabled={!canGoBack}
+        onClick={() => onSelect(active - 1)}
+        style={arrowStyle(canGoBack)}
+      >
+        ‹
+      </button>
+      <span
+        style={{
+          color: themeVar("mutedTextColor"),
+          fontFamily: themeVar("fontFamily"),
+          fontSize: "12px",
+        }}
+      >
+        {active + 1} / {count}
+      </span>
+      <button
+        type="button"
+        aria-label={t("branch.next")}
+        disabled={!canGoForward}
+        onClick={() => onSelect(active + 1)}
+        style={arrowStyle(canGoForward)}
+      >
+        ›
+      </button>
+    </span>
+  );
+}
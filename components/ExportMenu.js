@@ -0,0 +1,141 @@
+// =============================================================================
+// Export Menu
+//
+// An "Export" button next to the thread switcher. It opens a small menu to
+// download the open conversation as Markdown, JSON or plain text, or to copy
+// all of it (see lib/exportConversation.js).
+// =============================================================================
+
+import { useEffect, useRef, useState } from "react";
+// Import the export formats offered in the menu.
+import { EXPORT_FORMATS } from "../lib/exportConversation";
+// Import the theme tokens (see lib/theme.js).
+import { themeVar } from "../lib/theme";
+// Import the translations (see lib/i18n.js).
+import { useI18n } from "../lib/i18n";
+
+/**
+ * ExportMenu renders the Export button and its menu.
+ *
+ * @param {Object} props
+ * @param {boolean} props.disabled - Disables the button, e.g. while the chat is empty.
+ * @param {(format: string) => void} props.onExport - Called with a key of EXPORT_FORMATS.
+ * @param {() => Promise<void>} props.onCopy - Copies the conversation to the clipboard.
+ * @returns {JSX.Element} The rendered menu.
+ */
+export default function ExportMenu({ disabled, onExport, onCopy }) {
+  const { t } = useI18n();
+  const [open, setOpen] = useState(false);
+  // True for a moment after the conversation was copied.
+  const [copied, setCopied] = useState(false);
+  const menuRef = useRef(null);
+
+  // Close the menu on a click outside it or on Escape.
+  useEffect(() => {
+    if (!open) return;
+    const handleClick = (e) => {
+      if (menuRef.current && !menuRef.current.contains(e.target)) setOpen(false);
+    };
+    const handleKey = (e) => {
+      if (e.key === "Escape") setOpen(false);
+    };
+    document.addEventListener("mousedown", handleClick);
+    document.addEventListener("keydown", handleKey);
+    return () => {
+      document.removeEventListener("mousedown", handleClick);
+      document.removeEventListener("keydown", handleKey);
+    };
+  }, [open]);
+
+  const handleCopy = () => {
+    onCopy().then(
+      () => {
+        setCopied(true);
+        setTimeout(() => {
+          setCopied(false);
+          setOpen(false);
+        }, 1200);
+      },
+      () => {}
+    );
+  };
+
+  const textStyle = {
+    color: themeVar("mutedTextColor"),
+    fontFamily: themeVar("fontFamily"),
+    fontSize: "12px",
+    fontStyle: "normal",
+    fontWeight: 400,
+    lineHeight: "normal",
+  };
+
+  const itemStyle = {
+    ...textStyle,
+    display: "block",
+    width: "100%",
+    padding: "6px 12px",
+    border: "none",
+    background: "none",
+    textAlign: "start",
+    whiteSpace: "nowrap",
+    cursor: "pointer",
+  };
+
+  return (
+    <div ref={menuRef} style={{ position: "relative" }}>
+      <button
+        type="button"
+        onClick={() => setOpen(!open)}
+        disabled={disabled}
+        aria-haspopup="menu"
+        aria-expanded={open}
+        style={{
+          ...textStyle,
+          padding: "4px 10px",
+          borderRadius: themeVar("controlRadius"),
+          border: `1px solid ${themeVar("borderColor")}`,
+          background: themeVar("controlColor"),
+          cursor: disabled ? "default" : "pointer",
+          whiteSpace: "nowrap",
+        }}
+      >
+        {t("export.button")}
+      </button>
+      {open && !disabled && (
+        <div
+          role="menu"
+          style={{
+            position: "absolute",
+            top: "100%",
+            insetInlineEnd: 0,
+            marginTop: "4px",
+            padding: "4px 0",
+            borderRadius: "8px",
+            border: `1px solid ${themeVar("borderColor")}`,
+            background: themeVar("controlColor"),
+            boxShadow: themeVar("cardShadow"),
+            zIndex: 1000,
+          }}
+        >
+          {Object.entries(EXPORT_FORMATS).map(([key, { label }]) => (
+            <button
+              key={key}
+              type="button"
+              role="menuitem"
+              onClick={() => {
+                onExport(key);
+                setOpen(false);
+              }}
+              style={itemStyle}
+            >
+              {t("export.download", { format: label })}
+            </button>
+          ))}
+          <button type="button" role="menuitem" onClick={handleCopy} style={itemStyle}>
+            {copied ? t("export.copied") : t("export.copyAll")}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
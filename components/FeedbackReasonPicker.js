@@ -0,0 +1,118 @@
+// =============================================================================
+// Feedback Reason Picker
+//
+// Shown under an agent message after the visitor dislikes it. Lets them pick
+// an optional reason and leave a free-text comment before sending, or skip.
+// =============================================================================
+
+import { useState } from "react";
+// Import the theme tokens (see lib/theme.js).
+import { themeVar } from "../lib/theme";
+// Import the translations (see lib/i18n.js).
+import { useI18n } from "../lib/i18n";
+
+/**
+ * FeedbackReasonPicker renders reason chips, a comment box and Send/Skip actions.
+ *
+ * @param {Object} props
+ * @param {string[]} props.reasons - The reasons to offer (from the chat config).
+ * @param {(details: {reason: string|null, comment: string}) => void} props.onSubmit - Called with the chosen reason and comment.
+ * @param {() => void} props.onCancel - Called when the visitor skips.
+ * @returns {JSX.Element} The rendered picker.
+ */
+export default function FeedbackReasonPicker({ reasons, onSubmit, onCancel }) {
+  // The selected reason (null when none is picked).
+  const { t } = useI18n();
+  const [reason, setReason] = useState(null);
+  // The optional free-text comment.
+  const [comment, setComment] = useState("");
+
+  const textStyle = {
+    color: themeVar("mutedTextColor"),
+    fontFamily: themeVar("fontFamily"),
+    fontSize: "12px",
+    fontStyle: "normal",
+    fontWeight: 400,
+    lineHeight: "normal",
+  };
+
+  return (
+    <div
+      style={{
+        display: "flex",
+        flexDirection: "column",
+        gap: "8px",
+        marginInlineStart: "40px",
+        marginTop: "4px",
+        padding: "12px",
+        borderRadius: themeVar("bubbleRadius"),
+        background: themeVar("surfaceColor"),
+        maxWidth: "480px",
+        boxSizing: "border-box",
+      }}
+    >
+      <span style={{ ...textStyle, fontWeight: 700 }}>{t("reasons.title")}</span>
+      <div style={{ display: "flex", flexWrap: "wrap", gap: "6px" }}>
+        {reasons.map((r) => (
+          <button
+            key={r}
+            type="button"
+            aria-pressed={reason === r}
+            onClick={() => setReason(reason === r ? null : r)}
+            style={{
+              ...textStyle,
+              padding: "4px 10px",
+              borderRadius: themeVar("controlRadius"),
+              border: `1px solid ${themeVar("borderColor")}`,
+              background: reason === r ? themeVar("badgeColor") : themeVar("controlColor"),
+              cursor: "pointer",
+            }}
+          >
+            {r}
+          </button>
+        ))}
+      </div>
+      <textarea
+        value={comment}
+        onChange={(e) => setComment(e.target.value)}
+        placeholder={t("reasons.comment")}
+        aria-label={t("reasons.comment")}
+        maxLength={1000}
+        rows={2}
+        style={{
+          ...textStyle,
+          resize: "vertical",
+          padding: "8px",
+          borderRadius: "8px",
+          border: `1px solid ${themeVar("borderColor")}`,
+          outline: "none",
+          background: themeVar("controlColor"),
+        }}
+      />
+      <div style={{ display: "flex", justifyContent: "flex-end", gap: "8px" }}>
+        <button
+          type="button"
+          onClick={onCancel}
+          style={{ ...textStyle, padding: "4px 10px", border: "none", background: "none", cursor: "pointer" }}
+        >
+          {t("reasons.skip")}
+        </button>
+        <button
+          type="button"
+          onClick={() => onSubmit({ reason, comment: comment.trim() })}
+          style={{
+            ...textStyle,
+            color: themeVar("accentTextColor"),
+            padding: "4px 12px",
+            borderRadius: themeVar("controlRadius"),
+            border: "none",
+            background: themeVar("accentColor"),
+            cursor: "pointer",
+          }}
+        >
+          {t("reasons.submit")}
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,194 @@
+// =============================================================================
+// Markdown Message
+//
+// Renders the Markdown text of an agent reply:
+// - GitHub Flavored Markdown: tables, task lists, strikethrough, autolinks.
+// - Fenced code blocks with syntax highlighting and a copy button.
+// - Links open in a new tab (rel="noopener noreferrer"), outside the iframe.
+// - Raw HTML is never rendered, and unsafe URLs (javascript:, data:, ...)
+//   are removed, so a reply can't inject scripts into the page.
+// =============================================================================
+
+import { useRef, useState } from "react";
+// Import react-markdown and its plugins.
+import ReactMarkdown from "react-markdown";
+import remarkGfm from "remark-gfm";
+import rehypeSanitize from "rehype-sanitize";
+import rehypeHighlight from "rehype-highlight";
+// Import the theme tokens (see lib/theme.js).
+import { themeVar } from "../lib/theme";
+// Import the translations (see lib/i18n.js).
+import { useI18n } from "../lib/i18n";
+
+// Plugins: parse GFM, strip anything unsafe, then highlight code.
+// Sanitizing first keeps the highlighter's classes (added afterwards).
+const remarkPlugins = [remarkGfm];
+const rehypePlugins = [rehypeSanitize, [rehypeHighlight, { detect: false }]];
+
+/**
+ * A fenced code block with a copy button.
+ *
+ * @param {Object} props
+ * @param {React.ReactNode} props.children - The highlighted <code> element.
+ * @returns {JSX.Element} The rendered code block.
+ */
+const CodeBlock = ({ children }) => {
+  const { t } = useI18n();
+  const preRef = useRef(null);
+  // True for a moment after the code was copied.
+  const [copied, setCopied] = useState(false);
+
+  const handleCopy = () => {
+    const text = preRef.current ? preRef.current.innerText : "";
+    navigator.clipboard.writeText(text).then(
+      () => {
+        setCopied(true);
+        setTimeout(() => setCopied(false), 1500);
+      },
+      () => {}
+    );
+  };
+
+  return (
+    <div style={{ position: "relative", margin: "8px 0" }}>
+      <button
+        type="button"
+        onClick={handleCopy}
+        aria-label={t("code.copyLabel")}
+        style={{
+          position: "absolute",
+          top: "6px",
+          insetInlineEnd: "6px",
+          padding: "2px 8px",
+          borderRadius: themeVar("controlRadius"),
+          border: `1px solid ${themeVar("borderColor")}`,
+          background: themeVar("controlColor"),
+          color: themeVar("mutedTextColor"),
+          fontFamily: themeVar("fontFamily"),
+          fontSize: "11px",
+          cursor: "pointer",
+        }}
+      >
+        {copied ? t("code.copied") : t("code.copy")}
+      </button>
+      {/* Code reads left to right, also in RTL languages */}
+      <pre
+        ref={preRef}
+        dir="ltr"
+        style={{
+          margin: 0,
+          padding: "12px",
+          paddingTop: "28px",
+          borderRadius: "8px",
+          background: themeVar("codeBackgroundColor"),
+          color: themeVar("codeTextColor"),
+          overflowX: "auto",
+          fontSize: "13px",
+          lineHeight: 1.5,
+        }}
+      >
+        {children}
+      </pre>
+    </div>
+  );
+};
+
+// Replacements for the elements react-markdown renders.
+const components = {
+  // Open links outside the chat (and outside the embed iframe).
+  a: ({ node, ...props }) => <a {...props} target="_blank" rel="noopener noreferrer" />,
+  pre: ({ node, children }) => <CodeBlock>{children}</CodeBlock>,
+  // Wide tables scroll instead of stretching the bubble.
+  table: ({ node, ...props }) => (
+    <div style={{ overflowX: "auto", maxWidth: "100%" }}>
+      <table {...props} />
+    </div>
+  ),
+};
+
+/**
+ * MarkdownMessage renders one agent reply.
+ *
+ * @param {Object} props
+ * @param {string} props.content - The Markdown text.
+ * @returns {JSX.Element} The rendered reply.
+ */
+export default function MarkdownMessage({ content }) {
+  return (
+    <div className="markdown">
+      <ReactMarkdown
+        remarkPlugins={remarkPlugins}
+        rehypePlugins={rehypePlugins}
+        components={components}
+        skipHtml
+      >
+        {content}
+      </ReactMarkdown>
+
+      {/* The elements come from react-markdown, so they are styled through :global() */}
+      <style jsx>{`
+        .markdown :global(p) {
+          margin: 0 0 8px 0;
+        }
+        .markdown :global(p:last-child) {
+          margin-bottom: 0;
+        }
+        .markdown :global(a) {
+          color: var(--chai-accent-color);
+        }
+        .markdown :global(:not(pre) > code) {
+          padding: 1px 4px;
+          border-radius: 4px;
+          background: var(--chai-code-background-color);
+          font-size: 0.9em;
+        }
+        .markdown :global(table) {
+          border-collapse: collapse;
+          margin: 8px 0;
+        }
+        .markdown :global(th),
+        .markdown :global(td) {
+          padding: 4px 10px;
+          border: 1px solid var(--chai-border-color);
+          text-align: start;
+        }
+        .markdown :global(th) {
+          background: var(--chai-surface-color);
+        }
+        .markdown :global(ul.contains-task-list) {
+          list-style: none;
+          padding-inline-start: 4px;
+        }
+        .markdown :global(blockquote) {
+          margin: 8px 0;
+          padding-inline-start: 12px;
+          border-inline-start: 3px solid var(--chai-border-color);
+          color: var(--chai-muted-text-color);
+        }
+
+        /* Syntax highlighting (class names from highlight.js) */
+        .markdown :global(.hljs-keyword),
+        .markdown :global(.hljs-built_in),
+        .markdown :global(.hljs-selector-tag),
+        .markdown :global(.hljs-literal) {
+          color: var(--chai-code-keyword-color);
+        }
+        .markdown :global(.hljs-string),
+        .markdown :global(.hljs-attr),
+        .markdown :global(.hljs-template-string) {
+          color: var(--chai-code-string-color);
+        }
+        .markdown :global(.hljs-number),
+        .markdown :global(.hljs-title),
+        .markdown :global(.hljs-type) {
+          color: var(--chai-code-number-color);
+        }
+        .markdown :global(.hljs-comment),
+        .markdown :global(.hljs-quote) {
+          color: var(--chai-code-comment-color);
+          font-style: italic;
+        }
+      `}</style>
+    </div>
+  );
+}
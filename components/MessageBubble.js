@@ -0,0 +1,126 @@
+// =============================================================================
+// Message Bubble
+//
+// Renders one chat message: user messages as plain text in a bubble on the
+// right (with their attached files, if any), agent replies as Markdown on the
+// left. Used by the chat and by the read-only shared conversation page, so
+// both look the same.
+// =============================================================================
+
+// Import the Markdown renderer for agent replies (GFM, code blocks, safe links).
+import MarkdownMessage from "./MarkdownMessage";
+// Import the chip that shows an attached file.
+import AttachmentChip from "./AttachmentChip";
+// Import the theme tokens (see lib/theme.js).
+import { themeVar } from "../lib/theme";
+
+/**
+ * Inline styles for chat bubbles based on the message role.
+ *
+ * @type {Object}
+ * @property {Object} user - Styles for user messages (right-aligned, on a userBubbleColor background).
+ * @property {Object} agent - Styles for agent messages (left-aligned, on an agentBubbleColor background).
+ */
+export const bubbleStyles = {
+  user: {
+    display: "inline-flex",
+    padding: themeVar("bubblePadding"),
+    justifyContent: "center",
+    alignItems: "center",
+    gap: "10px",
+    borderRadius: themeVar("bubbleRadius"),
+    background: themeVar("userBubbleColor"),
+    color: themeVar("userBubbleTextColor"),
+    fontFamily: themeVar("fontFamily"),
+    fontSize: themeVar("fontSize"),
+    fontStyle: "normal",
+    fontWeight: 400,
+    lineHeight: "normal",
+    alignSelf: "flex-end",
+    margin: "0 0 0 auto",
+    maxWidth: "70%",
+    wordBreak: "break-word",
+    overflowWrap: "break-word",
+  },
+  agent: {
+    display: "inline-flex",
+    padding: themeVar("bubblePadding"),
+    justifyContent: "center",
+    alignItems: "center",
+    gap: "10px",
+    borderRadius: themeVar("bubbleRadius"),
+    background: themeVar("agentBubbleColor"),
+    color: themeVar("agentBubbleTextColor"),
+    fontFamily: themeVar("fontFamily"),
+    fontSize: themeVar("fontSize"),
+    fontStyle: "normal",
+    fontWeight: 400,
+    lineHeight: "normal",
+    alignSelf: "flex-start",
+    margin: 0,
+    width: "100%",
+    maxWidth: "731px",
+    position: "relative",
+    boxSizing: "border-box",
+    wordBreak: "break-word",
+    overflowWrap: "break-word",
+    overflow: "visible",
+  },
+};
+
+// Text styles inside the bubbles.
+const textStyle = {
+  color: themeVar("textColor"),
+  fontFamily: themeVar("fontFamily"),
+  fontSize: themeVar("fontSize"),
+  fontStyle: "normal",
+  fontWeight: 400,
+  lineHeight: "normal",
+  wordBreak: "break-word",
+};
+
+/**
+ * MessageBubble renders one message.
+ *
+ * @param {Object} props
+ * @param {{role: string, content: string, attachments?: Object[]}} props.message - The message
+ *   ("user" or "agent"); see lib/attachments.js for the attachments.
+ * @param {React.ReactNode} [props.children] - Shown under an agent reply (e.g. the feedback icons).
+ * @returns {JSX.Element} The rendered bubble.
+ */
+export default function MessageBubble({ message, children }) {
+  if (message.role === "user") {
+    const attachments = message.attachments || [];
+    return (
+      <div
+        style={
+          attachments.length > 0
+            ? { ...bubbleStyles.user, flexDirection: "column", alignItems: "flex-end" }
+            : bubbleStyles.user
+        }
+      >
+        {attachments.length > 0 && (
+          <span style={{ display: "flex", flexWrap: "wrap", justifyContent: "flex-end", gap: "6px" }}>
+            {attachments.map((attachment, index) => (
+              <AttachmentChip key={index} attachment={attachment} />
+            ))}
+          </span>
+        )}
+        {/* pre-wrap keeps the new lines typed with Shift+Enter */}
+        <span style={{ ...textStyle, overflowWrap: "break-word", whiteSpace: "pre-wrap" }}>{message.content}</span>
+      </div>
+    );
+  }
+
+  return (
+    <div style={bubbleStyles.agent}>
+      <div style={{ display: "flex", width: "100%", flexDirection: "column", alignItems: "flex-start" }}>
+        {/* A div: replies can hold block elements (paragraphs, lists, code blocks) */}
+        <div style={{ ...textStyle, marginInlineStart: "40px", paddingBottom: "5px" }}>
+          <MarkdownMessage content={message.content} />
+        </div>
+        {children}
+      </div>
+    </div>
+  );
+}
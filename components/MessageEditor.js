@@ -0,0 +1,103 @@
+// =============================================================================
+// Message Editor
+//
+// Replaces a user message while the visitor edits it. Sending starts a new
+// branch from that message (see lib/branches.js); the old version stays
+// available in the branch pager.
+// =============================================================================
+
+// Import the theme tokens (see lib/theme.js).
+import { themeVar } from "../lib/theme";
+// Import the translations (see lib/i18n.js).
+import { useI18n } from "../lib/i18n";
+
+/**
+ * MessageEditor renders a text box with Cancel/Send actions.
+ *
+ * @param {Object} props
+ * @param {string} props.value - The edited text.
+ * @param {(value: string) => void} props.onChange - Called as the visitor types.
+ * @param {() => void} props.onSubmit - Called when the visitor sends the edit.
+ * @param {() => void} props.onCancel - Called when the visitor cancels.
+ * @param {boolean} props.disabled - True while a reply is pending.
+ * @returns {JSX.Element} The rendered editor.
+ */
+export default function MessageEditor({ value, onChange, onSubmit, onCancel, disabled }) {
+  const { t } = useI18n();
+  const textStyle = {
+    color: themeVar("textColor"),
+    fontFamily: themeVar("fontFamily"),
+    fontSize: themeVar("fontSize"),
+    fontStyle: "normal",
+    fontWeight: 400,
+    lineHeight: "normal",
+  };
+
+  return (
+    <div
+      style={{
+        display: "flex",
+        flexDirection: "column",
+        gap: "8px",
+        alignSelf: "flex-end",
+        width: "70%",
+        padding: "12px",
+        borderRadius: themeVar("bubbleRadius"),
+        background: themeVar("userBubbleColor"),
+        boxSizing: "border-box",
+      }}
+    >
+      <textarea
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        onKeyDown={(e) => {
+          // Enter sends, Shift+Enter adds a line, Escape cancels.
+          if (e.key === "Enter" && !e.shiftKey) {
+            e.preventDefault();
+            if (!disabled) onSubmit();
+          }
+          if (e.key === "Escape") onCancel();
+        }}
+        aria-label={t("editor.label")}
+        autoFocus
+        rows={3}
+        style={{
+          ...textStyle,
+          resize: "vertical",
+          padding: "8px",
+          borderRadius: "8px",
+          border: `1px solid ${themeVar("borderColor")}`,
+          outline: "none",
+          background: themeVar("controlColor"),
+        }}
+      />
+      <div style={{ display: "flex", justifyContent: "flex-end", gap: "8px" }}>
+        <button
+          type="button"
+          onClick={onCancel}
+          style={{ ...textStyle, fontSize: "12px", padding: "4px 10px", border: "none", background: "none", cursor: "pointer" }}
+        >
+          {t("editor.cancel")}
+        </button>
+        <button
+          type="button"
+          onClick={onSubmit}
+          disabled={disabled || !value.trim()}
+          style={{
+            ...textStyle,
+            fontSize: "12px",
+            color: themeVar("accentTextColor"),
+            padding: "4px 12px",
+            borderRadius: themeVar("controlRadius"),
+            border: "none",
+            background: themeVar("accentColor"),
+            cursor: disabled ? "default" : "pointer",
+            opacity: disabled || !value.trim() ? 0.5 : 1,
+          }}
+        >
+          {t("editor.submit")}
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,129 @@
+// =============================================================================
+// Reply Action Button
+//
+// The like, dislike and copy icons under each agent reply. Each is a real
+// button, so it can be reached with Tab and pressed with Enter or Space, and
+// its name shows in a small label on hover and on keyboard focus.
+// =============================================================================
+
+import { useState } from "react";
+// Import the theme tokens (see lib/theme.js).
+import { themeVar } from "../lib/theme";
+
+/**
+ * The icon shown once the action is active (voted or copied).
+ * @returns {JSX.Element}
+ */
+const ActiveIcon = () => (
+  <svg xmlns="http://www.w3.org/2000/svg" width="19" height="19" viewBox="0 0 19 19" fill="none" aria-hidden="true">
+    <mask id="mask0_149_669" style={{ maskType: 'alpha' }} maskUnits="userSpaceOnUse" x="0" y="0" width="19" height="19">
+      <rect x="0.474731" y="0.23938" width="18.2859" height="18.2859" fill="#D9D9D9"/>
+    </mask>
+    <g mask="url(#mask0_149_669)">
+      <path d="M7.33197 13.9538C6.91292 13.9538 6.55418 13.8046 6.25577 13.5062C5.95735 13.2077 5.80815 12.849 5.80815 12.4299V3.28701C5.80815 2.86796 5.95735 2.50922 6.25577 2.21081C6.55418 1.91239 6.91292 1.76318 7.33197 1.76318H14.1892C14.6082 1.76318 14.967 1.91239 15.2654 2.21081C15.5638 2.50922 15.713 2.86796 15.713 3.28701V12.4299C15.713 12.849 15.5638 13.2077 15.2654 13.5062C14.967 13.8046 14.6082 13.9538 14.1892 13.9538H7.33197ZM4.28432 17.0014C3.86527 17.0014 3.50654 16.8522 3.20812 16.5538C2.90971 16.2554 2.7605 15.8966 2.7605 15.4776V4.81083H4.28432V15.4776H12.6654V17.0014H4.28432Z" fill="currentColor"/>
+    </g>
+  </svg>
+);
+
+/**
+ * The icon shown while the action is inactive.
+ * @returns {JSX.Element}
+ */
+const InactiveIcon = () => (
+  <svg xmlns="http://www.w3.org/2000/svg" width="19" height="19" viewBox="0 0 19 19" fill="none" aria-hidden="true">
+    <mask id="mask0_148_651" style={{ maskType: 'alpha' }} maskUnits="userSpaceOnUse" x="0" y="0" width="19" height="19">
+      <rect x="0.474731" y="0.23938" width="18.2859" height="18.2859" fill="#D9D9D9"/>
+    </mask>
+    <g mask="url(#mask0_148_651)">
+      <path d="M7.33197 13.9538C6.91292 13.9538 6.55418 13.8046 6.25577 13.5062C5.95735 13.2077 5.80815 12.849 5.80815 12.4299V3.28701C5.80815 2.86796 5.95735 2.50922 6.25577 2.21081C6.55418 1.91239 6.91292 1.76318 7.33197 1.76318H14.1892C14.6082 1.76318 14.967 1.91239 15.2654 2.21081C15.5638 2.50922 15.713 2.86796 15.713 3.28701V12.4299C15.713 12.849 15.5638 13.2077 15.2654 13.5062C14.967 13.8046 14.6082 13.9538 14.1892 13.9538H7.33197ZM7.33197 12.4299H14.1892V3.28701H7.33197V12.4299ZM4.28432 17.0014C3.86527 17.0014 3.50654 16.8522 3.20812 16.5538C2.90971 16.2554 2.7605 15.8966 2.7605 15.4776V4.81083H4.28432V15.4776H12.6654V17.0014H4.28432Z" fill="currentColor"/>
+    </g>
+  </svg>
+);
+
+/**
+ * ReplyActionButton renders one icon button with its hover/focus label.
+ *
+ * @param {Object} props
+ * @param {string} props.label - The short name shown in the label ("Like").
+ * @param {string} props.ariaLabel - The name read by screen readers ("Like this reply").
+ * @param {boolean} props.active - Shows the active icon.
+ * @param {boolean} [props.toggle] - True for on/off buttons (like, dislike):
+ *   screen readers then announce them as pressed or not pressed.
+ * @param {() => void} props.onClick - Called when the button is pressed.
+ * @returns {JSX.Element} The rendered button.
+ */
+export default function ReplyActionButton({ label, ariaLabel, active, toggle = false, onClick }) {
+  // Show the label while the pointer is over the button or it has keyboard focus.
+  const [showLabel, setShowLabel] = useState(false);
+
+  return (
+    <button
+      type="button"
+      aria-label={ariaLabel}
+      aria-pressed={toggle ? active : undefined}
+      onClick={onClick}
+      onMouseEnter={() => setShowLabel(true)}
+      onMouseLeave={() => setShowLabel(false)}
+      onFocus={() => setShowLabel(true)}
+      onBlur={() => setShowLabel(false)}
+      style={{
+        width: "18.286px",
+        height: "18.286px",
+        aspectRatio: "18.29/18.29",
+        padding: 0,
+        border: "none",
+        background: "none",
+        color: themeVar("iconColor"),
+        display: "inline-flex",
+        alignItems: "center",
+        justifyContent: "center",
+        marginInlineEnd: "8px",
+        cursor: "pointer",
+        position: "relative",
+      }}
+    >
+      {active ? <ActiveIcon /> : <InactiveIcon />}
+      {showLabel && (
+        <span
+          aria-hidden="true"
+          style={{
+            display: "flex",
+            // Grows with longer translations (see config/locales/).
+            minWidth: "33px",
+            height: "14.143px",
+            padding: "3.367px 6px",
+            boxSizing: "border-box",
+            justifyContent: "center",
+            alignItems: "center",
+            gap: "6.735px",
+            borderRadius: "14.143px",
+            background: themeVar("badgeColor"),
+            position: "absolute",
+            bottom: "100%",
+            left: "50%",
+            transform: "translateX(-50%)",
+            marginBottom: "4px",
+            zIndex: 1000,
+          }}
+        >
+          <span
+            style={{
+              height: "9px",
+              whiteSpace: "nowrap",
+              flexShrink: 0,
+              color: themeVar("mutedTextColor"),
+              textAlign: "center",
+              fontFamily: themeVar("fontFamily"),
+              fontSize: "8.082px",
+              fontStyle: "normal",
+              fontWeight: 700,
+              lineHeight: "normal",
+            }}
+          >
+            {label}
+          </span>
+        </span>
+      )}
+    </button>
+  );
+}
@@ -0,0 +1,206 @@
+// =============================================================================
+// Share Menu
+//
+// A "Share" button next to the thread switcher. It creates a read-only link
+// to a snapshot of the open conversation (see lib/shares.js), with an
+// optional expiry, and lists the thread's links so each can be copied or
+// revoked ("Stop sharing").
+// =============================================================================
+
+import { useEffect, useRef, useState } from "react";
+// Import the theme tokens (see lib/theme.js).
+import { themeVar } from "../lib/theme";
+// Import the translations (see lib/i18n.js).
+import { useI18n } from "../lib/i18n";
+
+// The expiry choices, in days (null: until revoked).
+const EXPIRY_OPTIONS = [null, 1, 7, 30];
+
+/**
+ * ShareMenu renders the Share button and its panel.
+ *
+ * @param {Object} props
+ * @param {boolean} props.disabled - Disables the button, e.g. while the chat is empty.
+ * @param {Object[]} props.shares - The open thread's links: { id, url, revokeToken, expiresAt }.
+ * @param {(expiresInDays: number|null) => Promise<void>} props.onCreate - Creates a link.
+ * @param {(share: Object) => Promise<void>} props.onRevoke - Revokes a link.
+ * @returns {JSX.Element} The rendered menu.
+ */
+export default function ShareMenu({ disabled, shares, onCreate, onRevoke }) {
+  const { t } = useI18n();
+  const [open, setOpen] = useState(false);
+  const [expiryIdx, setExpiryIdx] = useState(0);
+  // True while a request is pending.
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  // The id of the link that was just copied.
+  const [copiedId, setCopiedId] = useState(null);
+  const menuRef = useRef(null);
+
+  // Close the panel on a click outside it or on Escape.
+  useEffect(() => {
+    if (!open) return;
+    const handleClick = (e) => {
+      if (menuRef.current && !menuRef.current.contains(e.target)) setOpen(false);
+    };
+    const handleKey = (e) => {
+      if (e.key === "Escape") setOpen(false);
+    };
+    document.addEventListener("mousedown", handleClick);
+    document.addEventListener("keydown", handleKey);
+    return () => {
+      document.removeEventListener("mousedown", handleClick);
+      document.removeEventListener("keydown", handleKey);
+    };
+  }, [open]);
+
+  /**
+   * Runs a create/revoke request, showing its error in the panel.
+   * @param {() => Promise<void>} action
+   */
+  const run = async (action) => {
+    setBusy(true);
+    setError(null);
+    try {
+      await action();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const linkOf = (share) => `${window.location.origin}${share.url}`;
+
+  const handleCopy = (share) => {
+    navigator.clipboard.writeText(linkOf(share)).then(
+      () => {
+        setCopiedId(share.id);
+        setTimeout(() => setCopiedId(null), 1200);
+      },
+      () => {}
+    );
+  };
+
+  const textStyle = {
+    color: themeVar("mutedTextColor"),
+    fontFamily: themeVar("fontFamily"),
+    fontSize: "12px",
+    fontStyle: "normal",
+    fontWeight: 400,
+    lineHeight: "normal",
+  };
+
+  const actionStyle = {
+    ...textStyle,
+    padding: "4px 10px",
+    borderRadius: themeVar("controlRadius"),
+    border: `1px solid ${themeVar("borderColor")}`,
+    background: themeVar("controlColor"),
+    cursor: busy ? "default" : "pointer",
+    whiteSpace: "nowrap",
+  };
+
+  return (
+    <div ref={menuRef} style={{ position: "relative" }}>
+      <button
+        type="button"
+        onClick={() => setOpen(!open)}
+        disabled={disabled}
+        aria-haspopup="dialog"
+        aria-expanded={open}
+        style={{ ...actionStyle, cursor: disabled ? "default" : "pointer" }}
+      >
+        {t("share.button")}
+      </button>
+      {open && !disabled && (
+        <div
+          role="dialog"
+          aria-label={t("share.dialogLabel")}
+          style={{
+            position: "absolute",
+            top: "100%",
+            insetInlineEnd: 0,
+            marginTop: "4px",
+            width: "300px",
+            padding: "12px",
+            display: "flex",
+            flexDirection: "column",
+            gap: "8px",
+            borderRadius: "8px",
+            border: `1px solid ${themeVar("borderColor")}`,
+            background: themeVar("controlColor"),
+            boxShadow: themeVar("cardShadow"),
+            boxSizing: "border-box",
+            zIndex: 1000,
+          }}
+        >
+          <span style={textStyle}>
+            {t("share.notice")}
+          </span>
+          <div style={{ display: "flex", gap: "8px" }}>
+            <select
+              aria-label={t("share.expiryLabel")}
+              value={expiryIdx}
+              onChange={(e) => setExpiryIdx(Number(e.target.value))}
+              style={{ ...actionStyle, flex: "1", minWidth: "0" }}
+            >
+              {EXPIRY_OPTIONS.map((days, index) => (
+                <option key={index} value={index}>
+                  {days === null
+                    ? t("share.expiryNever")
+                    : days === 1
+                      ? t("share.expiryOneDay")
+                      : t("share.expiryDays", { days })}
+                </option>
+              ))}
+            </select>
+            <button
+              type="button"
+              disabled={busy}
+              onClick={() => run(() => onCreate(EXPIRY_OPTIONS[expiryIdx]))}
+              style={{
+                ...actionStyle,
+                color: themeVar("accentTextColor"),
+                border: "none",
+                background: themeVar("accentColor"),
+              }}
+            >
+              {busy ? t("share.creating") : t("share.create")}
+            </button>
+          </div>
+          {error && <span style={{ ...textStyle, color: themeVar("accentColor") }}>{error}</span>}
+
+          {/* The thread's links, newest first */}
+          {[...shares].reverse().map((share) => (
+            <div key={share.id} style={{ display: "flex", flexDirection: "column", gap: "4px" }}>
+              <input
+                readOnly
+                aria-label={t("share.linkLabel")}
+                value={linkOf(share)}
+                onFocus={(e) => e.target.select()}
+                style={{ ...actionStyle, cursor: "text", outline: "none" }}
+              />
+              <div style={{ display: "flex", alignItems: "center", gap: "8px" }}>
+                <span style={{ ...textStyle, flex: "1" }}>
+                  {share.expiresAt ? t("share.expires", { date: share.expiresAt.slice(0, 10) }) : t("share.noExpiry")}
+                </span>
+                <button type="button" onClick={() => handleCopy(share)} style={actionStyle}>
+                  {copiedId === share.id ? t("share.copied") : t("share.copy")}
+                </button>
+                <button
+                  type="button"
+                  disabled={busy}
+                  onClick={() => run(() => onRevoke(share))}
+                  style={actionStyle}
+                >
+                  {t("share.revoke")}
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,95 @@
+// =============================================================================
+// Thread Switcher
+//
+// A small bar above the conversation for picking a saved chat thread,
+// starting a new chat or deleting the open one. Other actions (such as the
+// export menu) can be passed as children and are shown after the buttons.
+// =============================================================================
+
+// Import the theme tokens (see lib/theme.js).
+import { themeVar } from "../lib/theme";
+// Import the translations (see lib/i18n.js).
+import { useI18n } from "../lib/i18n";
+
+/**
+ * ThreadSwitcher renders a thread dropdown with "New chat" and "Delete chat" actions.
+ *
+ * @param {Object} props
+ * @param {Object[]} props.threads - The saved threads (see lib/threads.js).
+ * @param {string|null} props.activeId - The open thread's id.
+ * @param {boolean} props.disabled - Disables switching, e.g. while a reply is pending.
+ * @param {(id: string) => void} props.onSelect - Called with the id of the chosen thread.
+ * @param {() => void} props.onNew - Called when "New chat" is clicked.
+ * @param {() => void} props.onDelete - Called when "Delete chat" is clicked.
+ * @param {React.ReactNode} [props.children] - Extra actions.
+ * @returns {JSX.Element} The rendered switcher.
+ */
+export default function ThreadSwitcher({ threads, activeId, disabled, onSelect, onNew, onDelete, children }) {
+  const { t } = useI18n();
+  // Most recently used threads first.
+  const sorted = [...threads].sort((a, b) => b.updatedAt - a.updatedAt);
+
+  const textStyle = {
+    color: themeVar("mutedTextColor"),
+    fontFamily: themeVar("fontFamily"),
+    fontSize: "12px",
+    fontStyle: "normal",
+    fontWeight: 400,
+    lineHeight: "normal",
+  };
+
+  const actionStyle = {
+    ...textStyle,
+    padding: "4px 10px",
+    borderRadius: themeVar("controlRadius"),
+    border: `1px solid ${themeVar("borderColor")}`,
+    background: themeVar("controlColor"),
+    cursor: disabled ? "default" : "pointer",
+    whiteSpace: "nowrap",
+  };
+
+  return (
+    <div
+      style={{
+        display: "flex",
+        alignItems: "center",
+        gap: "8px",
+        width: "100%",
+        maxWidth: "736px",
+        height: "32px",
+        flexShrink: 0,
+      }}
+    >
+      <select
+        aria-label={t("threads.label")}
+        value={activeId || ""}
+        disabled={disabled}
+        onChange={(e) => onSelect(e.target.value)}
+        style={{
+          ...textStyle,
+          flex: "1",
+          minWidth: "0",
+          height: "28px",
+          padding: "0 8px",
+          borderRadius: themeVar("controlRadius"),
+          border: `1px solid ${themeVar("borderColor")}`,
+          background: themeVar("controlColor"),
+          outline: "none",
+        }}
+      >
+        {sorted.map((thread) => (
+          <option key={thread.id} value={thread.id}>
+            {thread.title || t("threads.untitled")}
+          </option>
+        ))}
+      </select>
+      <button type="button" onClick={onNew} disabled={disabled} style={actionStyle}>
+        {t("threads.new")}
+      </button>
+      <button type="button" onClick={onDelete} disabled={disabled} style={actionStyle}>
+        {t("threads.delete")}
+      </button>
+      {children}
+    </div>
+  );
+}
@@ -0,0 +1,97 @@
+// =============================================================================
+// Vote Chart
+//
+// An SVG bar chart of the like/dislike ratio per day on the admin dashboard.
+// Each bar is split into the share of likes (bottom) and dislikes (top);
+// hovering a bar shows the counts.
+// =============================================================================
+
+// Import the theme tokens (see lib/theme.js).
+import { themeVar } from "../lib/theme";
+
+// Bar colors (the same in the light and dark schemes).
+const LIKE_COLOR = "#4CAF50";
+const DISLIKE_COLOR = "#E57373";
+
+// Drawing area, in SVG units (the chart scales to its container).
+const WIDTH = 720;
+const HEIGHT = 200;
+const AXIS_WIDTH = 36;
+const LABEL_HEIGHT = 20;
+
+/**
+ * VoteChart renders the daily like/dislike ratio.
+ *
+ * @param {Object} props
+ * @param {{day: string, likes: number, dislikes: number}[]} props.days - Oldest first.
+ * @returns {JSX.Element} The rendered chart.
+ */
+export default function VoteChart({ days }) {
+  if (days.length === 0) {
+    return <p style={{ margin: 0, color: themeVar("subtleTextColor") }}>No votes yet.</p>;
+  }
+
+  const chartWidth = WIDTH - AXIS_WIDTH;
+  const chartHeight = HEIGHT - LABEL_HEIGHT;
+  const slot = chartWidth / days.length;
+  const barWidth = Math.max(2, slot * 0.7);
+  // Label every day when there is room, otherwise about eight of them.
+  const labelEvery = Math.max(1, Math.ceil(days.length / 8));
+  const textStyle = { fill: themeVar("subtleTextColor"), fontSize: "11px", fontFamily: themeVar("fontFamily") };
+
+  return (
+    <div>
+      <svg
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        width="100%"
+        role="img"
+        aria-label="Share of likes and dislikes per day"
+      >
+        {/* Y axis: 0%, 50% and 100% liked */}
+        {[0, 0.5, 1].map((ratio) => (
+          <g key={ratio}>
+            <line
+              x1={AXIS_WIDTH}
+              x2={WIDTH}
+              y1={chartHeight * (1 - ratio)}
+              y2={chartHeight * (1 - ratio)}
+              stroke="currentColor"
+              strokeOpacity="0.12"
+            />
+            <text x={AXIS_WIDTH - 6} y={chartHeight * (1 - ratio) + 4} textAnchor="end" style={textStyle}>
+              {ratio * 100}%
+            </text>
+          </g>
+        ))}
+
+        {days.map(({ day, likes, dislikes }, index) => {
+          const total = likes + dislikes;
+          const likeHeight = total > 0 ? (likes / total) * chartHeight : 0;
+          const x = AXIS_WIDTH + index * slot + (slot - barWidth) / 2;
+          return (
+            <g key={day}>
+              <title>{`${day}: ${likes} likes, ${dislikes} dislikes (${Math.round((likes / total) * 100)}% liked)`}</title>
+              <rect x={x} y={0} width={barWidth} height={chartHeight - likeHeight} fill={DISLIKE_COLOR} />
+              <rect x={x} y={chartHeight - likeHeight} width={barWidth} height={likeHeight} fill={LIKE_COLOR} />
+              {index % labelEvery === 0 && (
+                <text x={x + barWidth / 2} y={HEIGHT - 4} textAnchor="middle" style={textStyle}>
+                  {day.slice(5)}
+                </text>
+              )}
+            </g>
+          );
+        })}
+      </svg>
+
+      {/* Legend */}
+      <div style={{ display: "flex", gap: "16px", fontSize: "12px", color: themeVar("subtleTextColor") }}>
+        {[["Likes", LIKE_COLOR], ["Dislikes", DISLIKE_COLOR]].map(([label, color]) => (
+          <span key={label} style={{ display: "inline-flex", alignItems: "center", gap: "6px" }}>
+            <span style={{ width: "10px", height: "10px", background: color, display: "inline-block" }} />
+            {label}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+}
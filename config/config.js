@@ -9,27 +9,104 @@
 // - Stores the descriptive header for the chat component.
 // - Provides metadata such as the author and version.
 // - Can be extended for additional configuration settings in the future.
+//
+// This file is also the default persona ("chai"). More personas can be added
+// under config/personas/ (see config/personas/index.js).
 // =============================================================================
 
 const chatConfig = {
+  // The zerowidth flow this persona talks to (server-side only).
   flowURL:
     "https://api.zerowidth.ai/v1/process/4qE2oEOScJgkv6JZ8FYz/3T5oWea6DieHvUUv8fpQ",
+  // The environment variable holding the flow's bearer token (server-side only).
+  tokenEnv: "ZEROWIDTH_API_KEY",
+  // To use another kind of backend (server-side only), replace the two
+  // settings above with e.g.:
+  // backend: {
+  //   type: "openai",
+  //   baseURL: "http://localhost:11434/v1",
+  //   model: "llama3",
+  //   systemPrompt: "You are a draft clone of Chaitanya.",
+  // },
+  // The title and introduction shown above an empty conversation.
   header: {
     title: "chat with Chaitanya",
     description:
       "Greetings, I am a draft clone of Chai he must be busy thinking about something how can i help you?.",
   },
+  // An optional first agent bubble shown in every new conversation
+  // (it is not sent to the flow). Leave empty to show only the header.
+  welcomeMessage: "",
   suggestedPromptsTitle: "Here are some suggested prompts.",
+  // The suggestion pills: a short title, the message sent when clicked and an
+  // optional icon (an emoji, or the URL of an image such as "/icons/art.svg").
   suggestedPrompts: [
-    "I spend too much time with computers.",
-    "I feel overwhelmed trying to keep up with AI trends.",
-    "I am anxious about the future.",
-    "I am anxious about the future.",
-    "I am anxious about the future.",
-    "I am anxious about the future.",
+    { title: "Work ex", message: "Tell me about your work experience", icon: "💼" },
+    { title: "Design", message: "What is your design process?", icon: "✏️" },
+    { title: "Art", message: "Share your favorite art style", icon: "🎨" },
+    { title: "Games", message: "What games do you enjoy?", icon: "🎮" },
+    { title: "Food", message: "What's your favorite food?", icon: "🍜" },
+    { title: "Music", message: "What music do you like?", icon: "🎵" },
+  ],
+  // Texts can be one string for every language, or one per language (see
+  // lib/i18n.js). Other interface texts, such as the input's screen-reader
+  // label (chatInputLabel) and the "Thinking..." label (thinkingLabel), come
+  // from config/locales/ unless they are set here.
+  chatInputPlaceholder: {
+    en: "Go! ahead..type something",
+    es: "¡Adelante! Escribe algo",
+    fr: "Allez-y, écrivez quelque chose",
+    ar: "تفضّل، اكتب شيئًا",
+  },
+  // The small print under the input. Set to null to hide it.
+  disclaimer: {
+    badge: { en: "BETA", es: "BETA", fr: "BÊTA", ar: "تجريبي" },
+    text: {
+      en: "Chai.AI may create unexpected results",
+      es: "Chai.AI puede dar resultados inesperados",
+      fr: "Chai.AI peut produire des résultats inattendus",
+      ar: "قد ينتج Chai.AI نتائج غير متوقعة",
+    },
+  },
+  // The interface language: "auto" follows the visitor's browser, or set a
+  // code from config/locales/ (e.g. "es"). A ?lang=<code> URL parameter wins.
+  locale: "auto",
+  // Sizes of the chat card, in pixels (ignored when embedded with ?embed=1,
+  // where the chat fills its iframe).
+  layout: {
+    cardWidth: 784,
+    cardHeight: 784,
+    // The scrolling message area.
+    conversationHeight: 468,
+    // The suggestions and input below it.
+    inputAreaHeight: 200,
+  },
+  // Colors, fonts, shapes and spacing used by the chat component. Any token
+  // from lib/theme.js can be set here (for both schemes), or under `light` /
+  // `dark` for one scheme only.
+  theme: {
+    // "light", "dark" or "auto" (follows the visitor's system setting).
+    mode: "light",
+    accentColor: "#FF6B9D",
+    fontFamily: "Acumin Pro, Arial, sans-serif",
+  },
+  // The postMessage bridge used when the chat is embedded in an iframe.
+  // Only host pages on these origins can send commands and receive events.
+  // Entries may use wildcard subdomains ("https://*.example.com").
+  // Leave empty to turn the bridge off.
+  bridge: {
+    allowedOrigins: [],
+  },
+  // Reasons offered to visitors when they dislike an answer.
+  // The feedback API only accepts reasons from this list.
+  feedbackReasons: [
+    "Inaccurate",
+    "Not helpful",
+    "Off topic",
+    "Doesn't sound like Chai",
+    "Too long",
+    "Other",
   ],
-  chatInputPlaceholder: "Chat with this agent...",
-  maxChatHeight: 200,
 };
 
 export default chatConfig;
@@ -0,0 +1,110 @@
+// ar.js
+// =============================================================================
+// Arabic Messages
+// =============================================================================
+// See config/locales/en.js for the keys. Missing keys fall back to English.
+// Arabic is written right to left, so the chat's layout is mirrored.
+// =============================================================================
+
+const ar = {
+  name: "العربية",
+  dir: "rtl",
+  messages: {
+    // Input
+    "input.placeholder": "اكتب رسالة...",
+    "input.label": "الرسالة",
+    "input.send": "إرسال الرسالة",
+    "input.stop": "إيقاف الرد",
+    "input.hint": "اضغط Enter للإرسال، وShift+Enter لسطر جديد، والسهم لأعلى لإعادة استخدام رسالة سابقة.",
+    "input.counter": "{count} / {max}",
+    "input.tooLong": "رسالتك أطول من الحد المسموح بـ {over} حرفًا.",
+    "thinking": "جارٍ التفكير...",
+    "cooldown": "أنت ترسل الرسائل بسرعة كبيرة. يمكنك الإرسال مجددًا بعد {seconds} ثانية.",
+    "pills.label": "اقتراحات",
+
+    // Attachments
+    "attachments.add": "إرفاق ملفات",
+    "attachments.label": "الملفات المرفقة",
+    "attachments.remove": "إزالة {name}",
+    "attachments.drop": "أفلت الملفات لإرفاقها",
+    "attachments.tooMany": "يمكنك إرفاق {max} ملفات كحد أقصى.",
+    "attachments.tooLarge": "حجم {name} أكبر من {max}.",
+    "attachments.wrongType": "{name} ليس نوع ملف مدعومًا.",
+
+    // Actions on replies and messages
+    "reply.like": "إعجاب",
+    "reply.likeLabel": "أعجبني هذا الرد",
+    "reply.dislike": "عدم إعجاب",
+    "reply.dislikeLabel": "لم يعجبني هذا الرد",
+    "reply.copy": "نسخ",
+    "reply.copyLabel": "نسخ هذا الرد",
+    "reply.copiedLabel": "تم نسخ الرد",
+    "reply.copiedAnnouncement": "تم نسخ الرد إلى الحافظة.",
+    "reply.regenerate": "إعادة التوليد",
+    "message.edit": "تعديل",
+    "message.editLabel": "تعديل هذه الرسالة",
+    "editor.label": "تعديل الرسالة",
+    "editor.cancel": "إلغاء",
+    "editor.submit": "إرسال",
+    "branch.previous": "النسخة السابقة",
+    "branch.next": "النسخة التالية",
+
+    // Dislike reasons
+    "reasons.title": "ما المشكلة في هذا الرد؟",
+    "reasons.comment": "أخبرنا بالمزيد (اختياري)",
+    "reasons.skip": "تخطٍّ",
+    "reasons.submit": "إرسال",
+
+    // Code blocks in replies
+    "code.copy": "نسخ",
+    "code.copied": "تم النسخ",
+    "code.copyLabel": "نسخ الشيفرة",
+
+    // Errors shown as agent replies
+    "error.reply": "خطأ: {message}",
+    "error.server": "خطأ في الخادم: {status}",
+    "error.timeout": "استغرق الوكيل وقتًا طويلًا للرد. يرجى المحاولة مرة أخرى.",
+    "error.noReply": "لم يصل رد صالح من الوكيل.",
+    "error.streamInterrupted": "انقطع البث",
+
+    // Threads
+    "threads.label": "المحادثة",
+    "threads.untitled": "محادثة جديدة",
+    "threads.new": "محادثة جديدة",
+    "threads.delete": "حذف المحادثة",
+    "threads.confirmDelete": "هل تريد حذف هذه المحادثة؟",
+
+    // Export menu
+    "export.button": "تصدير",
+    "export.download": "تنزيل {format}",
+    "export.copyAll": "نسخ المحادثة كاملة",
+    "export.copied": "تم النسخ!",
+    "export.agentName": "الوكيل",
+
+    // Share menu
+    "share.button": "مشاركة",
+    "share.dialogLabel": "مشاركة هذه المحادثة",
+    "share.notice": "يمكن لأي شخص لديه الرابط قراءة هذه المحادثة كما هي الآن. لا تتم مشاركة جلستك.",
+    "share.expiryLabel": "صلاحية الرابط",
+    "share.expiryNever": "لا تنتهي صلاحيته",
+    "share.expiryOneDay": "تنتهي صلاحيته بعد يوم واحد",
+    "share.expiryDays": "تنتهي صلاحيته بعد {days} يومًا",
+    "share.create": "إنشاء رابط",
+    "share.creating": "جارٍ الإنشاء…",
+    "share.linkLabel": "رابط المشاركة",
+    "share.expires": "تنتهي صلاحيته في {date}",
+    "share.noExpiry": "بلا انتهاء صلاحية",
+    "share.copy": "نسخ الرابط",
+    "share.copied": "تم النسخ!",
+    "share.revoke": "إيقاف المشاركة",
+    "share.tooManyRequests": "طلبات كثيرة جدًا، يرجى المحاولة لاحقًا.",
+    "share.createFailed": "تعذّر إنشاء الرابط ({status}).",
+    "share.revokeFailed": "تعذّر إيقاف المشاركة ({status}).",
+    "share.page.title": "محادثة مشتركة",
+    "share.page.shared": "محادثة مشتركة · {date}",
+    "share.page.availableUntil": "متاحة حتى {date}",
+    "share.page.startChat": "ابدأ محادثتك الخاصة",
+  },
+};
+
+export default ar;
@@ -0,0 +1,115 @@
+// en.js
+// =============================================================================
+// English Messages
+// =============================================================================
+// Every text the chat shows that doesn't come from the persona config.
+// This is the reference catalog: other locales fall back to it for missing
+// keys, so add new keys here first (see config/locales/index.js).
+//
+// "{name}" placeholders are filled in by the component, e.g.
+// t("cooldown", { seconds: 12 }).
+// =============================================================================
+
+const en = {
+  // The language's own name and writing direction ("ltr" or "rtl").
+  name: "English",
+  dir: "ltr",
+  messages: {
+    // Input
+    "input.placeholder": "Type a message...",
+    "input.label": "Message",
+    "input.send": "Send prompt",
+    "input.stop": "Stop response",
+    "input.hint": "Press Enter to send, Shift+Enter for a new line and the Up arrow to reuse an earlier message.",
+    "input.counter": "{count} / {max}",
+    "input.tooLong": "Your message is {over} characters too long.",
+    "thinking": "Thinking...",
+    "cooldown": "You're sending messages a little fast. You can send again in {seconds}s.",
+    "pills.label": "Suggestions",
+
+    // Attachments
+    "attachments.add": "Attach files",
+    "attachments.label": "Attached files",
+    "attachments.remove": "Remove {name}",
+    "attachments.drop": "Drop files to attach them",
+    "attachments.tooMany": "You can attach up to {max} files.",
+    "attachments.tooLarge": "{name} is larger than {max}.",
+    "attachments.wrongType": "{name} isn't a supported file type.",
+
+    // Actions on replies and messages
+    "reply.like": "Like",
+    "reply.likeLabel": "Like this reply",
+    "reply.dislike": "Dislike",
+    "reply.dislikeLabel": "Dislike this reply",
+    "reply.copy": "Copy",
+    "reply.copyLabel": "Copy this reply",
+    "reply.copiedLabel": "Reply copied",
+    "reply.copiedAnnouncement": "Reply copied to the clipboard.",
+    "reply.regenerate": "Regenerate",
+    "message.edit": "Edit",
+    "message.editLabel": "Edit this message",
+    "editor.label": "Edit message",
+    "editor.cancel": "Cancel",
+    "editor.submit": "Send",
+    "branch.previous": "Previous version",
+    "branch.next": "Next version",
+
+    // Dislike reasons
+    "reasons.title": "What was wrong with this answer?",
+    "reasons.comment": "Tell us more (optional)",
+    "reasons.skip": "Skip",
+    "reasons.submit": "Send",
+
+    // Code blocks in replies
+    "code.copy": "Copy",
+    "code.copied": "Copied",
+    "code.copyLabel": "Copy code",
+
+    // Errors shown as agent replies
+    "error.reply": "Error: {message}",
+    "error.server": "Server error: {status}",
+    "error.timeout": "The agent took too long to answer. Please try again.",
+    "error.noReply": "No valid response received from agent.",
+    "error.streamInterrupted": "Stream interrupted",
+
+    // Threads
+    "threads.label": "Chat thread",
+    "threads.untitled": "New chat",
+    "threads.new": "New chat",
+    "threads.delete": "Delete chat",
+    "threads.confirmDelete": "Delete this chat?",
+
+    // Export menu
+    "export.button": "Export",
+    "export.download": "Download {format}",
+    "export.copyAll": "Copy entire conversation",
+    "export.copied": "Copied!",
+    "export.agentName": "Agent",
+
+    // Share menu
+    "share.button": "Share",
+    "share.dialogLabel": "Share this chat",
+    "share.notice": "Anyone with the link can read this chat as it is now. Your session isn't shared.",
+    "share.expiryLabel": "Link expiry",
+    "share.expiryNever": "Never expires",
+    "share.expiryOneDay": "Expires in 1 day",
+    "share.expiryDays": "Expires in {days} days",
+    "share.create": "Create link",
+    "share.creating": "Creating…",
+    "share.linkLabel": "Share link",
+    "share.expires": "Expires {date}",
+    "share.noExpiry": "No expiry",
+    "share.copy": "Copy link",
+    "share.copied": "Copied!",
+    "share.revoke": "Stop sharing",
+    "share.tooManyRequests": "Too many requests, please try again later.",
+    "share.createFailed": "Could not create the link ({status}).",
+    "share.revokeFailed": "Could not stop sharing ({status}).",
+    "share.page.title": "Shared chat",
+    "share.page.shared": "Shared conversation · {date}",
+    "share.page.availableUntil": "available until {date}",
+    "share.page.startChat": "Start your own chat",
+  },
+};
+
+export default en;
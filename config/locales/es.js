@@ -0,0 +1,109 @@
+// es.js
+// =============================================================================
+// Spanish Messages
+// =============================================================================
+// See config/locales/en.js for the keys. Missing keys fall back to English.
+// =============================================================================
+
+const es = {
+  name: "Español",
+  dir: "ltr",
+  messages: {
+    // Input
+    "input.placeholder": "Escribe un mensaje...",
+    "input.label": "Mensaje",
+    "input.send": "Enviar mensaje",
+    "input.stop": "Detener respuesta",
+    "input.hint": "Pulsa Intro para enviar, Mayús+Intro para una nueva línea y la flecha arriba para reutilizar un mensaje anterior.",
+    "input.counter": "{count} / {max}",
+    "input.tooLong": "Tu mensaje tiene {over} caracteres de más.",
+    "thinking": "Pensando...",
+    "cooldown": "Estás enviando mensajes demasiado rápido. Podrás volver a enviar en {seconds} s.",
+    "pills.label": "Sugerencias",
+
+    // Attachments
+    "attachments.add": "Adjuntar archivos",
+    "attachments.label": "Archivos adjuntos",
+    "attachments.remove": "Quitar {name}",
+    "attachments.drop": "Suelta los archivos para adjuntarlos",
+    "attachments.tooMany": "Puedes adjuntar hasta {max} archivos.",
+    "attachments.tooLarge": "{name} pesa más de {max}.",
+    "attachments.wrongType": "{name} no es un tipo de archivo admitido.",
+
+    // Actions on replies and messages
+    "reply.like": "Me gusta",
+    "reply.likeLabel": "Me gusta esta respuesta",
+    "reply.dislike": "No me gusta",
+    "reply.dislikeLabel": "No me gusta esta respuesta",
+    "reply.copy": "Copiar",
+    "reply.copyLabel": "Copiar esta respuesta",
+    "reply.copiedLabel": "Respuesta copiada",
+    "reply.copiedAnnouncement": "Respuesta copiada al portapapeles.",
+    "reply.regenerate": "Regenerar",
+    "message.edit": "Editar",
+    "message.editLabel": "Editar este mensaje",
+    "editor.label": "Editar mensaje",
+    "editor.cancel": "Cancelar",
+    "editor.submit": "Enviar",
+    "branch.previous": "Versión anterior",
+    "branch.next": "Versión siguiente",
+
+    // Dislike reasons
+    "reasons.title": "¿Qué falló en esta respuesta?",
+    "reasons.comment": "Cuéntanos más (opcional)",
+    "reasons.skip": "Omitir",
+    "reasons.submit": "Enviar",
+
+    // Code blocks in replies
+    "code.copy": "Copiar",
+    "code.copied": "Copiado",
+    "code.copyLabel": "Copiar código",
+
+    // Errors shown as agent replies
+    "error.reply": "Error: {message}",
+    "error.server": "Error del servidor: {status}",
+    "error.timeout": "El agente tardó demasiado en responder. Inténtalo de nuevo.",
+    "error.noReply": "No se recibió una respuesta válida del agente.",
+    "error.streamInterrupted": "Transmisión interrumpida",
+
+    // Threads
+    "threads.label": "Conversación",
+    "threads.untitled": "Nuevo chat",
+    "threads.new": "Nuevo chat",
+    "threads.delete": "Eliminar chat",
+    "threads.confirmDelete": "¿Eliminar este chat?",
+
+    // Export menu
+    "export.button": "Exportar",
+    "export.download": "Descargar {format}",
+    "export.copyAll": "Copiar toda la conversación",
+    "export.copied": "¡Copiado!",
+    "export.agentName": "Agente",
+
+    // Share menu
+    "share.button": "Compartir",
+    "share.dialogLabel": "Compartir este chat",
+    "share.notice": "Cualquiera con el enlace podrá leer este chat tal como está ahora. Tu sesión no se comparte.",
+    "share.expiryLabel": "Caducidad del enlace",
+    "share.expiryNever": "No caduca",
+    "share.expiryOneDay": "Caduca en 1 día",
+    "share.expiryDays": "Caduca en {days} días",
+    "share.create": "Crear enlace",
+    "share.creating": "Creando…",
+    "share.linkLabel": "Enlace para compartir",
+    "share.expires": "Caduca el {date}",
+    "share.noExpiry": "Sin caducidad",
+    "share.copy": "Copiar enlace",
+    "share.copied": "¡Copiado!",
+    "share.revoke": "Dejar de compartir",
+    "share.tooManyRequests": "Demasiadas solicitudes, inténtalo más tarde.",
+    "share.createFailed": "No se pudo crear el enlace ({status}).",
+    "share.revokeFailed": "No se pudo dejar de compartir ({status}).",
+    "share.page.title": "Chat compartido",
+    "share.page.shared": "Conversación compartida · {date}",
+    "share.page.availableUntil": "disponible hasta el {date}",
+    "share.page.startChat": "Empieza tu propio chat",
+  },
+};
+
+export default es;
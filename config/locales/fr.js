@@ -0,0 +1,109 @@
+// fr.js
+// =============================================================================
+// French Messages
+// =============================================================================
+// See config/locales/en.js for the keys. Missing keys fall back to English.
+// =============================================================================
+
+const fr = {
+  name: "Français",
+  dir: "ltr",
+  messages: {
+    // Input
+    "input.placeholder": "Écrivez un message...",
+    "input.label": "Message",
+    "input.send": "Envoyer le message",
+    "input.stop": "Arrêter la réponse",
+    "input.hint": "Appuyez sur Entrée pour envoyer, Maj+Entrée pour aller à la ligne et la flèche haut pour reprendre un message précédent.",
+    "input.counter": "{count} / {max}",
+    "input.tooLong": "Votre message dépasse la limite de {over} caractères.",
+    "thinking": "Réflexion...",
+    "cooldown": "Vous envoyez des messages un peu vite. Vous pourrez renvoyer dans {seconds} s.",
+    "pills.label": "Suggestions",
+
+    // Attachments
+    "attachments.add": "Joindre des fichiers",
+    "attachments.label": "Fichiers joints",
+    "attachments.remove": "Retirer {name}",
+    "attachments.drop": "Déposez les fichiers pour les joindre",
+    "attachments.tooMany": "Vous pouvez joindre jusqu'à {max} fichiers.",
+    "attachments.tooLarge": "{name} dépasse {max}.",
+    "attachments.wrongType": "{name} n'est pas un type de fichier pris en charge.",
+
+    // Actions on replies and messages
+    "reply.like": "J'aime",
+    "reply.likeLabel": "J'aime cette réponse",
+    "reply.dislike": "Je n'aime pas",
+    "reply.dislikeLabel": "Je n'aime pas cette réponse",
+    "reply.copy": "Copier",
+    "reply.copyLabel": "Copier cette réponse",
+    "reply.copiedLabel": "Réponse copiée",
+    "reply.copiedAnnouncement": "Réponse copiée dans le presse-papiers.",
+    "reply.regenerate": "Régénérer",
+    "message.edit": "Modifier",
+    "message.editLabel": "Modifier ce message",
+    "editor.label": "Modifier le message",
+    "editor.cancel": "Annuler",
+    "editor.submit": "Envoyer",
+    "branch.previous": "Version précédente",
+    "branch.next": "Version suivante",
+
+    // Dislike reasons
+    "reasons.title": "Qu'est-ce qui n'allait pas dans cette réponse ?",
+    "reasons.comment": "Dites-nous en plus (facultatif)",
+    "reasons.skip": "Passer",
+    "reasons.submit": "Envoyer",
+
+    // Code blocks in replies
+    "code.copy": "Copier",
+    "code.copied": "Copié",
+    "code.copyLabel": "Copier le code",
+
+    // Errors shown as agent replies
+    "error.reply": "Erreur : {message}",
+    "error.server": "Erreur du serveur : {status}",
+    "error.timeout": "L'agent a mis trop de temps à répondre. Veuillez réessayer.",
+    "error.noReply": "Aucune réponse valide reçue de l'agent.",
+    "error.streamInterrupted": "Flux interrompu",
+
+    // Threads
+    "threads.label": "Conversation",
+    "threads.untitled": "Nouvelle discussion",
+    "threads.new": "Nouvelle discussion",
+    "threads.delete": "Supprimer la discussion",
+    "threads.confirmDelete": "Supprimer cette discussion ?",
+
+    // Export menu
+    "export.button": "Exporter",
+    "export.download": "Télécharger {format}",
+    "export.copyAll": "Copier toute la conversation",
+    "export.copied": "Copié !",
+    "export.agentName": "Agent",
+
+    // Share menu
+    "share.button": "Partager",
+    "share.dialogLabel": "Partager cette discussion",
+    "share.notice": "Toute personne disposant du lien peut lire cette discussion telle qu'elle est maintenant. Votre session n'est pas partagée.",
+    "share.expiryLabel": "Expiration du lien",
+    "share.expiryNever": "N'expire jamais",
+    "share.expiryOneDay": "Expire dans 1 jour",
+    "share.expiryDays": "Expire dans {days} jours",
+    "share.create": "Créer le lien",
+    "share.creating": "Création…",
+    "share.linkLabel": "Lien de partage",
+    "share.expires": "Expire le {date}",
+    "share.noExpiry": "Sans expiration",
+    "share.copy": "Copier le lien",
+    "share.copied": "Copié !",
+    "share.revoke": "Arrêter le partage",
+    "share.tooManyRequests": "Trop de requêtes, veuillez réessayer plus tard.",
+    "share.createFailed": "Impossible de créer le lien ({status}).",
+    "share.revokeFailed": "Impossible d'arrêter le partage ({status}).",
+    "share.page.title": "Discussion partagée",
+    "share.page.shared": "Conversation partagée · {date}",
+    "share.page.availableUntil": "disponible jusqu'au {date}",
+    "share.page.startChat": "Commencer votre propre discussion",
+  },
+};
+
+export default fr;
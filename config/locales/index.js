@@ -0,0 +1,31 @@
+// index.js
+// =============================================================================
+// Locale Registry
+// =============================================================================
+// Lists the languages the chat's interface is available in. The chat picks
+// one for each visitor (see lib/i18n.js) and tells the flow which one it is,
+// so the agent can reply in the same language.
+//
+// To add a language:
+// 1. Copy config/locales/en.js to config/locales/<code>.js, where <code> is a
+//    lowercase language tag ("de", "pt-br"), and translate the messages.
+//    Set `dir: "rtl"` for right-to-left scripts.
+// 2. Import it below and add it to `locales` under its code.
+// =============================================================================
+
+import en from "./en";
+import es from "./es";
+import fr from "./fr";
+import ar from "./ar";
+
+// The language used when nothing else matches, and for missing messages.
+export const DEFAULT_LOCALE = "en";
+
+const locales = {
+  en,
+  es,
+  fr,
+  ar,
+};
+
+export default locales;
@@ -0,0 +1,63 @@
+// mockFixtures.js
+// =============================================================================
+// Mock Backend Fixtures
+// =============================================================================
+// The canned replies used when the app runs in mock mode (MOCK_BACKEND=1, see
+// lib/adapters/mock.js), so the chat works without a live flow or token.
+//
+// Each fixture is checked in order and the first match answers:
+// - match:     a RegExp, or a string matched anywhere in the message
+//              (ignoring case). Leave it out to match every message.
+// - persona:   only match messages sent to this persona (optional).
+// - withAttachments: only match messages with attached files (optional).
+// - reply:     the answer. "{{message}}" is replaced with the visitor's message
+//              and "{{attachments}}" with the names of the attached files.
+// - status:    answer with this HTTP error status instead (e.g. 500, 503).
+//              502/503/504 are retried by the proxy like real backend errors.
+// - latencyMs: wait this long before answering (overrides the default).
+//              Longer than UPSTREAM_TIMEOUT_MS simulates a timeout.
+//
+// Add your own fixtures to try out the chat UI with specific answers.
+// =============================================================================
+
+const mockFixtures = {
+  // Used for every fixture unless it sets its own value.
+  defaults: {
+    // Wait before the reply starts, like a real model thinking.
+    latencyMs: 600,
+    // Pause between streamed words.
+    chunkDelayMs: 40,
+  },
+
+  fixtures: [
+    // Any message with files (drop, paste or attach one in the chat).
+    {
+      withAttachments: true,
+      reply: 'Thanks for sending **{{attachments}}**. This is a mock reply to "{{message}}", so I haven\'t opened them.',
+    },
+    {
+      match: /work ex|experience/i,
+      reply:
+        "I've spent the last few years designing products end to end: research, interaction design and a fair amount of prototyping in code.\n\n*(This is a mock reply.)*",
+    },
+    {
+      match: /design process/i,
+      reply:
+        "My process, roughly:\n\n1. **Understand** the problem and who has it\n2. **Explore** lots of rough ideas\n3. **Prototype** the promising ones\n4. **Test** with real people and iterate\n\n*(This is a mock reply.)*",
+    },
+    {
+      match: /markdown|code/i,
+      reply:
+        "Here is some `inline code` and a block:\n\n```js\nconst greet = (name) => `Hello, ${name}!`;\n```\n\n| Column | Value |\n| ------ | ----- |\n| a      | 1     |\n\n[A link](https://example.com)",
+    },
+    // Type "mock error" or "mock unavailable" to see how errors look.
+    { match: "mock error", status: 500 },
+    { match: "mock unavailable", status: 503 },
+    // Type "mock slow" to see a long wait (and try the Stop button).
+    { match: "mock slow", latencyMs: 8000, reply: "Sorry, that took a while." },
+    // Everything else.
+    { reply: 'This is a mock reply to "{{message}}". Set MOCK_BACKEND=0 to talk to the real agent.' },
+  ],
+};
+
+export default mockFixtures;
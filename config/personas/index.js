@@ -0,0 +1,33 @@
+// index.js
+// =============================================================================
+// Persona Registry
+// =============================================================================
+// Lists every persona this deployment hosts. Each persona is served at
+// /p/<id> and talks to its own flow through /api/proxy/<id>. The root page
+// (/) and /api/proxy serve the default persona.
+//
+// To add a persona:
+// 1. Copy config/config.js to config/personas/<id>.js and edit it: point
+//    flowURL at the persona's flow and set tokenEnv to the name of the
+//    environment variable holding its bearer token.
+// 2. Import it below and add it to `personas` under its id.
+// 3. Set that environment variable in .env / on Vercel.
+//
+// A persona can also talk to an OpenAI-compatible API or any JSON API instead
+// of a zerowidth flow: replace flowURL/tokenEnv with a `backend` setting
+// (see lib/adapters/index.js).
+//
+// Persona ids appear in URLs, so keep them lowercase letters, digits and "-".
+// =============================================================================
+
+// Import the default persona.
+import chatConfig from "../config";
+
+// The id of the persona served at / and /api/proxy.
+export const DEFAULT_PERSONA = "chai";
+
+const personas = {
+  [DEFAULT_PERSONA]: chatConfig,
+};
+
+export default personas;
@@ -0,0 +1,101 @@
+// server.js
+// =============================================================================
+// Server Configuration
+// =============================================================================
+// Deployment-wide settings for the API routes. Unlike the persona configs
+// (config/config.js and config/personas/), nothing in here is ever sent to
+// the browser.
+//
+// Settings that differ between deployments can also be set with environment
+// variables, as noted next to each setting.
+// =============================================================================
+
+const serverConfig = {
+  // Cross-origin (CORS) access to the public API routes.
+  cors: {
+    // Other sites allowed to call /api/proxy and /api/feedback from the browser.
+    // The chat's own pages (and the embed.js iframe) are always allowed.
+    // Entries may use wildcard subdomains ("https://*.example.com") or "*".
+    // Also read from CORS_ALLOWED_ORIGINS (comma-separated), added to this list.
+    allowedOrigins: [],
+  },
+
+  // Limits for /api/proxy, /api/events, /api/feedback and /api/share
+  // (see lib/rateLimit.js).
+  // A request is rejected with 429 when the IP address or the user_id made
+  // `limit` requests in the last `windowMs` milliseconds.
+  rateLimit: {
+    enabled: true,
+    perIp: { limit: 30, windowMs: 60 * 1000 },
+    perUser: { limit: 15, windowMs: 60 * 1000 },
+    // Where the counters live: "memory" or "file".
+    // Also read from RATE_LIMIT_STORE, which wins over this setting.
+    store: "memory",
+    // How many reverse proxies in front of the app add the visitor's address
+    // to X-Forwarded-For. With 0 the header is ignored (a visitor could fake
+    // it) and the connection's address is counted. At least 1 on Vercel.
+    // Also read from TRUSTED_PROXIES, which wins over this setting.
+    trustedProxies: 0,
+  },
+
+  // Checks on the payloads sent to /api/proxy (see lib/validation.js).
+  validation: {
+    // The longest message a visitor can send, in characters.
+    // Also read from MAX_MESSAGE_LENGTH.
+    maxMessageLength: 4000,
+    // The most earlier messages the chat may send to seed a new session
+    // (after editing a message or regenerating a reply).
+    maxHistoryMessages: 50,
+  },
+
+  // Files visitors attach to their messages (see lib/attachments.js). They
+  // are sent to /api/proxy as a multipart upload and forwarded to the backend
+  // in the form its adapter accepts (see lib/adapters/).
+  attachments: {
+    // Set to false to hide the attach button and refuse uploads.
+    // Also read from ATTACHMENTS_ENABLED ("0" or "false").
+    enabled: true,
+    // The most files on one message.
+    maxFiles: 4,
+    // The largest file, in bytes. Also read from MAX_ATTACHMENT_BYTES.
+    // Vercel refuses request bodies over 4.5 MB, whatever this says.
+    maxFileBytes: 4 * 1024 * 1024,
+    // The accepted file types. Images and PDFs are checked against their
+    // first bytes, so a renamed file can't pass for one.
+    allowedTypes: ["image/png", "image/jpeg", "image/gif", "image/webp", "application/pdf", "text/plain"],
+  },
+
+  // Usage events sent by the chat to /api/events (see lib/events.js).
+  analytics: {
+    // Set to false to turn analytics off entirely: the chat sends nothing
+    // and /api/events is disabled. Also read from ANALYTICS_ENABLED ("0" or "false").
+    enabled: true,
+    // The most events the chat may send in one request.
+    maxBatchSize: 50,
+  },
+
+  // Read-only links to a snapshot of a conversation (see lib/shares.js).
+  shares: {
+    // The most messages a shared conversation can hold.
+    maxMessages: 200,
+    // The longest message in a shared conversation, in characters.
+    maxContentLength: 20000,
+    // The longest expiry a visitor can pick, in days. Shares without an
+    // expiry stay up until they are revoked.
+    maxExpiryDays: 90,
+  },
+
+  // Calls from /api/proxy to the flow (see lib/upstream.js).
+  upstream: {
+    // How long to wait for the flow to start answering, per attempt.
+    // Also read from UPSTREAM_TIMEOUT_MS.
+    timeoutMs: 30 * 1000,
+    // How many times to retry after a network error, a timeout or a
+    // 502/503/504 response. Also read from UPSTREAM_RETRIES.
+    retries: 2,
+    // The wait before the first retry; it doubles on every further retry.
+    backoffMs: 500,
+  },
+};
+
+export default serverConfig;
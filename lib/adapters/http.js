@@ -0,0 +1,126 @@
+// http.js
+// =============================================================================
+// Generic HTTP/JSON Adapter
+// =============================================================================
+// Talks to any JSON API by mapping our payload onto its request body and
+// reading the reply back out of its response, all from the persona config.
+//
+// Backend config:
+//   {
+//     type: "http",
+//     url: "https://models.example.com/generate",
+//     tokenEnv: "MY_MODEL_KEY",        // optional; sent as "Authorization: Bearer <token>"
+//     headers: {},                     // optional extra headers
+//     // The request body. Strings are templates: "{{message}}", "{{session_id}}",
+//     // "{{user_id}}", "{{stream}}", "{{variables}}", "{{locale}}", "{{history}}" and
+//     // "{{attachments}}" are replaced with the payload values. A string that is
+//     // exactly one placeholder keeps the value's type (e.g. a boolean or an object).
+//     // {{attachments}} is a list of { name, type, size, data } with data in base64.
+//     request: { prompt: "{{message}}", session: "{{session_id}}" },
+//     // Dotted paths to the reply text in the JSON response and in each
+//     // streamed event (if the API streams server-sent events).
+//     response: { contentPath: "result.text", streamContentPath: "token" },
+//     stateless: false,                // true to fill {{history}} with earlier messages
+//   }
+// =============================================================================
+
+import { attachmentsToJson, getPath, jsonHeaders, newText, parseJson } from "./utils";
+
+// Matches "{{name}}" placeholders.
+const PLACEHOLDER = /\{\{\s*(\w+)\s*\}\}/g;
+const SINGLE_PLACEHOLDER = /^\{\{\s*(\w+)\s*\}\}$/;
+
+/**
+ * Replaces the placeholders of a request template with payload values.
+ *
+ * @param {*} template - The template (any JSON value).
+ * @param {Object} values - The placeholder values.
+ * @returns {*} The filled-in value.
+ */
+const fillTemplate = (template, values) => {
+  if (typeof template === "string") {
+    const single = template.match(SINGLE_PLACEHOLDER);
+    if (single) return values[single[1]];
+    return template.replace(PLACEHOLDER, (match, name) => {
+      const value = values[name];
+      if (value === undefined) return "";
+      return typeof value === "string" ? value : JSON.stringify(value);
+    });
+  }
+  if (Array.isArray(template)) {
+    return template.map((item) => fillTemplate(item, values));
+  }
+  if (template && typeof template === "object") {
+    return Object.fromEntries(
+      Object.entries(template).map(([key, value]) => [key, fillTemplate(value, values)])
+    );
+  }
+  return template;
+};
+
+const httpAdapter = {
+  // Overridden per persona with `stateless` in the backend config.
+  stateless: false,
+
+  // Files are sent wherever the template puts {{attachments}}.
+  attachments: true,
+
+  /**
+   * Builds the request from the persona's template.
+   * @param {Object} payload - The validated payload (see lib/validation.js).
+   * @param {{backend: Object, token: string, history: Object[], attachments: Object[]}} context
+   * @returns {{url: string, init: RequestInit}}
+   */
+  buildRequest: (payload, { backend, token, history, attachments = [] }) => {
+    const values = {
+      message: payload.data.message.content,
+      session_id: payload.session_id,
+      user_id: payload.user_id,
+      stream: payload.stream,
+      variables: payload.data.variables || {},
+      // The chat's interface language, e.g. "es" ("" when unknown).
+      locale: (payload.data.variables && payload.data.variables.locale) || "",
+      history,
+      attachments: attachmentsToJson(attachments),
+    };
+    // Without a template, send the payload values as they are.
+    const body = fillTemplate(backend.request || values, values);
+
+    return {
+      url: backend.url,
+      init: {
+        method: backend.method || "POST",
+        headers: jsonHeaders(token, backend.headers),
+        body: JSON.stringify(body),
+      },
+    };
+  },
+
+  /**
+   * Reads the reply with the configured contentPath.
+   * @param {Object} data - The parsed response.
+   * @param {Object} backend - The backend config.
+   * @returns {string} The reply text.
+   */
+  parseResponse: (data, backend) => {
+    const content = getPath(data, (backend.response && backend.response.contentPath) || "content");
+    return typeof content === "string" ? content : "";
+  },
+
+  /**
+   * Pulls the new text out of one stream event with the configured
+   * streamContentPath. Events that aren't JSON are treated as plain text.
+   * @param {{event: string, data: string}} event - The upstream event.
+   * @param {string} soFar - The text received so far.
+   * @param {Object} backend - The backend config.
+   * @returns {string} The new text (may be empty).
+   */
+  parseStreamEvent: ({ data }, soFar, backend) => {
+    const parsed = parseJson(data);
+    if (parsed === undefined) return data;
+    const path = (backend.response && backend.response.streamContentPath) || "content";
+    return newText(getPath(parsed, path), soFar);
+  },
+};
+
+export default httpAdapter;
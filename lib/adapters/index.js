@@ -0,0 +1,93 @@
+// index.js
+// =============================================================================
+// Backend Adapters
+// =============================================================================
+// /api/proxy can talk to different kinds of model backends. Each persona
+// picks one with `backend` in its config (server-side only):
+// - "zerowidth": a zerowidth flow (the default, see ./zerowidth.js).
+// - "openai": any OpenAI-compatible chat completions API (see ./openai.js).
+// - "http": any JSON API, with a configurable request/response mapping
+//   (see ./http.js).
+// - "mock": canned replies from config/mockFixtures.js (see ./mock.js).
+//
+// Personas without `backend` use zerowidth with their flowURL and tokenEnv.
+// With MOCK_BACKEND=1, every persona uses the mock instead.
+//
+// Whatever the backend, the chat component always gets the same shape back:
+// `{ output_data: { content } }` for JSON replies, or the proxy's own
+// "delta"/"done"/"error" events for streamed replies (see lib/proxy.js).
+//
+// Other adapters can be added with registerAdapter(). An adapter is an object
+// with:
+// - stateless: true if the backend needs the earlier messages with each request
+// - attachments: true if buildRequest forwards the files of a message
+//   (messages with files are refused for other adapters)
+// - buildRequest(payload, { backend, token, history, personaId, attachments }) -> { url, init }
+//   (attachments: [{ name, type, size, data: Buffer }], see lib/attachments.js)
+// - fetch(url, init) -> Response (optional; replaces the global fetch)
+// - parseResponse(data, backend) -> reply text
+// - parseStreamEvent({ event, data }, soFar, backend) -> new text
+// =============================================================================
+
+import zerowidthAdapter from "./zerowidth";
+import openaiAdapter from "./openai";
+import httpAdapter from "./http";
+import mockAdapter, { isMockMode } from "./mock";
+
+// Known adapters, by the name used in `backend.type`.
+const adapters = {
+  zerowidth: zerowidthAdapter,
+  openai: openaiAdapter,
+  http: httpAdapter,
+  mock: mockAdapter,
+};
+
+/**
+ * Registers an extra adapter that personas can then select with `backend.type`.
+ * @param {string} name - The adapter name.
+ * @param {Object} adapter - The adapter.
+ */
+export const registerAdapter = (name, adapter) => {
+  adapters[name] = adapter;
+};
+
+/**
+ * Returns a persona's backend config, falling back to zerowidth with the
+ * persona's flowURL and tokenEnv (or the mock in mock mode).
+ * @param {Object} persona - The persona config.
+ * @returns {Object} The backend config (always with a `type`).
+ */
+export const getBackendConfig = (persona) => {
+  if (isMockMode()) return { type: "mock" };
+  return persona.backend || {
+    type: "zerowidth",
+    url: persona.flowURL,
+    tokenEnv: persona.tokenEnv || "ZEROWIDTH_API_KEY",
+  };
+};
+
+/**
+ * Finds the adapter, backend config and token for a persona.
+ * @param {Object} persona - The persona config.
+ * @returns {{adapter: Object, backend: Object, token: string|undefined, stateless: boolean}}
+ */
+export const resolveBackend = (persona) => {
+  const backend = getBackendConfig(persona);
+  const adapter = adapters[backend.type];
+  if (!adapter) {
+    throw new Error(`Unknown backend type "${backend.type}"`);
+  }
+  return {
+    adapter,
+    backend,
+    token: backend.tokenEnv ? process.env[backend.tokenEnv] : undefined,
+    stateless: backend.stateless !== undefined ? backend.stateless : adapter.stateless,
+  };
+};
+
+/**
+ * Wraps reply text in the shape the chat component reads.
+ * @param {string} content - The reply text.
+ * @returns {{output_data: {content: string}}}
+ */
+export const toChatResponse = (content) => ({ output_data: { content } });
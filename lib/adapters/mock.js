@@ -0,0 +1,167 @@
+// mock.js
+// =============================================================================
+// Mock Adapter
+// =============================================================================
+// Answers from config/mockFixtures.js instead of a real model, so the chat can
+// be developed and demoed offline. Turn it on for every persona with the
+// MOCK_BACKEND=1 environment variable, or for one persona with
+// `backend: { type: "mock" }`.
+//
+// The mock goes through the same path as real backends: it provides its own
+// fetch function, so the proxy's timeouts, retries, streaming relay and
+// transcripts all behave as they would in production. Replies are sent in
+// the zerowidth format and read back with the zerowidth adapter. Attached
+// files are accepted, but only their names reach the fixtures.
+// =============================================================================
+
+import mockFixtures from "../../config/mockFixtures";
+import { formatSseEvent } from "../sse";
+import zerowidthAdapter from "./zerowidth";
+
+/**
+ * Checks whether mock mode is switched on with MOCK_BACKEND.
+ * @returns {boolean}
+ */
+export const isMockMode = () => ["1", "true", "yes"].includes(
+  String(process.env.MOCK_BACKEND || "").toLowerCase()
+);
+
+/**
+ * Finds the first fixture matching a message.
+ * @param {string} message - The visitor's message.
+ * @param {string} personaId - The persona being chatted with.
+ * @param {string[]} fileNames - The names of the attached files.
+ * @returns {Object} The fixture merged with the defaults.
+ */
+const findFixture = (message, personaId, fileNames) => {
+  const fixture =
+    mockFixtures.fixtures.find(({ match, persona, withAttachments }) => {
+      if (persona && persona !== personaId) return false;
+      if (withAttachments && fileNames.length === 0) return false;
+      if (match instanceof RegExp) return match.test(message);
+      if (typeof match === "string") return message.toLowerCase().includes(match.toLowerCase());
+      return true;
+    }) || { reply: "" };
+  return { ...mockFixtures.defaults, ...fixture };
+};
+
+/**
+ * Waits for a delay, unless the signal aborts first.
+ * @param {number} ms - The delay.
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>} Rejects with an AbortError if aborted.
+ */
+const sleep = async (ms, signal) => {
+  const abortError = () => new DOMException("The operation was aborted.", "AbortError");
+  if (signal && signal.aborted) throw abortError();
+  let onAbort;
+  try {
+    await new Promise((resolve, reject) => {
+      const timer = setTimeout(resolve, ms);
+      onAbort = () => {
+        clearTimeout(timer);
+        reject(abortError());
+      };
+      if (signal) signal.addEventListener("abort", onAbort, { once: true });
+    });
+  } finally {
+    // A streamed reply sleeps once per word on the same signal: don't pile up listeners.
+    if (signal) signal.removeEventListener("abort", onAbort);
+  }
+};
+
+/**
+ * Builds a streamed response that sends the reply a word at a time. Each
+ * event holds the full text so far, which the zerowidth adapter turns back
+ * into deltas (repeated words can't be mistaken for text already received).
+ * @param {string} reply - The full reply.
+ * @param {number} chunkDelayMs - The pause between words.
+ * @param {AbortSignal} [signal] - Stops the stream when aborted.
+ * @returns {Response}
+ */
+const streamResponse = (reply, chunkDelayMs, signal) => {
+  const encoder = new TextEncoder();
+  // Split after each run of whitespace, keeping the whitespace.
+  const chunks = reply.match(/\S*\s*/g).filter(Boolean);
+
+  const body = new ReadableStream({
+    async start(controller) {
+      try {
+        let content = "";
+        for (const chunk of chunks) {
+          await sleep(chunkDelayMs, signal);
+          content += chunk;
+          controller.enqueue(
+            encoder.encode(formatSseEvent("message", { output_data: { content } }))
+          );
+        }
+        controller.close();
+      } catch (error) {
+        controller.error(error);
+      }
+    },
+  });
+
+  return new Response(body, {
+    status: 200,
+    headers: { "Content-Type": "text/event-stream" },
+  });
+};
+
+/**
+ * Answers a request built by buildRequest below, like a real backend would.
+ * @param {string} url - Unused.
+ * @param {RequestInit} init - The request (its body holds the payload).
+ * @returns {Promise<Response>}
+ */
+const mockFetch = async (url, init) => {
+  const { payload, personaId, fileNames } = JSON.parse(init.body);
+  const message = payload.data.message.content;
+  const fixture = findFixture(message, personaId, fileNames);
+
+  await sleep(fixture.latencyMs, init.signal);
+
+  if (fixture.status) {
+    return new Response(`Mock error for "${message}"`, { status: fixture.status });
+  }
+
+  // Functions, so "$&" or "$1" in the visitor's text are kept as typed.
+  const reply = String(fixture.reply)
+    .replace(/\{\{\s*message\s*\}\}/g, () => message)
+    .replace(/\{\{\s*attachments\s*\}\}/g, () => fileNames.join(", "));
+  if (payload.stream) {
+    return streamResponse(reply, fixture.chunkDelayMs, init.signal);
+  }
+  return new Response(JSON.stringify({ output_data: { content: reply } }), {
+    status: 200,
+    headers: { "Content-Type": "application/json" },
+  });
+};
+
+const mockAdapter = {
+  // Nothing is remembered between messages.
+  stateless: false,
+
+  // Files are accepted (only their names are used).
+  attachments: true,
+
+  /**
+   * Packs the payload for mockFetch.
+   * @param {Object} payload - The validated payload (see lib/validation.js).
+   * @param {{personaId: string, attachments: Object[]}} context
+   * @returns {{url: string, init: RequestInit}}
+   */
+  buildRequest: (payload, { personaId, attachments = [] }) => ({
+    url: "mock://backend",
+    init: {
+      method: "POST",
+      body: JSON.stringify({ payload, personaId, fileNames: attachments.map(({ name }) => name) }),
+    },
+  }),
+
+  fetch: mockFetch,
+  parseResponse: zerowidthAdapter.parseResponse,
+  parseStreamEvent: zerowidthAdapter.parseStreamEvent,
+};
+
+export default mockAdapter;
@@ -0,0 +1,143 @@
+// openai.js
+// =============================================================================
+// OpenAI-Compatible Adapter
+// =============================================================================
+// Talks to any server implementing the OpenAI chat completions API: OpenAI
+// itself, or self-hosted models behind vLLM, Ollama, llama.cpp, LM Studio...
+//
+// Backend config:
+//   {
+//     type: "openai",
+//     baseURL: "http://localhost:11434/v1",   // without /chat/completions
+//     model: "llama3",
+//     tokenEnv: "OPENAI_API_KEY",             // optional for local servers
+//     systemPrompt: "You are Chai's clone...", // optional
+//     temperature: 0.7,                        // optional
+//     headers: {},                             // optional extra headers
+//   }
+//
+// These servers don't remember conversations, so the proxy sends the earlier
+// messages of the session along with each request (see `stateless`).
+//
+// Attached files become parts of the user message: images as "image_url"
+// parts, PDFs as "file" parts (both as data URLs) and text files as text.
+// The model must accept them (a vision model for images, for example).
+// =============================================================================
+
+import { jsonHeaders, parseJson, toDataUrl } from "./utils";
+import { isImageType } from "../attachments";
+
+/**
+ * Builds the content of the visitor's message: the text alone, or a list of
+ * parts when files are attached.
+ * @param {string} text - The message.
+ * @param {Object[]} attachments - The files ({ name, type, size, data }).
+ * @returns {string|Object[]} The message content.
+ */
+const buildUserContent = (text, attachments) => {
+  if (attachments.length === 0) return text;
+  return [
+    { type: "text", text },
+    ...attachments.map((attachment) => {
+      if (isImageType(attachment.type)) {
+        return { type: "image_url", image_url: { url: toDataUrl(attachment) } };
+      }
+      if (attachment.type === "application/pdf") {
+        return { type: "file", file: { filename: attachment.name, file_data: toDataUrl(attachment) } };
+      }
+      return { type: "text", text: `Attached file "${attachment.name}":\n${attachment.data.toString("utf8")}` };
+    }),
+  ];
+};
+
+/**
+ * Builds the chat completions message list.
+ * @param {Object} payload - The validated payload.
+ * @param {Object} backend - The backend config.
+ * @param {{role: string, content: string}[]} history - Earlier messages.
+ * @param {Object[]} attachments - The files attached to the new message.
+ * @returns {{role: string, content: string|Object[]}[]} The messages.
+ */
+const buildMessages = (payload, backend, history, attachments) => {
+  const messages = [];
+  if (backend.systemPrompt) {
+    messages.push({ role: "system", content: backend.systemPrompt });
+  }
+
+  // Context sent by the host page (see the bridge's setContext command).
+  const { locale, ...variables } = payload.data.variables || {};
+  if (Object.keys(variables).length > 0) {
+    const lines = Object.entries(variables).map(([name, value]) => `- ${name}: ${value}`);
+    messages.push({ role: "system", content: `Context from the page:\n${lines.join("\n")}` });
+  }
+  // The chat's interface language (see lib/i18n.js).
+  if (locale) {
+    messages.push({
+      role: "system",
+      content: `The visitor's language is "${locale}". Reply in that language unless they write in another one.`,
+    });
+  }
+
+  for (const message of history) {
+    messages.push({
+      role: message.role === "user" ? "user" : "assistant",
+      content: message.content,
+    });
+  }
+  messages.push({ role: "user", content: buildUserContent(payload.data.message.content, attachments) });
+  return messages;
+};
+
+const openaiAdapter = {
+  // The proxy must send the earlier messages with each request.
+  stateless: true,
+
+  // Files become parts of the user message.
+  attachments: true,
+
+  /**
+   * Builds the chat completions request.
+   * @param {Object} payload - The validated payload (see lib/validation.js).
+   * @param {{backend: Object, token: string, history: Object[], attachments: Object[]}} context
+   * @returns {{url: string, init: RequestInit}}
+   */
+  buildRequest: (payload, { backend, token, history, attachments = [] }) => ({
+    url: `${String(backend.baseURL).replace(/\/+$/, "")}/chat/completions`,
+    init: {
+      method: "POST",
+      headers: jsonHeaders(token, backend.headers),
+      body: JSON.stringify({
+        model: backend.model,
+        messages: buildMessages(payload, backend, history, attachments),
+        stream: payload.stream,
+        user: payload.user_id,
+        ...(backend.temperature !== undefined && { temperature: backend.temperature }),
+      }),
+    },
+  }),
+
+  /**
+   * Reads the reply from a chat completion.
+   * @param {Object} data - The parsed response.
+   * @returns {string} The reply text.
+   */
+  parseResponse: (data) => {
+    const choice = data && data.choices && data.choices[0];
+    return (choice && choice.message && choice.message.content) || "";
+  },
+
+  /**
+   * Pulls the new text out of one streamed chat completion chunk.
+   * Chunks always hold deltas, never the full text.
+   * @param {{event: string, data: string}} event - The upstream event.
+   * @returns {string} The new text (may be empty).
+   */
+  parseStreamEvent: ({ data }) => {
+    const parsed = parseJson(data);
+    const choice = parsed && parsed.choices && parsed.choices[0];
+    const content = choice && choice.delta && choice.delta.content;
+    return typeof content === "string" ? content : "";
+  },
+};
+
+export default openaiAdapter;
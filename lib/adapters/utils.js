@@ -0,0 +1,78 @@
+// utils.js
+// =============================================================================
+// Adapter Helpers
+// =============================================================================
+// Small helpers shared by the backend adapters in this folder.
+// =============================================================================
+
+/**
+ * Returns only the part of `text` that hasn't been received yet.
+ *
+ * Some backends stream small deltas, others send the full text generated so
+ * far; when the text starts with what we already have, only the new part is
+ * kept.
+ *
+ * @param {*} text - The text from one stream event.
+ * @param {string} soFar - The text received so far.
+ * @returns {string} The new text (may be empty).
+ */
+export const newText = (text, soFar) => {
+  if (typeof text !== "string") return "";
+  return soFar && text.startsWith(soFar) ? text.slice(soFar.length) : text;
+};
+
+/**
+ * Reads a value from a nested object with a dotted path, e.g.
+ * getPath(data, "choices.0.message.content").
+ *
+ * @param {*} value - The object to read from.
+ * @param {string} path - The dotted path ("" returns the value itself).
+ * @returns {*} The value, or undefined when any step is missing.
+ */
+export const getPath = (value, path) =>
+  (path ? path.split(".") : []).reduce(
+    (current, key) => (current === null || current === undefined ? undefined : current[key]),
+    value
+  );
+
+/**
+ * Parses JSON, returning undefined instead of throwing.
+ * @param {string} text
+ * @returns {*} The parsed value, or undefined if the text isn't JSON.
+ */
+export const parseJson = (text) => {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return undefined;
+  }
+};
+
+/**
+ * Encodes an attached file as a data URL, e.g. "data:image/png;base64,iVBORw0...".
+ * @param {{type: string, data: Buffer}} attachment - A file checked by validateAttachments.
+ * @returns {string}
+ */
+export const toDataUrl = ({ type, data }) => `data:${type};base64,${data.toString("base64")}`;
+
+/**
+ * Describes attached files for JSON backends, with their contents in base64.
+ * @param {Object[]} attachments - Files checked by validateAttachments ({ name, type, size, data }).
+ * @returns {{name: string, type: string, size: number, data: string}[]}
+ */
+export const attachmentsToJson = (attachments) =>
+  attachments.map(({ name, type, size, data }) => ({ name, type, size, data: data.toString("base64") }));
+
+/**
+ * Builds the request headers shared by the adapters: JSON content, the
+ * bearer token (when there is one) and any extra headers from the config.
+ *
+ * @param {string|undefined} token - The bearer token.
+ * @param {Object} [extraHeaders] - Extra headers from the backend config.
+ * @returns {Object} The headers.
+ */
+export const jsonHeaders = (token, extraHeaders = {}) => ({
+  "Content-Type": "application/json",
+  ...(token && { Authorization: `Bearer ${token}` }),
+  ...extraHeaders,
+});
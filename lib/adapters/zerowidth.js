@@ -0,0 +1,72 @@
+// zerowidth.js
+// =============================================================================
+// zerowidth Adapter
+// =============================================================================
+// Talks to a zerowidth flow. The chat component's payload is already in the
+// zerowidth format, so it is forwarded as is, and the flow keeps the
+// conversation history itself (it is stateful, keyed by session_id).
+// Attached files are added to the payload as data.attachments:
+// [{ name, type, size, data }], with data in base64.
+//
+// Backend config:
+//   { type: "zerowidth", url: "https://api.zerowidth.ai/v1/process/...", tokenEnv: "ZEROWIDTH_API_KEY" }
+//
+// Personas without a `backend` use this adapter with their flowURL and tokenEnv.
+// =============================================================================
+
+import { attachmentsToJson, jsonHeaders, newText, parseJson } from "./utils";
+
+const zerowidthAdapter = {
+  // The flow remembers the conversation, so the proxy needn't send history.
+  stateless: false,
+
+  // Files are sent along in the payload.
+  attachments: true,
+
+  /**
+   * Builds the request to the flow.
+   * @param {Object} payload - The validated payload (see lib/validation.js).
+   * @param {{backend: Object, token: string, attachments: Object[]}} context
+   * @returns {{url: string, init: RequestInit}}
+   */
+  buildRequest: (payload, { backend, token, attachments = [] }) => ({
+    url: backend.url,
+    init: {
+      method: "POST",
+      headers: jsonHeaders(token, backend.headers),
+      body: JSON.stringify(
+        attachments.length > 0
+          ? { ...payload, data: { ...payload.data, attachments: attachmentsToJson(attachments) } }
+          : payload
+      ),
+    },
+  }),
+
+  /**
+   * Reads the reply from the flow's JSON response.
+   * @param {Object} data - The parsed response.
+   * @returns {string} The reply text.
+   */
+  parseResponse: (data) => (data && data.output_data && data.output_data.content) || "",
+
+  /**
+   * Pulls the new text out of one stream event.
+   * @param {{event: string, data: string}} event - The upstream event.
+   * @param {string} soFar - The text received so far.
+   * @returns {string} The new text (may be empty).
+   */
+  parseStreamEvent: ({ data }, soFar) => {
+    const parsed = parseJson(data);
+    // Not JSON: treat the raw data as plain text.
+    if (parsed === undefined) return data;
+
+    const text =
+      (parsed.output_data && parsed.output_data.content) ||
+      parsed.delta ||
+      parsed.content ||
+      "";
+    return newText(text, soFar);
+  },
+};
+
+export default zerowidthAdapter;
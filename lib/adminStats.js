@@ -0,0 +1,150 @@
+// adminStats.js
+// =============================================================================
+// Admin Dashboard Statistics
+// =============================================================================
+// Computes what the /admin dashboard shows from the data the API routes
+// already store:
+// - sessions and their messages, from the transcript store (lib/transcripts.js),
+// - like/dislike votes, from the "feedback" collection (lib/store.js).
+//
+// Suggestion pill clicks are counted from the first message of each session:
+// pills are only offered in an empty chat and send their message as is.
+// When analytics are on (lib/events.js), the pill hovers and clicks the chat
+// reported and the drop-off funnel are added.
+// =============================================================================
+
+import { isAnalyticsEnabled, summarizeEvents } from "./events";
+import { DEFAULT_LOCALE, allTranslations, localize } from "./i18n";
+import { getPersona, listPersonaIds } from "./personas";
+import { readRecords } from "./store";
+import { getTranscriptStore } from "./transcripts";
+
+// How many of the most-disliked answers to show.
+const TOP_DISLIKED = 10;
+
+// How many days (with votes) the like/dislike chart covers.
+const CHART_DAYS = 30;
+
+/**
+ * Keeps each visitor's latest vote per answer (a like can be changed to a
+ * dislike or taken back), and drops the taken-back ones.
+ * @param {Object[]} records - Feedback records in write order.
+ * @returns {Object[]} The votes that count.
+ */
+const latestVotes = (records) => {
+  const votes = new Map();
+  for (const record of records) {
+    const key = [record.user_id, record.session_id, record.message_index, record.message].join("\n");
+    votes.set(key, record);
+  }
+  return [...votes.values()].filter((record) => record.vote !== "clear");
+};
+
+/**
+ * Counts likes and dislikes per day, oldest first.
+ * @param {Object[]} votes
+ * @returns {{day: string, likes: number, dislikes: number}[]} The last CHART_DAYS days with votes.
+ */
+const countVotesByDay = (votes) => {
+  const days = new Map();
+  for (const { vote, created_at } of votes) {
+    const day = String(created_at).slice(0, 10);
+    const counts = days.get(day) || { day, likes: 0, dislikes: 0 };
+    if (vote === "like") counts.likes += 1;
+    if (vote === "dislike") counts.dislikes += 1;
+    days.set(day, counts);
+  }
+  return [...days.values()].sort((a, b) => a.day.localeCompare(b.day)).slice(-CHART_DAYS);
+};
+
+/**
+ * Finds the answers with the most dislikes.
+ * @param {Object[]} votes
+ * @returns {Object[]} [{ persona, message, prompt, dislikes, likes, reasons: { reason: count } }]
+ */
+const findMostDisliked = (votes) => {
+  const answers = new Map();
+  for (const { persona, message, prompt, vote, reason } of votes) {
+    const key = `${persona}\n${message}`;
+    const answer = answers.get(key) || { persona, message, prompt, dislikes: 0, likes: 0, reasons: {} };
+    if (vote === "like") answer.likes += 1;
+    if (vote === "dislike") {
+      answer.dislikes += 1;
+      if (reason) answer.reasons[reason] = (answer.reasons[reason] || 0) + 1;
+    }
+    answer.prompt = prompt || answer.prompt;
+    answers.set(key, answer);
+  }
+  return [...answers.values()]
+    .filter((answer) => answer.dislikes > 0)
+    .sort((a, b) => b.dislikes - a.dislikes || a.likes - b.likes)
+    .slice(0, TOP_DISLIKED);
+};
+
+/**
+ * Counts how many sessions each persona's suggestion pills started.
+ * @param {Object[]} sessions - Session summaries (with first_message).
+ * @returns {Object[]} [{ persona, title, message, clicks }], most clicked first.
+ */
+const countPillClicks = (sessions) => {
+  // Pills shown in several languages count a click in any of them, and are
+  // listed with their default-language texts (see lib/i18n.js).
+  const pills = listPersonaIds().flatMap((persona) =>
+    (getPersona(persona).suggestedPrompts || []).map(({ title, message }) => ({
+      persona,
+      title: localize(title, DEFAULT_LOCALE),
+      message: localize(message, DEFAULT_LOCALE),
+      messages: allTranslations(message),
+      clicks: 0,
+    }))
+  );
+  for (const session of sessions) {
+    const pill = pills.find(
+      ({ persona, messages }) => persona === session.persona && messages.includes(session.first_message)
+    );
+    if (pill) pill.clicks += 1;
+  }
+  return pills.map(({ messages, ...pill }) => pill).sort((a, b) => b.clicks - a.clicks);
+};
+
+/**
+ * Adds the reported hovers and clicks to each pill.
+ * @param {Object[]} pills - From countPillClicks.
+ * @param {Object[]} reported - The summary's pills: [{ persona, title, hovers, clicks }].
+ * @returns {Object[]} The pills with `hovers` and `reported_clicks`.
+ */
+const addReportedPillEvents = (pills, reported) =>
+  pills.map((pill) => {
+    const match = reported.find(({ persona, title }) => persona === pill.persona && title === pill.title);
+    return { ...pill, hovers: match ? match.hovers : 0, reported_clicks: match ? match.clicks : 0 };
+  });
+
+/**
+ * Gathers everything the admin dashboard shows.
+ * @returns {Promise<Object>} { totals, sessions, votesByDay, mostDisliked, pillClicks, funnel }
+ *   (funnel is null when analytics are off).
+ */
+export const getDashboardStats = async () => {
+  const analyticsEnabled = isAnalyticsEnabled();
+  const [sessions, feedback, events] = await Promise.all([
+    getTranscriptStore().listSessions(),
+    readRecords("feedback"),
+    analyticsEnabled ? summarizeEvents() : null,
+  ]);
+  const votes = latestVotes(feedback);
+  const pillClicks = countPillClicks(sessions);
+
+  return {
+    totals: {
+      sessions: sessions.length,
+      messages: sessions.reduce((sum, session) => sum + session.message_count, 0),
+      likes: votes.filter((record) => record.vote === "like").length,
+      dislikes: votes.filter((record) => record.vote === "dislike").length,
+    },
+    sessions,
+    votesByDay: countVotesByDay(votes),
+    mostDisliked: findMostDisliked(votes),
+    pillClicks: events ? addReportedPillEvents(pillClicks, events.pills) : pillClicks,
+    funnel: events ? events.funnel : null,
+  };
+};
@@ -0,0 +1,111 @@
+// analytics.js
+// =============================================================================
+// Analytics (Client-Side)
+// =============================================================================
+// Collects typed usage events in the chat and sends them in batches to
+// /api/events (see lib/events.js for the event types and their props):
+//
+//   const analytics = createAnalytics({ persona, getIds });
+//   analytics.track("pill_click", { index: 2, title: "Art" });
+//
+// Events are queued and sent every few seconds, when the queue is full, and
+// when the page is hidden or closed (with navigator.sendBeacon, which still
+// works while the page unloads). Sending problems are ignored: analytics
+// must never interrupt the chat.
+//
+// When analytics are turned off (`analytics.enabled` in config/server.js),
+// createAnalytics returns a tracker that does nothing.
+// =============================================================================
+
+// The route the events are sent to.
+const EVENTS_ENDPOINT = "/api/events";
+
+// How often queued events are sent, and the most sent at once.
+const FLUSH_INTERVAL_MS = 5000;
+const MAX_BATCH_SIZE = 20;
+
+// The event types the server accepts (see EVENT_SCHEMAS in lib/events.js).
+export const EVENT_TYPES = [
+  "session_start",
+  "pill_hover",
+  "pill_click",
+  "message_sent",
+  "reply_received",
+  "feedback",
+  "copy",
+  "error",
+];
+
+// The tracker used when analytics are off (or during SSR).
+const noopAnalytics = { track: () => {}, flush: () => {}, destroy: () => {} };
+
+/**
+ * Creates a tracker for one chat.
+ *
+ * @param {Object} options
+ * @param {string} options.persona - The persona id, added to every event.
+ * @param {() => {user_id: string, session_id: string}} options.getIds - Returns
+ *   the current ids, added to every event.
+ * @param {boolean} [options.enabled] - False to track nothing.
+ * @returns {{track: Function, flush: Function, destroy: Function}} The tracker.
+ */
+export const createAnalytics = ({ persona, getIds, enabled = true }) => {
+  if (!enabled || typeof window === "undefined") return noopAnalytics;
+
+  let queue = [];
+
+  /**
+   * Sends the queued events.
+   * @param {boolean} [unloading] - True when the page is going away.
+   */
+  const flush = (unloading = false) => {
+    if (queue.length === 0) return;
+    const body = JSON.stringify({ events: queue.splice(0, MAX_BATCH_SIZE) });
+    if (unloading && navigator.sendBeacon) {
+      navigator.sendBeacon(EVENTS_ENDPOINT, new Blob([body], { type: "application/json" }));
+    } else {
+      fetch(EVENTS_ENDPOINT, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body,
+        keepalive: true,
+      }).catch(() => {});
+    }
+    // More than one batch was waiting: send the rest too.
+    if (queue.length > 0) flush(unloading);
+  };
+
+  const timer = setInterval(() => flush(), FLUSH_INTERVAL_MS);
+  const handleVisibilityChange = () => {
+    if (document.visibilityState === "hidden") flush(true);
+  };
+  const handlePageHide = () => flush(true);
+  document.addEventListener("visibilitychange", handleVisibilityChange);
+  window.addEventListener("pagehide", handlePageHide);
+
+  return {
+    /**
+     * Queues an event.
+     * @param {string} type - One of EVENT_TYPES.
+     * @param {Object} [props] - The event's props.
+     */
+    track: (type, props = {}) => {
+      if (!EVENT_TYPES.includes(type)) {
+        console.error(`Unknown analytics event: ${type}`);
+        return;
+      }
+      queue.push({ type, persona, ...getIds(), props, ts: Date.now() });
+      if (queue.length >= MAX_BATCH_SIZE) flush();
+    },
+    flush,
+    /**
+     * Sends what is left and stops the timer and listeners.
+     */
+    destroy: () => {
+      clearInterval(timer);
+      document.removeEventListener("visibilitychange", handleVisibilityChange);
+      window.removeEventListener("pagehide", handlePageHide);
+      flush(true);
+    },
+  };
+};
@@ -0,0 +1,117 @@
+// attachments.js
+// =============================================================================
+// File Attachments
+// =============================================================================
+// Files visitors attach to a message: a screenshot, a PDF brief, a text file.
+//
+// The chat checks each file as it is added (checkAttachment), shows a small
+// preview (makeThumbnail) and sends the files with the message as a
+// multipart upload. The proxy reads the upload (see lib/multipart.js), checks
+// the files again (validateAttachments in lib/validation.js) and forwards
+// them in the form the persona's backend adapter accepts (see lib/adapters/).
+//
+// The limits come from `attachments` in config/server.js and reach the chat
+// through the page's props (see getAttachmentLimits in lib/validation.js):
+//   { maxFiles: 4, maxFileBytes: 4194304, allowedTypes: ["image/png", ...] }
+//
+// A sent message keeps a light description of its files, saved with the
+// thread in localStorage (the files themselves are not kept):
+//   { name: "brief.pdf", type: "application/pdf", size: 48213, thumbnail?: "data:image/jpeg;..." }
+//
+// These helpers run in the browser and on the server.
+// =============================================================================
+
+// The longest side of an image thumbnail, in pixels.
+const THUMBNAIL_SIZE = 160;
+
+// The first bytes of each binary file type (its "magic number"). Other types
+// (text/plain) have no signature.
+const SIGNATURES = {
+  "image/png": [[0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]],
+  "image/jpeg": [[0xff, 0xd8, 0xff]],
+  "image/gif": [[0x47, 0x49, 0x46, 0x38]], // "GIF8"
+  "image/webp": [[0x52, 0x49, 0x46, 0x46]], // "RIFF" (followed by "WEBP" at byte 8)
+  "application/pdf": [[0x25, 0x50, 0x44, 0x46]], // "%PDF"
+};
+
+/**
+ * Checks whether a file type is an image the chat can preview.
+ * @param {string} type - The MIME type.
+ * @returns {boolean}
+ */
+export const isImageType = (type) => typeof type === "string" && type.startsWith("image/");
+
+/**
+ * Checks a file against the attachment limits.
+ * @param {{type: string, size: number}} file - A File, or the server's description of one.
+ * @param {{maxFileBytes: number, allowedTypes: string[]}} limits
+ * @returns {"wrongType"|"tooLarge"|null} The problem, or null when the file is accepted.
+ */
+export const checkAttachment = (file, limits) => {
+  if (!limits.allowedTypes.includes(file.type)) return "wrongType";
+  if (file.size > limits.maxFileBytes) return "tooLarge";
+  return null;
+};
+
+/**
+ * Checks that a file's contents match its declared type.
+ * @param {Uint8Array} bytes - The file contents (a Buffer on the server).
+ * @param {string} type - The declared MIME type.
+ * @returns {boolean} True when the first bytes match (or the type has no signature).
+ */
+export const matchesFileType = (bytes, type) => {
+  const signatures = SIGNATURES[type];
+  if (!signatures) return true;
+  const matches = signatures.some((signature) => signature.every((byte, i) => bytes[i] === byte));
+  if (type !== "image/webp") return matches;
+  return matches && String.fromCharCode(...bytes.slice(8, 12)) === "WEBP";
+};
+
+/**
+ * Formats a file size for people: "820 B", "48 KB", "2.5 MB".
+ * @param {number} bytes
+ * @returns {string}
+ */
+export const formatFileSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1).replace(/\.0$/, "")} MB`;
+};
+
+/**
+ * Draws a small JPEG preview of an image, light enough to keep in localStorage.
+ * Only runs in the browser.
+ * @param {File} file - The image.
+ * @returns {Promise<string|null>} A data URL, or null for other files (or images the browser can't read).
+ */
+export const makeThumbnail = async (file) => {
+  if (typeof window === "undefined" || !isImageType(file.type)) return null;
+  try {
+    const bitmap = await createImageBitmap(file);
+    const scale = Math.min(1, THUMBNAIL_SIZE / Math.max(bitmap.width, bitmap.height));
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.max(1, Math.round(bitmap.width * scale));
+    canvas.height = Math.max(1, Math.round(bitmap.height * scale));
+    const context = canvas.getContext("2d");
+    // JPEG has no transparency: put see-through images on white.
+    context.fillStyle = "#FFFFFF";
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    bitmap.close();
+    return canvas.toDataURL("image/jpeg", 0.8);
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Describes an attached file for the sent message (see the top of this file).
+ * @param {{name: string, type: string, size: number, thumbnail?: string|null}} attachment
+ * @returns {Object} The description.
+ */
+export const describeAttachment = ({ name, type, size, thumbnail }) => ({
+  name,
+  type,
+  size,
+  ...(thumbnail && { thumbnail }),
+});
@@ -0,0 +1,122 @@
+// auth.js
+// =============================================================================
+// Admin Authentication
+// =============================================================================
+// Protects the API routes and pages that expose stored data (e.g. transcripts).
+// Callers must prove they know the secret from the ADMIN_TOKEN environment
+// variable, either with every request:
+//
+//   Authorization: Bearer <ADMIN_TOKEN>
+//
+// or by signing in once on /admin, which sets an admin session cookie
+// (signed with ADMIN_TOKEN, so changing the token signs everyone out).
+//
+// When ADMIN_TOKEN is not set, the protected routes are disabled entirely so
+// a fresh deployment never leaks visitor data by accident.
+// =============================================================================
+
+import { createHmac, timingSafeEqual } from "crypto";
+
+// The admin session cookie and how long it lasts.
+const ADMIN_COOKIE = "chai_admin";
+const ADMIN_SESSION_SECONDS = 12 * 60 * 60;
+
+/**
+ * Compares two strings in constant time so the token can't be guessed byte by byte.
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean} True when both strings are equal.
+ */
+export const safeEqual = (a, b) => {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+  return bufferA.length === bufferB.length && timingSafeEqual(bufferA, bufferB);
+};
+
+/**
+ * Returns the bearer token sent with a request.
+ * @param {import("http").IncomingMessage} req - The incoming request.
+ * @returns {string} The token, or "" when there is none.
+ */
+export const getBearerToken = (req) => {
+  const header = req.headers.authorization || "";
+  return header.startsWith("Bearer ") ? header.slice("Bearer ".length) : "";
+};
+
+/**
+ * Signs an admin session's expiry time with ADMIN_TOKEN.
+ * @param {number} expires - Milliseconds since the epoch.
+ * @param {string} adminToken
+ * @returns {string} The signature, in hex.
+ */
+const signSession = (expires, adminToken) =>
+  createHmac("sha256", adminToken).update(`admin-session:${expires}`).digest("hex");
+
+/**
+ * Checks the admin session cookie ("<expires>.<signature>").
+ * @param {import("http").IncomingMessage} req - The incoming request (with parsed cookies).
+ * @param {string} adminToken
+ * @returns {boolean} True for a valid, unexpired session.
+ */
+const hasAdminSession = (req, adminToken) => {
+  const cookie = (req.cookies && req.cookies[ADMIN_COOKIE]) || "";
+  const [expires, signature] = cookie.split(".");
+  return (
+    Number(expires) > Date.now() &&
+    Boolean(signature) &&
+    safeEqual(signature, signSession(Number(expires), adminToken))
+  );
+};
+
+/**
+ * Builds the Set-Cookie header that signs an admin in.
+ * @returns {string} The header value.
+ */
+export const createAdminCookie = () => {
+  const expires = Date.now() + ADMIN_SESSION_SECONDS * 1000;
+  const value = `${expires}.${signSession(expires, process.env.ADMIN_TOKEN)}`;
+  const secure = process.env.NODE_ENV === "production" ? "; Secure" : "";
+  return `${ADMIN_COOKIE}=${value}; Path=/; Max-Age=${ADMIN_SESSION_SECONDS}; HttpOnly; SameSite=Strict${secure}`;
+};
+
+/**
+ * Builds the Set-Cookie header that signs an admin out.
+ * @returns {string} The header value.
+ */
+export const clearAdminCookie = () => `${ADMIN_COOKIE}=; Path=/; Max-Age=0; HttpOnly; SameSite=Strict`;
+
+/**
+ * Checks whether a request comes from an admin (bearer token or session
+ * cookie), without answering it. Used by routes that admins and other
+ * callers can both use, and by the /admin pages.
+ * @param {import("http").IncomingMessage} req - The incoming request.
+ * @returns {boolean} True when ADMIN_TOKEN is set and the request proves it.
+ */
+export const isAdminRequest = (req) => {
+  const adminToken = process.env.ADMIN_TOKEN;
+  if (!adminToken) return false;
+  const token = getBearerToken(req);
+  return token ? safeEqual(token, adminToken) : hasAdminSession(req, adminToken);
+};
+
+/**
+ * Checks that the request comes from an admin (bearer token or session cookie)
+ * and sends an error response if not.
+ *
+ * @param {import("http").IncomingMessage} req - The incoming request.
+ * @param {import("http").ServerResponse} res - The response (used to reject the request).
+ * @returns {boolean} True when the request may continue.
+ */
+export const requireAdmin = (req, res) => {
+  const adminToken = process.env.ADMIN_TOKEN;
+  if (!adminToken) {
+    res.status(503).json({ error: "Admin API disabled: set ADMIN_TOKEN to enable it" });
+    return false;
+  }
+
+  if (!isAdminRequest(req)) {
+    res.status(401).json({ error: "Unauthorized" });
+    return false;
+  }
+  return true;
+};
@@ -0,0 +1,134 @@
+// branches.js
+// =============================================================================
+// Conversation Branches (Client-Side)
+// =============================================================================
+// When a visitor edits one of their messages or regenerates a reply, the old
+// exchange isn't thrown away: the conversation forks at that user message and
+// the visitor can page between the versions ("2 / 3").
+//
+// The chat always shows one path through the versions. The alternatives are
+// kept in a `branches` object keyed by the index of the user message where
+// they start:
+//
+//   branches[3] = {
+//     active: 1,              // the version being shown
+//     versions: [snapshot, snapshot],
+//   }
+//
+// A snapshot holds everything from that index on:
+//
+//   { messages, feedback, sessionId, branches }   // branches at later indexes
+//
+// The snapshot of the version being shown is only refreshed when the visitor
+// switches away from it; until then the live conversation is the truth.
+//
+// Each version has its own session_id: the flow remembers a session's
+// messages, so a new version starts a new session (seeded with the messages
+// before the fork, see historyForFork) and switching back to a version
+// switches back to its session.
+//
+// All helpers are pure: they take and return a "state" object
+// { messages, feedback, sessionId, branches }.
+// =============================================================================
+
+/**
+ * Splits a branches object into the entries before, at and after an index.
+ * @param {Object} branches
+ * @param {number} index
+ * @returns {{before: Object, after: Object}} Entries below and above the index.
+ */
+const splitBranches = (branches, index) => {
+  const before = {};
+  const after = {};
+  for (const [key, value] of Object.entries(branches || {})) {
+    if (Number(key) < index) before[key] = value;
+    if (Number(key) > index) after[key] = value;
+  }
+  return { before, after };
+};
+
+/**
+ * Captures the conversation from an index on.
+ * @param {Object} state - { messages, feedback, sessionId, branches }
+ * @param {number} index
+ * @returns {Object} The snapshot.
+ */
+const takeSnapshot = (state, index) => ({
+  messages: state.messages.slice(index),
+  feedback: state.feedback.slice(index),
+  sessionId: state.sessionId,
+  branches: splitBranches(state.branches, index).after,
+});
+
+/**
+ * Starts a new version at a user message. The current version is kept, and
+ * the conversation is cut back to just before that message so the new
+ * version can be sent.
+ *
+ * @param {Object} state - { messages, feedback, sessionId, branches }
+ * @param {number} index - The index of the user message to fork at.
+ * @param {string} sessionId - The new version's session id.
+ * @returns {Object} The new state.
+ */
+export const forkAt = (state, index, sessionId) => {
+  const { before } = splitBranches(state.branches, index);
+  const existing = state.branches && state.branches[index];
+  const versions = existing ? [...existing.versions] : [];
+
+  // Save the version being left (the first one, when there were no branches yet).
+  versions[existing ? existing.active : 0] = takeSnapshot(state, index);
+  // The new version is filled in when the visitor switches away from it.
+  versions.push({ messages: [], feedback: [], sessionId, branches: {} });
+
+  return {
+    messages: state.messages.slice(0, index),
+    feedback: state.feedback.slice(0, index),
+    sessionId,
+    branches: { ...before, [index]: { active: versions.length - 1, versions } },
+  };
+};
+
+/**
+ * Shows another version at a branch point.
+ *
+ * @param {Object} state - { messages, feedback, sessionId, branches }
+ * @param {number} index - The branch point.
+ * @param {number} version - The version to show.
+ * @returns {Object} The new state (unchanged if there is no such version).
+ */
+export const switchBranch = (state, index, version) => {
+  const branch = state.branches && state.branches[index];
+  if (!branch || version === branch.active || !branch.versions[version]) return state;
+
+  const { before } = splitBranches(state.branches, index);
+  const versions = [...branch.versions];
+  versions[branch.active] = takeSnapshot(state, index);
+  const target = versions[version];
+
+  return {
+    messages: [...state.messages.slice(0, index), ...target.messages],
+    feedback: [...state.feedback.slice(0, index), ...target.feedback],
+    sessionId: target.sessionId,
+    branches: { ...before, [index]: { active: version, versions }, ...target.branches },
+  };
+};
+
+/**
+ * Builds the history that seeds a new version's session: the messages before
+ * the fork, in the { role: "user" | "assistant", content } form sent to the
+ * proxy as data.messages. Error bubbles are left out, and the history is cut
+ * to what the proxy accepts: the latest messages only, each one shortened.
+ *
+ * @param {Object[]} messages - The messages before the fork.
+ * @param {{maxMessages: number, maxContentLength: number}} [limits] - The proxy's
+ *   limits (see getHistoryLimits in lib/validation.js); none when omitted.
+ * @returns {{role: string, content: string}[]} The history.
+ */
+export const historyForFork = (messages, limits = { maxMessages: Infinity, maxContentLength: Infinity }) =>
+  messages
+    .filter((msg) => !msg.error && msg.content)
+    .slice(-limits.maxMessages)
+    .map((msg) => ({
+      role: msg.role === "user" ? "user" : "assistant",
+      content: msg.content.slice(0, limits.maxContentLength),
+    }));
@@ -0,0 +1,180 @@
+// bridge.js
+// =============================================================================
+// Host Page Bridge (postMessage)
+// =============================================================================
+// When the chat runs inside an iframe (e.g. through public/embed.js), the page
+// hosting it can't reach into it directly. This bridge lets the two talk with
+// window.postMessage, using a small versioned message schema:
+//
+//   {
+//     source: "chai-agent",   // identifies our messages among others
+//     version: 1,             // the schema version (see BRIDGE_VERSION)
+//     kind: "command",        // "command" (host -> chat) or "event" (chat -> host)
+//     name: "send",           // see COMMANDS and EVENTS below
+//     payload: { ... }        // depends on the name
+//   }
+//
+// Commands the host can send:
+// - prefill    { text }      puts text in the input without sending it
+// - send       { text }      sends a message as if the visitor typed it
+// - reset      {}            starts a new chat
+// - setContext { context }   key/value pairs passed to the flow with every message
+//                            (strings, numbers or booleans; see cleanContext)
+// - setTheme   { theme }     overrides theme tokens or the mode (e.g. { accentColor: "#000", mode: "dark" })
+//
+// Events the chat emits:
+// - ready          {}                      the chat is ready for commands
+// - message_sent   { text }
+// - reply_received { text }
+// - feedback       { vote, message }
+// - error          { message }
+//
+// Only origins on the persona's `bridge.allowedOrigins` allowlist may send
+// commands or receive events. With an empty allowlist the bridge is off.
+// =============================================================================
+
+// Import the origin allowlist matcher.
+import { isOriginAllowed } from "./origins";
+
+// Identifies our messages among any other postMessage traffic.
+export const BRIDGE_SOURCE = "chai-agent";
+
+// The schema version. Bump it when the message shape changes incompatibly.
+export const BRIDGE_VERSION = 1;
+
+// The commands a host page may send.
+export const COMMANDS = ["prefill", "send", "reset", "setContext", "setTheme"];
+
+// The events the chat emits.
+export const EVENTS = ["ready", "message_sent", "reply_received", "feedback", "error"];
+
+// Limits for setContext, the same the proxy puts on data.variables (see
+// lib/validation.js, which reads them from here).
+export const MAX_CONTEXT_ENTRIES = 20;
+export const MAX_CONTEXT_NAME_LENGTH = 64;
+export const MAX_CONTEXT_VALUE_LENGTH = 500;
+
+/**
+ * Builds a message in the bridge schema.
+ * @param {"command"|"event"} kind
+ * @param {string} name
+ * @param {Object} [payload]
+ * @returns {Object} The message.
+ */
+export const createBridgeMessage = (kind, name, payload = {}) => ({
+  source: BRIDGE_SOURCE,
+  version: BRIDGE_VERSION,
+  kind,
+  name,
+  payload,
+});
+
+/**
+ * Keeps the setContext entries the proxy accepts as data.variables, so a bad
+ * value from the host page can't make every later message fail.
+ * "locale" is dropped too: the chat sets it (see lib/i18n.js).
+ *
+ * @param {*} context - The context sent by the host page.
+ * @returns {{context: Object, problems: string[]}} The entries kept, and why the others were dropped.
+ */
+export const cleanContext = (context) => {
+  if (context == null) return { context: {}, problems: [] };
+  if (typeof context !== "object" || Array.isArray(context)) {
+    return { context: {}, problems: ["context must be an object"] };
+  }
+
+  const cleaned = {};
+  const problems = [];
+  for (const [name, value] of Object.entries(context)) {
+    if (Object.keys(cleaned).length >= MAX_CONTEXT_ENTRIES) {
+      problems.push(`${name}: at most ${MAX_CONTEXT_ENTRIES} entries are kept`);
+    } else if (name.length > MAX_CONTEXT_NAME_LENGTH) {
+      problems.push(`${name.slice(0, 20)}…: names must be at most ${MAX_CONTEXT_NAME_LENGTH} characters`);
+    } else if (name === "locale") {
+      problems.push("locale: set by the chat");
+    } else if (typeof value === "string" && value.length > MAX_CONTEXT_VALUE_LENGTH) {
+      problems.push(`${name}: must be at most ${MAX_CONTEXT_VALUE_LENGTH} characters`);
+    } else if (
+      typeof value === "string" ||
+      typeof value === "boolean" ||
+      (typeof value === "number" && Number.isFinite(value))
+    ) {
+      cleaned[name] = value;
+    } else {
+      problems.push(`${name}: must be a string, number or boolean`);
+    }
+  }
+  return { context: cleaned, problems };
+};
+
+/**
+ * Returns the origin of the page embedding us, if the browser tells us.
+ * @returns {string|null} The host page's origin.
+ */
+const getReferrerOrigin = () => {
+  try {
+    return document.referrer ? new URL(document.referrer).origin : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Connects the chat to the page embedding it.
+ * Does nothing (and emits nothing) when the chat is not in an iframe or when
+ * the allowlist is empty.
+ *
+ * @param {Object} options
+ * @param {string[]} options.allowedOrigins - Origins allowed to talk to the chat.
+ * @param {(name: string, payload: Object) => void} options.onCommand - Called for each valid command.
+ * @returns {{emit: (name: string, payload?: Object) => void, destroy: () => void}} The bridge.
+ */
+export const createHostBridge = ({ allowedOrigins, onCommand }) => {
+  const inIframe = typeof window !== "undefined" && window.parent !== window;
+  if (!inIframe || allowedOrigins.length === 0) {
+    return { emit: () => {}, destroy: () => {} };
+  }
+
+  // Where events go: the referrer's origin at first, then the origin of the
+  // last valid command (the referrer can be missing or stripped).
+  const referrerOrigin = getReferrerOrigin();
+  let hostOrigin = isOriginAllowed(referrerOrigin, allowedOrigins) ? referrerOrigin : null;
+
+  /**
+   * Sends an event to the host page (dropped until we know an allowed host origin).
+   * @param {string} name - One of EVENTS.
+   * @param {Object} [payload]
+   */
+  const emit = (name, payload = {}) => {
+    if (!hostOrigin) return;
+    window.parent.postMessage(createBridgeMessage("event", name, payload), hostOrigin);
+  };
+
+  const handleMessage = (event) => {
+    const message = event.data;
+    // Ignore anything that isn't one of our messages from the parent page.
+    if (event.source !== window.parent) return;
+    if (!message || message.source !== BRIDGE_SOURCE || message.kind !== "command") return;
+    if (!isOriginAllowed(event.origin, allowedOrigins)) return;
+
+    hostOrigin = event.origin;
+
+    if (message.version !== BRIDGE_VERSION) {
+      emit("error", { message: `Unsupported bridge version ${message.version}` });
+      return;
+    }
+    if (!COMMANDS.includes(message.name)) {
+      emit("error", { message: `Unknown command ${message.name}` });
+      return;
+    }
+    onCommand(message.name, message.payload || {});
+  };
+
+  window.addEventListener("message", handleMessage);
+  emit("ready");
+
+  return {
+    emit,
+    destroy: () => window.removeEventListener("message", handleMessage),
+  };
+};
@@ -0,0 +1,164 @@
+// configSchema.js
+// =============================================================================
+// Chat UI Config Schema
+// =============================================================================
+// Describes every setting of a persona config that the chat component uses
+// (see config/config.js for an annotated example), fills in defaults for the
+// optional ones and checks their types.
+//
+// Texts can be a string or one string per language (see lib/i18n.js).
+//
+// The check runs when the pages are built (getStaticProps), so a typo in a
+// persona config fails the build with a clear list of problems instead of
+// showing up as a broken chat.
+// =============================================================================
+
+// Import the language tag rule and the registered locales.
+import { isLocaleTag, listLocales, matchLocale } from "./i18n";
+
+// Defaults for the optional UI settings.
+export const UI_DEFAULTS = {
+  header: { title: "", description: "" },
+  welcomeMessage: "",
+  suggestedPromptsTitle: "",
+  suggestedPrompts: [],
+  // null: use the text from the locale catalog (config/locales/).
+  chatInputPlaceholder: null,
+  chatInputLabel: null,
+  thinkingLabel: null,
+  // Set to null to hide the disclaimer.
+  disclaimer: { badge: "", text: "" },
+  // Sizes in pixels. The embedded chat (?embed=1) ignores the card size and
+  // fills its iframe instead.
+  layout: {
+    cardWidth: 784,
+    cardHeight: 784,
+    conversationHeight: 468,
+    inputAreaHeight: 200,
+  },
+  theme: {},
+  feedbackReasons: [],
+  // The interface language: "auto" (the visitor's browser languages) or a
+  // locale code from config/locales/ (the URL's ?lang= still wins).
+  locale: "auto",
+};
+
+/**
+ * Small type checkers used by the schema below.
+ * Each returns true when the value is acceptable.
+ */
+const isString = (value) => typeof value === "string";
+const isPositiveNumber = (value) => typeof value === "number" && value > 0;
+const isStringArray = (value) => Array.isArray(value) && value.every(isString);
+const isObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+// A text: a string, or one string per language ({ en: "...", es: "..." }).
+const isText = (value) =>
+  isString(value) || (isObject(value) && Object.entries(value).every(([tag, text]) => isLocaleTag(tag) && isString(text)));
+
+/**
+ * Checks the suggestion pills: [{ title, message, icon? }].
+ * @param {*} value
+ * @param {string[]} problems - Problems are added here.
+ */
+const checkSuggestedPrompts = (value, problems) => {
+  if (!Array.isArray(value)) {
+    problems.push("suggestedPrompts must be an array");
+    return;
+  }
+  value.forEach((pill, index) => {
+    const name = `suggestedPrompts[${index}]`;
+    if (!isObject(pill)) {
+      problems.push(`${name} must be an object`);
+      return;
+    }
+    if (!isText(pill.title) || !pill.title) problems.push(`${name}.title must be a non-empty text`);
+    if (!isText(pill.message) || !pill.message) problems.push(`${name}.message must be a non-empty text`);
+    if (pill.icon !== undefined && !isString(pill.icon)) problems.push(`${name}.icon must be a string`);
+  });
+};
+
+/**
+ * Checks the fields of a nested object setting.
+ * @param {string} name - The setting name (for messages).
+ * @param {*} value - The setting value.
+ * @param {Object<string, Function>} fields - A checker per field.
+ * @param {string} expected - Describes valid field values (for messages).
+ * @param {string[]} problems - Problems are added here.
+ */
+const checkFields = (name, value, fields, expected, problems) => {
+  if (!isObject(value)) {
+    problems.push(`${name} must be an object`);
+    return;
+  }
+  for (const [field, check] of Object.entries(fields)) {
+    if (value[field] !== undefined && !check(value[field])) {
+      problems.push(`${name}.${field} must be ${expected}`);
+    }
+  }
+};
+
+/**
+ * Fills in defaults and checks a persona's UI settings.
+ *
+ * @param {Object} config - The persona config (browser-safe part).
+ * @param {string} [personaId] - The persona id, used in error messages.
+ * @returns {Object} The config with every UI setting present.
+ * @throws {Error} Listing every problem when the config is invalid.
+ */
+export const normalizeChatConfig = (config, personaId = "unknown") => {
+  const problems = [];
+
+  const text = "a string or an object of strings per language";
+  checkFields("header", config.header || {}, { title: isText, description: isText }, text, problems);
+  for (const field of ["welcomeMessage", "suggestedPromptsTitle", "chatInputPlaceholder", "chatInputLabel", "thinkingLabel"]) {
+    if (config[field] != null && !isText(config[field])) {
+      problems.push(`${field} must be ${text}`);
+    }
+  }
+  if (config.suggestedPrompts !== undefined) {
+    checkSuggestedPrompts(config.suggestedPrompts, problems);
+  }
+  if (config.disclaimer != null) {
+    checkFields("disclaimer", config.disclaimer, { badge: isText, text: isText }, text, problems);
+  }
+  checkFields(
+    "layout",
+    config.layout || {},
+    Object.fromEntries(Object.keys(UI_DEFAULTS.layout).map((field) => [field, isPositiveNumber])),
+    "a positive number",
+    problems
+  );
+  if (config.theme !== undefined) {
+    if (!isObject(config.theme)) {
+      problems.push("theme must be an object");
+    } else {
+      const { mode, light, dark } = config.theme;
+      if (mode !== undefined && !["light", "dark", "auto"].includes(mode)) {
+        problems.push('theme.mode must be "light", "dark" or "auto"');
+      }
+      if (light !== undefined && !isObject(light)) problems.push("theme.light must be an object");
+      if (dark !== undefined && !isObject(dark)) problems.push("theme.dark must be an object");
+    }
+  }
+  if (config.locale !== undefined && config.locale !== "auto" && !matchLocale(config.locale)) {
+    problems.push(`locale must be "auto" or one of: ${listLocales().join(", ")}`);
+  }
+  if (config.feedbackReasons !== undefined && !isStringArray(config.feedbackReasons)) {
+    problems.push("feedbackReasons must be an array of strings");
+  }
+
+  if (problems.length > 0) {
+    throw new Error(
+      `Invalid config for persona "${personaId}":\n${problems.map((p) => `- ${p}`).join("\n")}`
+    );
+  }
+
+  return {
+    ...UI_DEFAULTS,
+    ...config,
+    header: { ...UI_DEFAULTS.header, ...config.header },
+    disclaimer:
+      config.disclaimer === null ? null : { ...UI_DEFAULTS.disclaimer, ...config.disclaimer },
+    layout: { ...UI_DEFAULTS.layout, ...config.layout },
+  };
+};
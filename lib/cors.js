@@ -0,0 +1,84 @@
+// cors.js
+// =============================================================================
+// CORS (Cross-Origin Resource Sharing)
+// =============================================================================
+// Browsers only let other websites call our API routes when we say so in
+// the Access-Control-* response headers. Instead of allowing everyone ("*"),
+// which would let any site spend our flow quota through this deployment,
+// only these origins are allowed:
+// - the deployment itself (its own pages and the embed.js iframe),
+// - the origins in config/server.js (cors.allowedOrigins),
+// - the origins in the CORS_ALLOWED_ORIGINS environment variable (comma-separated).
+//
+// Requests without an Origin header (e.g. curl or server-to-server calls)
+// are not affected: CORS only applies to browsers.
+// =============================================================================
+
+// Import the server configuration settings.
+import serverConfig from "../config/server";
+// Import the origin allowlist helpers.
+import { isOriginAllowed, parseOriginList } from "./origins";
+
+/**
+ * Returns every origin allowed to call the API from another site.
+ * @returns {string[]} The allowlist.
+ */
+export const getCorsAllowlist = () => [
+  ...serverConfig.cors.allowedOrigins,
+  ...parseOriginList(process.env.CORS_ALLOWED_ORIGINS),
+];
+
+/**
+ * Checks whether an origin is this deployment itself.
+ * @param {string} origin - The request's Origin header.
+ * @param {import("http").IncomingMessage} req - The incoming request.
+ * @returns {boolean} True for same-origin requests.
+ */
+const isSameOrigin = (origin, req) => {
+  const host = req.headers["x-forwarded-host"] || req.headers.host;
+  try {
+    return new URL(origin).host === host;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Sets the CORS headers for a request, answers preflight requests and
+ * rejects disallowed origins.
+ *
+ * @param {import("http").IncomingMessage} req - The incoming request.
+ * @param {import("http").ServerResponse} res - The response.
+ * @param {Object} options
+ * @param {string} options.methods - The methods the route accepts (e.g. "POST, OPTIONS").
+ * @returns {boolean} True when the route should go on handling the request;
+ *   false when a response was already sent (preflight answered or origin rejected).
+ */
+export const applyCors = (req, res, { methods }) => {
+  // The answer depends on the Origin header, so caches must keep one copy per origin.
+  res.setHeader("Vary", "Origin");
+
+  const origin = req.headers.origin;
+  const allowed =
+    !origin || isSameOrigin(origin, req) || isOriginAllowed(origin, getCorsAllowlist());
+
+  if (!allowed) {
+    res.status(403).json({ error: `Origin ${origin} is not allowed` });
+    return false;
+  }
+
+  if (origin) {
+    res.setHeader("Access-Control-Allow-Origin", origin);
+    res.setHeader("Access-Control-Allow-Methods", methods);
+    res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
+  }
+
+  // Answer preflight requests right away.
+  if (req.method === "OPTIONS") {
+    // Let browsers reuse this preflight answer for 10 minutes.
+    res.setHeader("Access-Control-Max-Age", "600");
+    res.status(204).end();
+    return false;
+  }
+  return true;
+};
@@ -0,0 +1,208 @@
+// events.js
+// =============================================================================
+// Analytics Events
+// =============================================================================
+// The chat reports what visitors do (see lib/analytics.js) in batches to
+// POST /api/events. Each event is checked against its type's schema below,
+// stored in the local "events" collection (see lib/store.js), and summarized
+// for GET /api/events/summary and the admin dashboard.
+//
+// A stored event looks like:
+//
+//   {
+//     type: "reply_received",
+//     persona: "chai",
+//     user_id: "…",                  // or null
+//     session_id: "…",               // or null
+//     props: { latency_ms: 1834, length: 512, streamed: true },
+//     created_at: "2024-01-01T12:00:00.000Z",
+//   }
+//
+// Turn analytics off with `analytics.enabled` in config/server.js or
+// ANALYTICS_ENABLED=false: the chat then sends nothing and the routes are
+// disabled.
+// =============================================================================
+
+// Import the server configuration settings.
+import serverConfig from "../config/server";
+// Import the persona lookup.
+import { getPersona } from "./personas";
+// Import the local file-backed store.
+import { appendRecords, readRecords } from "./store";
+// Import the user/session id rule shared with the proxy.
+import { isValidId } from "./validation";
+
+// The collection the events are stored in.
+const COLLECTION = "events";
+
+// Limit for free-text props (pill titles, error messages, ...).
+const MAX_TEXT_LENGTH = 200;
+
+// How far a client's clock may be off before its timestamp is ignored.
+const MAX_CLOCK_SKEW_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Small prop checkers used by the schemas below.
+ * Each returns true when the value is acceptable.
+ */
+const isCount = (value) => Number.isInteger(value) && value >= 0;
+const isBoolean = (value) => typeof value === "boolean";
+const isText = (value) => typeof value === "string" && value.length <= MAX_TEXT_LENGTH;
+const oneOf = (values) => (value) => values.includes(value);
+
+// The event types and the props each may carry. Unknown props are dropped.
+export const EVENT_SCHEMAS = {
+  // A session became active in the chat (page load, new chat, other branch).
+  session_start: {},
+  pill_hover: { index: isCount, title: isText },
+  pill_click: { index: isCount, title: isText },
+  message_sent: {
+    source: oneOf(["input", "pill", "bridge", "edit", "regenerate"]),
+    length: isCount,
+  },
+  // latency_ms: from sending the message to the complete reply.
+  reply_received: { latency_ms: isCount, length: isCount, streamed: isBoolean },
+  feedback: { vote: oneOf(["like", "dislike", "clear"]), message_index: isCount },
+  copy: { target: oneOf(["message", "conversation"]), message_index: isCount },
+  error: { message: isText },
+};
+
+// The steps of the drop-off funnel, in order.
+const FUNNEL_STEPS = ["session_start", "message_sent", "reply_received", "feedback"];
+
+/**
+ * Checks whether analytics are turned on.
+ * @returns {boolean}
+ */
+export const isAnalyticsEnabled = () => {
+  const override = String(process.env.ANALYTICS_ENABLED || "").toLowerCase();
+  if (["0", "false", "no", "off"].includes(override)) return false;
+  return serverConfig.analytics.enabled;
+};
+
+/**
+ * Checks one event and returns its stored form.
+ * @param {*} event - { type, persona, user_id?, session_id?, props?, ts? }
+ * @param {number} now - Milliseconds since the epoch.
+ * @returns {Object|null} The record, or null when the event is invalid.
+ */
+const toRecord = (event, now) => {
+  if (!event || typeof event !== "object") return null;
+  const schema = EVENT_SCHEMAS[event.type];
+  if (!schema || !getPersona(event.persona)) return null;
+
+  const props = {};
+  for (const [name, check] of Object.entries(schema)) {
+    const value = event.props && event.props[name];
+    if (value !== undefined && check(value)) props[name] = value;
+  }
+
+  const ts = Number.isFinite(event.ts) && Math.abs(event.ts - now) <= MAX_CLOCK_SKEW_MS ? event.ts : now;
+  return {
+    type: event.type,
+    persona: event.persona,
+    user_id: isValidId(event.user_id) ? event.user_id : null,
+    session_id: isValidId(event.session_id) ? event.session_id : null,
+    props,
+    created_at: new Date(ts).toISOString(),
+  };
+};
+
+/**
+ * Validates a POST /api/events body and stores its valid events.
+ * Invalid events are skipped, so one bad event doesn't lose the batch.
+ *
+ * @param {*} body - { events: [...] }
+ * @returns {Promise<{accepted: number, rejected: number}|{error: string}>}
+ *   The counts, or an error for a malformed body.
+ */
+export const recordEvents = async (body) => {
+  const events = body && body.events;
+  const { maxBatchSize } = serverConfig.analytics;
+  if (!Array.isArray(events)) return { error: "events must be an array" };
+  if (events.length > maxBatchSize) return { error: `events must have at most ${maxBatchSize} entries` };
+
+  const now = Date.now();
+  const records = events.map((event) => toRecord(event, now)).filter(Boolean);
+  await appendRecords(COLLECTION, records);
+  return { accepted: records.length, rejected: events.length - records.length };
+};
+
+/**
+ * Returns a percentile of sorted numbers.
+ * @param {number[]} sorted - Ascending.
+ * @param {number} percentile - 0..100.
+ * @returns {number|null}
+ */
+const percentileOf = (sorted, percentile) =>
+  sorted.length === 0 ? null : sorted[Math.min(sorted.length - 1, Math.floor((percentile / 100) * sorted.length))];
+
+/**
+ * Summarizes stored events.
+ *
+ * @param {Object} [filters]
+ * @param {string} [filters.persona] - Only this persona's events.
+ * @param {string} [filters.since] - Only events at or after this ISO date.
+ * @returns {Promise<Object>} {
+ *   total, by_type: { type: count },
+ *   funnel: [{ step, sessions }],          // sessions that reached each step
+ *   pills: [{ persona, title, hovers, clicks }],
+ *   message_sources: { source: count },
+ *   replies: { count, avg_latency_ms, p50_latency_ms, p95_latency_ms },
+ *   errors: [{ message, count }],
+ * }
+ */
+export const summarizeEvents = async ({ persona, since } = {}) => {
+  const records = (await readRecords(COLLECTION)).filter(
+    (record) => (!persona || record.persona === persona) && (!since || record.created_at >= since)
+  );
+
+  const byType = {};
+  const sessionsByStep = Object.fromEntries(FUNNEL_STEPS.map((step) => [step, new Set()]));
+  const pills = new Map();
+  const sources = {};
+  const latencies = [];
+  const errors = new Map();
+
+  for (const { type, persona: personaId, session_id, props } of records) {
+    byType[type] = (byType[type] || 0) + 1;
+    if (sessionsByStep[type] && session_id) sessionsByStep[type].add(session_id);
+
+    if (type === "pill_hover" || type === "pill_click") {
+      const key = `${personaId}\n${props.title}`;
+      const pill = pills.get(key) || { persona: personaId, title: props.title || "", hovers: 0, clicks: 0 };
+      if (type === "pill_hover") pill.hovers += 1;
+      else pill.clicks += 1;
+      pills.set(key, pill);
+    }
+    if (type === "message_sent" && props.source) {
+      sources[props.source] = (sources[props.source] || 0) + 1;
+    }
+    if (type === "reply_received" && props.latency_ms !== undefined) {
+      latencies.push(props.latency_ms);
+    }
+    if (type === "error") {
+      const message = props.message || "";
+      errors.set(message, (errors.get(message) || 0) + 1);
+    }
+  }
+
+  latencies.sort((a, b) => a - b);
+  return {
+    total: records.length,
+    by_type: byType,
+    funnel: FUNNEL_STEPS.map((step) => ({ step, sessions: sessionsByStep[step].size })),
+    pills: [...pills.values()].sort((a, b) => b.clicks - a.clicks || b.hovers - a.hovers),
+    message_sources: sources,
+    replies: {
+      count: latencies.length,
+      avg_latency_ms:
+        latencies.length > 0 ? Math.round(latencies.reduce((sum, ms) => sum + ms, 0) / latencies.length) : null,
+      p50_latency_ms: percentileOf(latencies, 50),
+      p95_latency_ms: percentileOf(latencies, 95),
+    },
+    errors: [...errors.entries()]
+      .map(([message, count]) => ({ message, count }))
+      .sort((a, b) => b.count - a.count),
+  };
+};
@@ -0,0 +1,145 @@
+// exportConversation.js
+// =============================================================================
+// Conversation Export (Client-Side)
+// =============================================================================
+// Turns the open thread into a file the visitor can keep (or attach to a bug
+// report):
+//
+//   - Markdown:   a heading per speaker, replies kept as Markdown.
+//   - JSON:       the messages with timestamps and feedback, plus the session id.
+//   - Plain text: "You:" / "<agent>:" blocks.
+//
+// Only the branch being shown is exported (see lib/branches.js). The
+// formatters are pure; downloadText is the only part that needs a browser.
+// =============================================================================
+
+/**
+ * Formats a timestamp for people, or returns "" when there is none
+ * (messages saved before timestamps were recorded).
+ * @param {number} [timestamp] - Milliseconds since the epoch.
+ * @returns {string}
+ */
+const formatTime = (timestamp) => (timestamp ? new Date(timestamp).toLocaleString() : "");
+
+/**
+ * Returns the like/dislike vote of a message.
+ * @param {Object} [feedback] - { like, dislike } (see AgentComponent).
+ * @returns {"like"|"dislike"|null}
+ */
+const voteOf = (feedback) => {
+  if (feedback && feedback.like) return "like";
+  if (feedback && feedback.dislike) return "dislike";
+  return null;
+};
+
+/**
+ * Returns the heading used for a message's speaker.
+ * @param {Object} msg - { role, content }
+ * @param {string} agentName
+ * @returns {string}
+ */
+const speakerOf = (msg, agentName) => (msg.role === "user" ? "You" : agentName);
+
+/**
+ * Formats a conversation as Markdown.
+ *
+ * @param {Object} conversation
+ * @param {string} conversation.title - The thread title.
+ * @param {string} conversation.agentName - The agent's name, used as its heading.
+ * @param {string} conversation.sessionId
+ * @param {Object[]} conversation.messages - { role, content, createdAt? }
+ * @returns {string}
+ */
+export const toMarkdown = ({ title, agentName, sessionId, messages }) => {
+  const blocks = [`# ${title || "Chat"}`, `_Exported ${formatTime(Date.now())} · session ${sessionId}_`];
+  for (const msg of messages) {
+    const time = formatTime(msg.createdAt);
+    blocks.push(`### ${speakerOf(msg, agentName)}${time ? ` · ${time}` : ""}`);
+    // Replies are Markdown already; user messages are shown as typed.
+    blocks.push(msg.role === "user" ? msg.content.replace(/\n/g, "  \n") : msg.content);
+  }
+  return `${blocks.join("\n\n")}\n`;
+};
+
+/**
+ * Formats a conversation as JSON.
+ *
+ * @param {Object} conversation - As for toMarkdown, plus:
+ * @param {string} conversation.persona - The persona id.
+ * @param {Object[]} conversation.feedback - The vote state per message.
+ * @returns {string}
+ */
+export const toJson = ({ title, persona, sessionId, messages, feedback }) =>
+  JSON.stringify(
+    {
+      title,
+      persona,
+      sessionId,
+      exportedAt: new Date().toISOString(),
+      messages: messages.map((msg, index) => ({
+        role: msg.role,
+        content: msg.content,
+        createdAt: msg.createdAt ? new Date(msg.createdAt).toISOString() : null,
+        ...(msg.role === "agent" && { feedback: voteOf(feedback[index]) }),
+        ...(msg.error && { error: true }),
+      })),
+    },
+    null,
+    2
+  );
+
+/**
+ * Formats a conversation as plain text (also used by "Copy conversation").
+ *
+ * @param {Object} conversation - As for toMarkdown.
+ * @returns {string}
+ */
+export const toPlainText = ({ agentName, messages }) =>
+  messages
+    .map((msg) => {
+      const time = formatTime(msg.createdAt);
+      return `${speakerOf(msg, agentName)}${time ? ` (${time})` : ""}:\n${msg.content}`;
+    })
+    .join("\n\n") + "\n";
+
+// The export formats offered in the menu.
+export const EXPORT_FORMATS = {
+  markdown: { label: "Markdown (.md)", extension: "md", mimeType: "text/markdown", format: toMarkdown },
+  json: { label: "JSON (.json)", extension: "json", mimeType: "application/json", format: toJson },
+  text: { label: "Plain text (.txt)", extension: "txt", mimeType: "text/plain", format: toPlainText },
+};
+
+/**
+ * Builds a file name from the thread title, e.g. "chat-what-is-rag.md".
+ * @param {string} title
+ * @param {string} extension
+ * @returns {string}
+ */
+export const exportFileName = (title, extension) => {
+  const slug = (title || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 40);
+  return `chat${slug ? `-${slug}` : ""}.${extension}`;
+};
+
+/**
+ * Makes the browser download a text file.
+ * @param {string} fileName
+ * @param {string} text - The file contents.
+ * @param {string} mimeType
+ */
+export const downloadText = (fileName, text, mimeType) => {
+  if (typeof window === "undefined") return; // Prevent SSR issues
+
+  const url = URL.createObjectURL(new Blob([text], { type: `${mimeType};charset=utf-8` }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Give the browser a moment to start the download before freeing the file.
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
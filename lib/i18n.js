@@ -0,0 +1,185 @@
+// i18n.js
+// =============================================================================
+// Internationalization
+// =============================================================================
+// Picks the language of the chat's interface and translates its texts.
+//
+// The locale is chosen in this order (see detectLocale):
+// 1. the URL: /?lang=es (also works for the embed.js iframe, see data-lang),
+// 2. the persona's `locale` setting, unless it is "auto" (the default),
+// 3. the visitor's browser languages (navigator.languages),
+// 4. DEFAULT_LOCALE ("en").
+// Tags are matched exactly first, then by language: "es-MX" uses "es".
+//
+// Interface texts come from the catalogs in config/locales/. Texts from the
+// persona config (header, pills, placeholder, disclaimer, ...) can be a plain
+// string, used for every language, or one string per language:
+//
+//   chatInputPlaceholder: { en: "Ask me anything", es: "Pregúntame lo que quieras" },
+//
+// Components read the translator with useI18n(); outside of the chat (the
+// admin pages) it falls back to English. The share page picks the visitor's
+// locale on the server, from ?lang= and the Accept-Language header.
+// =============================================================================
+
+import { createContext, useContext } from "react";
+// Import the locale registry.
+import locales, { DEFAULT_LOCALE } from "../config/locales";
+
+export { DEFAULT_LOCALE };
+
+// Accepted language tags: "en", "pt-BR", "zh-Hant-TW", ...
+const LOCALE_PATTERN = /^[A-Za-z]{2,3}(-[A-Za-z0-9]{2,8}){0,2}$/;
+
+/**
+ * Checks that a value looks like a language tag.
+ * @param {*} value
+ * @returns {boolean}
+ */
+export const isLocaleTag = (value) => typeof value === "string" && LOCALE_PATTERN.test(value);
+
+/**
+ * Returns the codes of every registered locale.
+ * @returns {string[]}
+ */
+export const listLocales = () => Object.keys(locales);
+
+/**
+ * Finds the registered locale for a language tag.
+ * @param {*} tag - e.g. "es-MX".
+ * @returns {string|null} The locale code ("es"), or null when none matches.
+ */
+export const matchLocale = (tag) => {
+  if (!isLocaleTag(tag)) return null;
+  const lower = tag.toLowerCase();
+  if (locales[lower]) return lower;
+  const language = lower.split("-")[0];
+  return locales[language] ? language : null;
+};
+
+/**
+ * Reads the languages of an Accept-Language header, most preferred first.
+ * @param {string} [header] - e.g. "fr-CH, fr;q=0.9, en;q=0.8".
+ * @returns {string[]} e.g. ["fr-CH", "fr", "en"].
+ */
+export const parseAcceptLanguage = (header) =>
+  String(header || "")
+    .split(",")
+    .map((part) => {
+      const [tag, ...params] = part.trim().split(";");
+      const q = params.map((param) => param.trim()).find((param) => param.startsWith("q="));
+      return { tag, quality: q ? parseFloat(q.slice(2)) || 0 : 1 };
+    })
+    .filter(({ tag, quality }) => tag && quality > 0)
+    .sort((a, b) => b.quality - a.quality)
+    .map(({ tag }) => tag);
+
+/**
+ * Chooses the locale for a visitor.
+ *
+ * @param {Object} sources
+ * @param {string} [sources.requested] - From the URL (?lang=).
+ * @param {string} [sources.configured] - The persona's `locale` setting ("auto" to detect).
+ * @param {string[]} [sources.preferred] - The browser's languages, most preferred first.
+ * @returns {string} A registered locale code.
+ */
+export const detectLocale = ({ requested, configured, preferred = [] }) => {
+  const candidates = [requested, configured === "auto" ? null : configured, ...preferred];
+  for (const candidate of candidates) {
+    const locale = matchLocale(candidate);
+    if (locale) return locale;
+  }
+  return DEFAULT_LOCALE;
+};
+
+/**
+ * Returns the writing direction of a locale.
+ * @param {string} locale - A registered locale code.
+ * @returns {"ltr"|"rtl"}
+ */
+export const getDirection = (locale) => (locales[locale] && locales[locale].dir) || "ltr";
+
+/**
+ * Creates the translate function for a locale.
+ * Missing messages fall back to the default locale, then to the key itself.
+ *
+ * @param {string} locale - A registered locale code.
+ * @returns {(key: string, values?: Object) => string} e.g. t("cooldown", { seconds: 5 }).
+ */
+export const createTranslator = (locale) => {
+  const messages = (locales[locale] || locales[DEFAULT_LOCALE]).messages;
+  const fallback = locales[DEFAULT_LOCALE].messages;
+  return (key, values = {}) => {
+    const template = messages[key] ?? fallback[key] ?? key;
+    return template.replace(/\{(\w+)\}/g, (match, name) =>
+      values[name] !== undefined ? String(values[name]) : match
+    );
+  };
+};
+
+/**
+ * Picks the text for a locale from a persona setting.
+ * @param {string|Object<string, string>|null|undefined} value - A string, or one per locale.
+ * @param {string} locale - A registered locale code.
+ * @returns {string|null|undefined} The text (strings and empty values are returned as is).
+ */
+export const localize = (value, locale) => {
+  if (value === null || typeof value !== "object") return value;
+  const language = locale.split("-")[0];
+  return value[locale] ?? value[language] ?? value[DEFAULT_LOCALE] ?? Object.values(value)[0] ?? "";
+};
+
+/**
+ * Returns every text of a persona setting, in any language.
+ * @param {string|Object<string, string>} value
+ * @returns {string[]}
+ */
+export const allTranslations = (value) =>
+  value !== null && typeof value === "object" ? Object.values(value) : [value];
+
+/**
+ * Picks the texts for a locale throughout a persona's UI config, and fills in
+ * the interface texts the persona leaves to the catalogs.
+ *
+ * @param {Object} config - The browser-safe persona config (see lib/personas.js).
+ * @param {string} locale - A registered locale code.
+ * @returns {Object} The config with plain strings.
+ */
+export const localizeConfig = (config, locale) => {
+  const t = createTranslator(locale);
+  const text = (value, key) => (value === null || value === undefined ? t(key) : localize(value, locale));
+  return {
+    ...config,
+    header: {
+      title: localize(config.header.title, locale),
+      description: localize(config.header.description, locale),
+    },
+    welcomeMessage: localize(config.welcomeMessage, locale),
+    suggestedPromptsTitle: localize(config.suggestedPromptsTitle, locale),
+    suggestedPrompts: config.suggestedPrompts.map((pill) => ({
+      ...pill,
+      title: localize(pill.title, locale),
+      message: localize(pill.message, locale),
+    })),
+    chatInputPlaceholder: text(config.chatInputPlaceholder, "input.placeholder"),
+    chatInputLabel: text(config.chatInputLabel, "input.label"),
+    thinkingLabel: text(config.thinkingLabel, "thinking"),
+    disclaimer: config.disclaimer && {
+      badge: localize(config.disclaimer.badge, locale),
+      text: localize(config.disclaimer.text, locale),
+    },
+  };
+};
+
+// The chat's locale, direction and translate function, for its child components.
+export const I18nContext = createContext({
+  locale: DEFAULT_LOCALE,
+  dir: "ltr",
+  t: createTranslator(DEFAULT_LOCALE),
+});
+
+/**
+ * Reads the chat's locale, direction and translate function.
+ * @returns {{locale: string, dir: "ltr"|"rtl", t: Function}}
+ */
+export const useI18n = () => useContext(I18nContext);
@@ -0,0 +1,198 @@
+// multipart.js
+// =============================================================================
+// Request Body Reader
+// =============================================================================
+// Reads the body of a /api/proxy request. Those routes turn off Next's own
+// body parser (see `config` in pages/api/proxy/) so that messages with
+// attachments can be uploaded as multipart/form-data:
+//
+//   payload      the usual JSON payload, as a text field (see lib/validation.js)
+//   attachments  one file part per attached file
+//
+// Messages without attachments are still sent as plain JSON.
+//
+// Files are kept in memory: the limits in config/server.js (`attachments`)
+// bound how much a request can hold, and parts past the limits are dropped
+// as they arrive and reported instead of being read.
+//
+// A body that breaks the rules is rejected as soon as that is known. The rest
+// of the request is then discarded rather than destroyed, so the error
+// response still reaches the client (the proxy closes the connection after it).
+// =============================================================================
+
+// Import the multipart/form-data parser.
+import Busboy from "busboy";
+
+// The largest JSON payload (the same as Next's default body size limit).
+const MAX_JSON_BYTES = 1024 * 1024;
+
+/**
+ * Creates a body error that the proxy turns into a response.
+ * @param {number} status - 400 for a malformed body, 413 for one that is too large.
+ * @param {string} message - The details sent back to the client.
+ * @returns {Error} The error, with `status` and code "INVALID_BODY".
+ */
+const bodyError = (status, message) =>
+  Object.assign(new Error(message), { status, code: "INVALID_BODY" });
+
+/**
+ * Stops reading a request whose body was rejected, without destroying it:
+ * what is left is read and thrown away until the response closes the connection.
+ * @param {import("http").IncomingMessage} req
+ */
+const discardRest = (req) => {
+  req.unpipe();
+  req.resume();
+};
+
+/**
+ * Parses a JSON payload.
+ * @param {string} text - The raw payload.
+ * @returns {*} The parsed value.
+ * @throws {Error} An INVALID_BODY error when the text isn't JSON.
+ */
+const parsePayload = (text) => {
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw bodyError(400, "The payload must be valid JSON");
+  }
+};
+
+/**
+ * Reads a plain JSON body.
+ * @param {import("http").IncomingMessage} req
+ * @returns {Promise<*>} The parsed body (undefined when it is empty).
+ */
+const readJsonBody = (req) =>
+  new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    const onData = (chunk) => {
+      size += chunk.length;
+      if (size > MAX_JSON_BYTES) {
+        req.off("data", onData);
+        req.off("end", onEnd);
+        discardRest(req);
+        return reject(bodyError(413, "The payload must be at most 1 MB"));
+      }
+      chunks.push(chunk);
+    };
+    const onEnd = () => {
+      const text = Buffer.concat(chunks).toString("utf8");
+      try {
+        resolve(text.trim() ? parsePayload(text) : undefined);
+      } catch (error) {
+        reject(error);
+      }
+    };
+
+    req.on("data", onData);
+    req.on("end", onEnd);
+    req.on("error", reject);
+  });
+
+/**
+ * Reads a multipart/form-data body.
+ * @param {import("http").IncomingMessage} req
+ * @param {{maxFiles: number, maxFileBytes: number}|null} limits - The attachment limits (null refuses files).
+ * @returns {Promise<{body: *, files: Object[]}>} The parsed payload and the
+ *   attached files ({ name, type, size, data: Buffer, truncated }).
+ */
+const readMultipartBody = (req, limits) =>
+  new Promise((resolve, reject) => {
+    let busboy;
+    try {
+      busboy = Busboy({
+        headers: req.headers,
+        limits: {
+          fields: 1,
+          fieldSize: MAX_JSON_BYTES,
+          files: limits ? limits.maxFiles : 0,
+          // One byte more than allowed, so files over the limit show as truncated.
+          fileSize: limits ? limits.maxFileBytes + 1 : 0,
+        },
+      });
+    } catch (error) {
+      // A missing or broken boundary in the Content-Type header.
+      return reject(bodyError(400, error.message));
+    }
+
+    let payload;
+    const files = [];
+    let settled = false;
+
+    // Rejects right away: the rest of the upload is not worth reading.
+    const fail = (error) => {
+      if (settled) return;
+      settled = true;
+      discardRest(req);
+      reject(error);
+    };
+
+    busboy.on("field", (name, value, info) => {
+      if (name !== "payload") return;
+      if (info.valueTruncated) return fail(bodyError(413, "The payload must be at most 1 MB"));
+      payload = value;
+    });
+
+    busboy.on("file", (name, stream, info) => {
+      if (name !== "attachments") return stream.resume();
+      const chunks = [];
+      let size = 0;
+      stream.on("data", (chunk) => {
+        size += chunk.length;
+        chunks.push(chunk);
+      });
+      stream.on("end", () => {
+        files.push({
+          name: info.filename || "file",
+          type: info.mimeType,
+          size,
+          data: Buffer.concat(chunks),
+          truncated: stream.truncated,
+        });
+      });
+    });
+
+    busboy.on("filesLimit", () => {
+      fail(
+        limits
+          ? bodyError(400, `At most ${limits.maxFiles} files can be attached`)
+          : bodyError(400, "Attachments are turned off")
+      );
+    });
+    busboy.on("fieldsLimit", () => {
+      fail(bodyError(400, "Only the payload field is accepted"));
+    });
+    busboy.on("error", (error) => fail(bodyError(400, error.message)));
+    busboy.on("close", () => {
+      if (settled) return;
+      settled = true;
+      if (payload === undefined) return reject(bodyError(400, "The payload field is missing"));
+      try {
+        resolve({ body: parsePayload(payload), files });
+      } catch (error) {
+        reject(error);
+      }
+    });
+
+    req.pipe(busboy);
+  });
+
+/**
+ * Reads a /api/proxy request body: JSON, or multipart when the message has attachments.
+ * @param {import("http").IncomingMessage} req
+ * @param {{maxFiles: number, maxFileBytes: number}|null} limits - The attachment limits
+ *   (see getAttachmentLimits in lib/validation.js); null when attachments are turned off.
+ * @returns {Promise<{body: *, files: Object[]}>} The payload and the attached files.
+ * @throws {Error} An INVALID_BODY error (with a `status`) when the body can't be read.
+ */
+export const readProxyBody = async (req, limits) => {
+  const contentType = req.headers["content-type"] || "";
+  if (contentType.startsWith("multipart/form-data")) {
+    return readMultipartBody(req, limits);
+  }
+  return { body: await readJsonBody(req), files: [] };
+};
@@ -0,0 +1,58 @@
+// origins.js
+// =============================================================================
+// Origin Allowlists
+// =============================================================================
+// Decides whether an origin (e.g. "https://www.example.com") is on an
+// allowlist. Used in the browser by the postMessage bridge and on the server
+// by the API routes' CORS checks.
+//
+// Allowlist entries can be:
+// - an exact origin:      "https://www.example.com" (scheme, host and port must match)
+// - a wildcard subdomain: "https://*.example.com" (any subdomain, at any depth,
+//                          but not "https://example.com" itself)
+// - "*":                  any origin
+// =============================================================================
+
+/**
+ * Checks one origin against one allowlist entry.
+ * @param {string} origin - The origin to check.
+ * @param {string} pattern - The allowlist entry.
+ * @returns {boolean} True when the origin matches.
+ */
+export const matchesOrigin = (origin, pattern) => {
+  if (pattern === "*") return true;
+
+  // Origins never have a trailing slash, but people often paste one.
+  const normalized = pattern.trim().replace(/\/+$/, "").toLowerCase();
+  const candidate = origin.toLowerCase();
+
+  const wildcard = normalized.indexOf("://*.");
+  if (wildcard === -1) return candidate === normalized;
+
+  const scheme = normalized.slice(0, wildcard + "://".length);
+  const domain = normalized.slice(wildcard + "://*.".length);
+  return (
+    candidate.startsWith(scheme) &&
+    candidate.slice(scheme.length).endsWith(`.${domain}`)
+  );
+};
+
+/**
+ * Checks an origin against a whole allowlist.
+ * @param {string|null|undefined} origin - The origin to check.
+ * @param {string[]} allowlist - The allowed origins.
+ * @returns {boolean} True when the origin is allowed.
+ */
+export const isOriginAllowed = (origin, allowlist) =>
+  Boolean(origin) && allowlist.some((pattern) => matchesOrigin(origin, pattern));
+
+/**
+ * Splits a comma-separated list (e.g. from an environment variable) into entries.
+ * @param {string|undefined} value - The raw list.
+ * @returns {string[]} The non-empty entries.
+ */
+export const parseOriginList = (value) =>
+  (value || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean);
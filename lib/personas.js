@@ -0,0 +1,47 @@
+// personas.js
+// =============================================================================
+// Persona Helpers
+// =============================================================================
+// Looks up personas from the registry in config/personas/index.js and
+// separates what the browser may see from the server-only settings.
+// =============================================================================
+
+// Import the persona registry.
+import personas, { DEFAULT_PERSONA } from "../config/personas";
+// Import the UI config check.
+import { normalizeChatConfig } from "./configSchema";
+
+export { DEFAULT_PERSONA };
+
+// Settings that must never be sent to the browser.
+const SERVER_ONLY_KEYS = ["flowURL", "tokenEnv", "backend"];
+
+/**
+ * Returns the ids of every registered persona.
+ * @returns {string[]} The persona ids.
+ */
+export const listPersonaIds = () => Object.keys(personas);
+
+/**
+ * Looks up a persona by id.
+ * @param {string} id - The persona id (e.g. from the URL).
+ * @returns {Object|null} The persona config, or null if there is no such persona.
+ */
+export const getPersona = (id) =>
+  typeof id === "string" && Object.prototype.hasOwnProperty.call(personas, id)
+    ? personas[id]
+    : null;
+
+/**
+ * Returns the part of a persona config that is safe to send to the browser,
+ * with defaults filled in for the optional UI settings (see lib/configSchema.js).
+ * @param {Object} persona - The persona config.
+ * @param {string} [personaId] - The persona id, used in error messages.
+ * @returns {Object} The config without server-only settings.
+ * @throws {Error} When the persona's UI settings are invalid.
+ */
+export const toPublicConfig = (persona, personaId) => {
+  const publicConfig = { ...persona };
+  for (const key of SERVER_ONLY_KEYS) delete publicConfig[key];
+  return normalizeChatConfig(publicConfig, personaId);
+};
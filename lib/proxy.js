@@ -0,0 +1,328 @@
+// proxy.js
+// =============================================================================
+// Chat Proxy
+// =============================================================================
+// The logic behind the /api/proxy routes (see pages/api/proxy/). It forwards
+// requests from our React component to the model backend of one persona
+// (a zerowidth flow by default; see lib/adapters/ for the other kinds).
+// Verbose comments are included to help beginners understand the flow.
+//
+// The backend URL and the bearer token always come from the persona's config
+// on the server, never from the request, so each route can only reach the
+// backend of its own persona.
+//
+// Messages with attachments arrive as a multipart upload (see lib/multipart.js)
+// and their files are handed to the adapter, which forwards them in the form
+// its backend accepts.
+// =============================================================================
+
+// Import the CORS origin check.
+import { applyCors } from "./cors";
+// Import the per-IP / per-user rate limiter.
+import { applyRateLimit } from "./rateLimit";
+// Import the persona lookup.
+import { getPersona } from "./personas";
+// Import the backend adapters that build requests and read replies.
+import { resolveBackend, toChatResponse } from "./adapters";
+// Import the helpers used to read the upstream stream and write our own.
+import { formatSseEvent, readSseStream } from "./sse";
+// Import the transcript store that records each message and reply.
+import { getTranscriptStore } from "./transcripts";
+// Import fetch with timeouts and retries for the call to the backend.
+import { fetchWithRetry } from "./upstream";
+// Import the request body reader (JSON or multipart with attachments).
+import { readProxyBody } from "./multipart";
+// Import the payload and attachment validation.
+import {
+  getAttachmentLimits,
+  isValidId,
+  validateAttachments,
+  validateProxyPayload,
+} from "./validation";
+
+/**
+ * Records one message in the transcript store.
+ * Storage problems are logged but never break the chat.
+ *
+ * @param {string} personaId - The persona being chatted with.
+ * @param {Object} requestBody - The body sent by the chat component (for the ids).
+ * @param {"user"|"agent"} role - Who wrote the message.
+ * @param {string} content - The message text.
+ * @param {Object[]} [attachments] - The files attached to a user message
+ *   (only their name, type and size are recorded).
+ */
+const recordMessage = async (personaId, requestBody, role, content, attachments = []) => {
+  if (!content) return;
+  try {
+    await getTranscriptStore().appendMessage({
+      persona: personaId,
+      sessionId: requestBody.session_id,
+      userId: requestBody.user_id,
+      role,
+      content,
+      attachments: attachments.map(({ name, type, size }) => ({ name, type, size })),
+    });
+  } catch (error) {
+    console.error("Error recording transcript:", error);
+  }
+};
+
+// How many earlier messages are sent to backends that don't remember the
+// conversation themselves (see `stateless` in lib/adapters/index.js).
+const MAX_HISTORY_MESSAGES = 20;
+
+/**
+ * Loads the earlier messages of a session from the transcript store, for
+ * backends that need the history with every request. Without a transcript
+ * store (TRANSCRIPT_STORE=none) every message starts a new conversation.
+ *
+ * @param {string} sessionId - The session to load.
+ * @returns {Promise<{role: string, content: string}[]>} The earlier messages, oldest first.
+ */
+const loadHistory = async (sessionId) => {
+  try {
+    const transcript = await getTranscriptStore().getTranscript(sessionId);
+    if (!transcript) return [];
+    return transcript.messages
+      .slice(-MAX_HISTORY_MESSAGES)
+      .map(({ role, content }) => ({ role, content }));
+  } catch (error) {
+    console.error("Error loading history:", error);
+    return [];
+  }
+};
+
+/**
+ * Records the conversation a new branch starts from (the `data.messages` the
+ * chat sends after an edit or a regenerate) under the branch's own session,
+ * so later messages in the branch still get it from loadHistory. Sessions
+ * that already have a transcript are left alone.
+ *
+ * The messages come from the visitor's browser, not from the backend, so
+ * they are stored with `seeded: true` and the admin views mark them.
+ *
+ * @param {string} personaId - The persona being chatted with.
+ * @param {Object} requestBody - The validated payload, with data.messages.
+ */
+const seedTranscript = async (personaId, requestBody) => {
+  try {
+    if (await getTranscriptStore().getTranscript(requestBody.session_id)) return;
+  } catch (error) {
+    console.error("Error loading history:", error);
+    return;
+  }
+  try {
+    for (const { role, content } of requestBody.data.messages) {
+      if (!content) continue;
+      await getTranscriptStore().appendMessage({
+        persona: personaId,
+        sessionId: requestBody.session_id,
+        userId: requestBody.user_id,
+        role: role === "user" ? "user" : "agent",
+        content,
+        seeded: true,
+      });
+    }
+  } catch (error) {
+    console.error("Error recording transcript:", error);
+  }
+};
+
+/**
+ * Relays an upstream SSE response to the client as our own, simpler stream.
+ *
+ * The client always receives the same events, whatever the backend sends:
+ * - "delta" with `{ content }` for each new piece of text,
+ * - "done" with `{ content }` holding the complete reply,
+ * - "error" with `{ error }` if the upstream stream breaks halfway.
+ *
+ * @param {Response} response - The upstream fetch response.
+ * @param {import("http").ServerResponse} res - The response to our client.
+ * @param {AbortSignal} signal - Aborted when our client goes away.
+ * @param {{adapter: Object, backend: Object}} target - Reads the backend's events.
+ * @returns {Promise<string>} The complete reply text.
+ */
+const relayStream = async (response, res, signal, { adapter, backend }) => {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream; charset=utf-8",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    // Stop proxies and Next's compression from buffering the stream.
+    "X-Accel-Buffering": "no",
+    "Content-Encoding": "none",
+  });
+
+  let content = "";
+  try {
+    await readSseStream(response.body, ({ event, data }) => {
+      // Skip end-of-stream markers; we send our own "done" event below.
+      if (data === "[DONE]" || event === "end" || event === "done") return;
+
+      const delta = adapter.parseStreamEvent({ event, data }, content, backend);
+      if (!delta) return;
+
+      content += delta;
+      res.write(formatSseEvent("delta", { content: delta }));
+    });
+    res.write(formatSseEvent("done", { content }));
+  } catch (error) {
+    // Nobody is listening any more if our client cancelled.
+    if (signal.aborted) return content;
+    // Headers are already sent, so report the failure inside the stream.
+    console.error("Error relaying stream:", error);
+    res.write(formatSseEvent("error", { error: error.message }));
+  }
+  res.end();
+  return content;
+};
+
+/**
+ * Handles one request to the proxy on behalf of a persona.
+ *
+ * @param {import("http").IncomingMessage} req - The incoming request.
+ * @param {import("http").ServerResponse} res - The response to our client.
+ * @param {string} personaId - The persona whose backend should answer.
+ * @returns {Promise<void>}
+ */
+export const handleProxyRequest = async (req, res, personaId) => {
+  // Set CORS headers for allowed origins, answer preflight OPTIONS requests
+  // and reject other sites (see lib/cors.js).
+  if (!applyCors(req, res, { methods: "POST, OPTIONS" })) return;
+
+  // Only allow POST requests.
+  if (req.method !== "POST") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  // Reject visitors (or scripts) sending too many requests, before reading
+  // a body that may carry megabytes of attachments.
+  if (!(await applyRateLimit(req, res))) return;
+
+  // Read the body: JSON, or multipart when the message has attachments.
+  const attachmentLimits = getAttachmentLimits();
+  let body, files;
+  try {
+    ({ body, files } = await readProxyBody(req, attachmentLimits));
+  } catch (error) {
+    if (error.code !== "INVALID_BODY") throw error;
+    const message = error.status === 413 ? "Payload too large" : "Invalid payload";
+    // The rest of the body may still be arriving: close the connection once answered.
+    res.setHeader("Connection", "close");
+    return res.status(error.status).json({ error: message, details: error.message });
+  }
+
+  // Then count the request against its user (the IP was counted above).
+  // Only well-formed user ids are counted, so junk ids can't bloat the counters.
+  const userId = body && isValidId(body.user_id) ? body.user_id : "";
+  if (userId && !(await applyRateLimit(req, res, { userId, ip: false }))) return;
+
+  // Check the payload and the files, and keep only the fields we know
+  // (see lib/validation.js).
+  const { value: requestBody, errors } = validateProxyPayload(body);
+  const { value: attachments, errors: attachmentErrors } = validateAttachments(files, attachmentLimits);
+  if (errors || attachmentErrors) {
+    return res
+      .status(400)
+      .json({ error: "Invalid payload", fields: { ...errors, ...attachmentErrors } });
+  }
+
+  // Only forward to personas we know about.
+  const persona = getPersona(personaId);
+  if (!persona) {
+    return res.status(404).json({ error: "Unknown persona" });
+  }
+
+  // If our client goes away (e.g. the visitor pressed "Stop"), cancel the
+  // call to the backend too. "close" fires before the response finished only
+  // when the connection was dropped.
+  const controller = new AbortController();
+  res.on("close", () => {
+    if (!res.writableFinished) controller.abort();
+  });
+
+  try {
+    // Find the adapter for the persona's backend; the URL and the bearer
+    // token come from the persona's config file and the environment.
+    const target = resolveBackend(persona);
+    const { adapter, backend, token, stateless } = target;
+
+    // Only adapters that know how to forward files get them.
+    if (attachments.length > 0 && !adapter.attachments) {
+      return res.status(400).json({
+        error: "Attachments not supported",
+        details: `The ${backend.type} backend doesn't accept attachments`,
+      });
+    }
+
+    // Backends that don't remember conversations get the earlier messages:
+    // the ones the chat sent to seed a new session, or else the recorded ones.
+    // Load them before recording the new message so it isn't sent twice.
+    const history = !stateless
+      ? []
+      : requestBody.data.messages || (await loadHistory(requestBody.session_id));
+
+    // A new branch: keep the conversation before the fork with its session.
+    if (requestBody.data.messages) await seedTranscript(personaId, requestBody);
+
+    // Record the user's message before asking the backend.
+    await recordMessage(personaId, requestBody, "user", requestBody.data.message.content, attachments);
+
+    // Forward the request to the backend using the fetch API. Slow or
+    // briefly unavailable backends are timed out and retried (see lib/upstream.js).
+    const { url, init } = adapter.buildRequest(requestBody, {
+      backend,
+      token,
+      history,
+      personaId,
+      attachments,
+    });
+    const response = await fetchWithRetry(url, init, {
+      signal: controller.signal,
+      // The mock backend answers through its own fetch function.
+      ...(adapter.fetch && { fetch: adapter.fetch }),
+    });
+
+    // If the backend returns an error status, capture its message.
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`Backend (${backend.type}) error ${response.status}: ${errorText}`);
+    }
+
+    // If the backend answered with a stream, relay it chunk by chunk.
+    // Backends that don't stream answer with plain JSON and fall through below.
+    const contentType = response.headers.get("content-type") || "";
+    if (requestBody.stream && contentType.includes("text/event-stream")) {
+      const reply = await relayStream(response, res, controller.signal, target);
+      if (controller.signal.aborted) return;
+      return await recordMessage(personaId, requestBody, "agent", reply);
+    }
+
+    // Parse the JSON response and read the reply out of it.
+    const data = await response.json();
+    const reply = adapter.parseResponse(data, backend);
+
+    // Record the agent's reply.
+    await recordMessage(personaId, requestBody, "agent", reply);
+
+    // Send the reply back to the React component in the shape it expects.
+    res.status(200).json(toChatResponse(reply));
+  } catch (error) {
+    // The client cancelled: there is nobody left to answer.
+    if (controller.signal.aborted) return;
+
+    // Log the error for debugging purposes.
+    console.error("Error in proxy function:", error);
+
+    // The backend never answered in time.
+    if (error.code === "UPSTREAM_TIMEOUT") {
+      return res
+        .status(504)
+        .json({ error: "Gateway Timeout", details: error.message });
+    }
+
+    // Return a generic error response with details.
+    res
+      .status(500)
+      .json({ error: "Internal Server Error", details: error.message });
+  }
+};
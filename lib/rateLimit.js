@@ -0,0 +1,241 @@
+// rateLimit.js
+// =============================================================================
+// Rate Limiting
+// =============================================================================
+// Stops a single visitor (or a script) from hammering /api/proxy and the other
+// public routes. Requests are counted per IP address and per user_id with a
+// sliding window: a request is allowed when fewer than `limit` requests were
+// made in the last `windowMs` milliseconds. Limited requests get a 429
+// response with a Retry-After header saying how many seconds to wait.
+//
+// Routes that the chat calls on its own (analytics, feedback, share links)
+// count their requests apart, under their own `scope`, so they never eat into
+// the visitor's message allowance.
+//
+// Limits are set in config/server.js (rateLimit). The counters live in a
+// pluggable store, chosen with the RATE_LIMIT_STORE environment variable
+// (or rateLimit.store in config/server.js):
+// - "memory" (default): per server process; resets on restart.
+// - "file": a JSON document in the local data directory (see lib/store.js),
+//   shared by every process of a single-node deployment.
+//
+// Other stores can be added with registerRateLimitStore(). A store is an
+// object with one async method:
+// - hit(key, { limit, windowMs, now }) -> { allowed, retryAfterMs }
+// =============================================================================
+
+// Import the server configuration settings.
+import serverConfig from "../config/server";
+// Import the document helpers for the file store.
+import { readDocument, writeDocument } from "./store";
+
+// The document name used by the file store.
+const DOCUMENT = "rate-limits";
+
+// The stores forget keys without requests for this long
+// (longer than any sensible window), so they don't grow forever.
+const STALE_AFTER_MS = 24 * 60 * 60 * 1000;
+
+// How often the memory store looks for idle keys to forget.
+const PRUNE_EVERY_MS = 10 * 60 * 1000;
+
+/**
+ * Applies one request to a list of request timestamps (the sliding window).
+ *
+ * @param {number[]} timestamps - Earlier request times, oldest first.
+ * @param {{limit: number, windowMs: number, now: number}} options
+ * @returns {{timestamps: number[], allowed: boolean, retryAfterMs: number}}
+ *   The timestamps to keep and whether the request is allowed.
+ */
+export const slideWindow = (timestamps, { limit, windowMs, now }) => {
+  // Forget requests that left the window.
+  const recent = timestamps.filter((time) => time > now - windowMs);
+
+  if (recent.length >= limit) {
+    // Blocked requests aren't counted; the caller may retry once the oldest
+    // request in the window expires.
+    return { timestamps: recent, allowed: false, retryAfterMs: recent[0] + windowMs - now };
+  }
+  return { timestamps: [...recent, now], allowed: true, retryAfterMs: 0 };
+};
+
+/**
+ * Creates a store that keeps the counters in memory.
+ * @returns {Object} The rate limit store.
+ */
+export const createMemoryRateLimitStore = () => {
+  const windows = new Map();
+  let lastPrune = 0;
+  return {
+    hit: async (key, options) => {
+      const result = slideWindow(windows.get(key) || [], options);
+      if (result.timestamps.length > 0) {
+        windows.set(key, result.timestamps);
+      } else {
+        windows.delete(key);
+      }
+
+      // Now and then, drop idle keys so the map doesn't grow forever.
+      if (options.now - lastPrune >= PRUNE_EVERY_MS) {
+        lastPrune = options.now;
+        for (const [otherKey, timestamps] of windows) {
+          const last = timestamps[timestamps.length - 1];
+          if (!last || last <= options.now - STALE_AFTER_MS) windows.delete(otherKey);
+        }
+      }
+      return { allowed: result.allowed, retryAfterMs: result.retryAfterMs };
+    },
+  };
+};
+
+/**
+ * Creates a store that keeps the counters in a JSON document on disk.
+ * Updates are queued so requests handled by this process never overwrite
+ * each other's counts.
+ * @returns {Object} The rate limit store.
+ */
+export const createFileRateLimitStore = () => {
+  let queue = Promise.resolve();
+
+  const update = async (key, options) => {
+    const windows = await readDocument(DOCUMENT, {});
+    const result = slideWindow(windows[key] || [], options);
+    windows[key] = result.timestamps;
+
+    // Drop idle keys so the document doesn't grow forever.
+    for (const [otherKey, timestamps] of Object.entries(windows)) {
+      const last = timestamps[timestamps.length - 1];
+      if (!last || last <= options.now - STALE_AFTER_MS) delete windows[otherKey];
+    }
+
+    await writeDocument(DOCUMENT, windows);
+    return { allowed: result.allowed, retryAfterMs: result.retryAfterMs };
+  };
+
+  return {
+    hit: (key, options) => {
+      const result = queue.then(() => update(key, options));
+      // Keep the queue going even if one update fails.
+      queue = result.catch(() => {});
+      return result;
+    },
+  };
+};
+
+// Known stores, by the name used in RATE_LIMIT_STORE.
+const factories = {
+  memory: createMemoryRateLimitStore,
+  file: createFileRateLimitStore,
+};
+
+/**
+ * Registers an extra store that can then be selected with RATE_LIMIT_STORE.
+ * @param {string} name - The store name.
+ * @param {() => Object} factory - Creates the store.
+ */
+export const registerRateLimitStore = (name, factory) => {
+  factories[name] = factory;
+};
+
+// The store in use, created on first access.
+let activeStore = null;
+
+/**
+ * Returns the rate limit store selected by RATE_LIMIT_STORE (or the config).
+ * @returns {Object} The rate limit store.
+ */
+export const getRateLimitStore = () => {
+  if (!activeStore) {
+    const name = process.env.RATE_LIMIT_STORE || serverConfig.rateLimit.store || "memory";
+    const factory = factories[name];
+    if (!factory) {
+      throw new Error(`Unknown RATE_LIMIT_STORE "${name}"`);
+    }
+    activeStore = factory();
+  }
+  return activeStore;
+};
+
+/**
+ * Returns how many reverse proxies in front of the app add themselves to
+ * X-Forwarded-For: TRUSTED_PROXIES, or rateLimit.trustedProxies in
+ * config/server.js. On Vercel the platform sets the header, so at least one.
+ * @returns {number}
+ */
+const getTrustedProxies = () => {
+  const value = parseInt(process.env.TRUSTED_PROXIES, 10);
+  if (!Number.isNaN(value)) return Math.max(0, value);
+  const configured = serverConfig.rateLimit.trustedProxies || 0;
+  return process.env.VERCEL ? Math.max(1, configured) : configured;
+};
+
+/**
+ * Returns the client's IP address.
+ *
+ * The client can write anything into X-Forwarded-For, so only the entries
+ * added by our own proxies are believed: each trusted proxy appends the
+ * address it got the request from, so the visitor's address is the one the
+ * outermost proxy added, `trustedProxies` entries from the right. Without
+ * trusted proxies the header is ignored and the connection's address is used.
+ *
+ * @param {import("http").IncomingMessage} req - The incoming request.
+ * @param {number} [trustedProxies] - Defaults to the server config.
+ * @returns {string} The IP address.
+ */
+export const getClientIp = (req, trustedProxies = getTrustedProxies()) => {
+  const socketIp = (req.socket && req.socket.remoteAddress) || "unknown";
+  if (trustedProxies <= 0) return socketIp;
+
+  const hops = String(req.headers["x-forwarded-for"] || "")
+    .split(",")
+    .map((hop) => hop.trim())
+    .filter(Boolean);
+  if (hops.length === 0) return socketIp;
+  return hops[Math.max(0, hops.length - trustedProxies)];
+};
+
+/**
+ * Counts a request against the per-IP and per-user limits and sends a 429
+ * response when either is exceeded.
+ *
+ * @param {import("http").IncomingMessage} req - The incoming request.
+ * @param {import("http").ServerResponse} res - The response (used to reject the request).
+ * @param {Object} [options]
+ * @param {string} [options.userId] - The user_id sent by the chat component, if any.
+ * @param {string} [options.scope] - Counts the requests apart from the proxy's (e.g. "events").
+ * @param {boolean} [options.ip] - Set to false to skip the per-IP check (already done
+ *   earlier for this request).
+ * @returns {Promise<boolean>} True when the request may continue.
+ */
+export const applyRateLimit = async (req, res, { userId, scope, ip = true } = {}) => {
+  const { enabled, perIp, perUser } = serverConfig.rateLimit;
+  if (!enabled) return true;
+
+  const store = getRateLimitStore();
+  const now = Date.now();
+  const prefix = scope ? `${scope}:` : "";
+
+  const checks = [];
+  if (ip) checks.push({ key: `${prefix}ip:${getClientIp(req)}`, ...perIp });
+  if (userId) checks.push({ key: `${prefix}user:${userId}`, ...perUser });
+
+  for (const { key, limit, windowMs } of checks) {
+    let result;
+    try {
+      result = await store.hit(key, { limit, windowMs, now });
+    } catch (error) {
+      // A broken store shouldn't take the chat down: let the request through.
+      console.error("Error in rate limiter:", error);
+      return true;
+    }
+
+    const { allowed, retryAfterMs } = result;
+    if (!allowed) {
+      const retryAfter = Math.max(1, Math.ceil(retryAfterMs / 1000));
+      res.setHeader("Retry-After", String(retryAfter));
+      res.status(429).json({ error: "Too many requests", retry_after: retryAfter });
+      return false;
+    }
+  }
+  return true;
+};
@@ -0,0 +1,206 @@
+// shares.js
+// =============================================================================
+// Shared Conversations
+// =============================================================================
+// A visitor can share a conversation: the chat sends a snapshot of it to
+// POST /api/share and gets back a read-only link (/share/<id>) and a secret
+// revoke token. Anyone with the link can read the snapshot; only the holder
+// of the revoke token (or an admin, see lib/auth.js) can delete it.
+//
+// A snapshot only keeps what is needed to show the conversation:
+//
+//   {
+//     id: "…",                 // 32 hex characters, used in the link
+//     persona: "chai",         // for the page's header and theme
+//     title: "…",
+//     messages: [{ role: "user" | "agent", content, created_at }],
+//     created_at: "…",
+//     expires_at: "…" | null,  // null: kept until revoked
+//     revoke_token_hash: "…",  // the token itself is never stored
+//   }
+//
+// Session and user ids are never stored, so a link can't be used to find
+// (or continue) the visitor's session. Snapshots are documents in the local
+// data directory (see lib/store.js), one per share. Expired ones are deleted
+// the next time they are read.
+// =============================================================================
+
+import { createHash, randomBytes } from "crypto";
+// Import the server configuration settings.
+import serverConfig from "../config/server";
+// Import the constant-time comparison used for tokens.
+import { safeEqual } from "./auth";
+// Import the persona lookup.
+import { getPersona } from "./personas";
+// Import the local file-backed store.
+import { deleteDocument, readDocument, writeDocument } from "./store";
+
+// Limit for the snapshot title.
+const MAX_TITLE_LENGTH = 100;
+
+// The roles a shared message can have (as in the chat component).
+const ROLES = ["user", "agent"];
+
+/**
+ * Checks a share id: 32 lowercase hex characters.
+ * @param {*} id
+ * @returns {boolean}
+ */
+export const isValidShareId = (id) => typeof id === "string" && /^[0-9a-f]{32}$/.test(id);
+
+/**
+ * Returns the document name of a share.
+ * @param {string} id - A valid share id.
+ * @returns {string}
+ */
+const documentName = (id) => `share-${id}`;
+
+/**
+ * Hashes a revoke token for storage.
+ * @param {string} token
+ * @returns {string} The SHA-256 hash, in hex.
+ */
+const hashToken = (token) => createHash("sha256").update(String(token)).digest("hex");
+
+/**
+ * Checks whether a share has expired.
+ * @param {Object} share
+ * @param {number} [now] - Milliseconds since the epoch.
+ * @returns {boolean}
+ */
+const isExpired = (share, now = Date.now()) =>
+  Boolean(share.expires_at) && Date.parse(share.expires_at) <= now;
+
+/**
+ * Validates a POST /api/share body.
+ *
+ * @param {*} body - The parsed request body:
+ *   { persona, title?, messages: [{ role, content, createdAt? }], expires_in_days? }
+ * @returns {{value: Object|null, errors: Object|null}} The cleaned snapshot
+ *   fields (only known fields, no ids) or the field errors.
+ */
+export const validateSharePayload = (body) => {
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    return { value: null, errors: { body: "must be a JSON object" } };
+  }
+
+  const errors = {};
+  const { maxMessages, maxContentLength, maxExpiryDays } = serverConfig.shares;
+
+  if (!getPersona(body.persona)) {
+    errors.persona = "must be a known persona";
+  }
+  if (body.title !== undefined && (typeof body.title !== "string" || body.title.length > MAX_TITLE_LENGTH)) {
+    errors.title = `must be a string of at most ${MAX_TITLE_LENGTH} characters`;
+  }
+
+  const { messages } = body;
+  if (!Array.isArray(messages) || messages.length === 0) {
+    errors.messages = "must be a non-empty array";
+  } else if (messages.length > maxMessages) {
+    errors.messages = `must have at most ${maxMessages} entries`;
+  } else {
+    messages.forEach((msg, index) => {
+      const field = `messages.${index}`;
+      if (!msg || typeof msg !== "object" || !ROLES.includes(msg.role)) {
+        errors[`${field}.role`] = 'must be "user" or "agent"';
+      } else if (typeof msg.content !== "string" || msg.content.length > maxContentLength) {
+        errors[`${field}.content`] = `must be a string of at most ${maxContentLength} characters`;
+      }
+    });
+  }
+
+  const days = body.expires_in_days;
+  if (days != null && !(Number.isInteger(days) && days >= 1 && days <= maxExpiryDays)) {
+    errors.expires_in_days = `must be a whole number of days from 1 to ${maxExpiryDays}`;
+  }
+
+  if (Object.keys(errors).length > 0) {
+    return { value: null, errors };
+  }
+
+  return {
+    value: {
+      persona: body.persona,
+      title: (body.title || "").trim(),
+      messages: messages.map((msg) => ({
+        role: msg.role,
+        content: msg.content,
+        created_at: Number.isFinite(msg.createdAt) ? new Date(msg.createdAt).toISOString() : null,
+      })),
+      expires_in_days: days == null ? null : days,
+    },
+    errors: null,
+  };
+};
+
+/**
+ * Stores a snapshot.
+ *
+ * @param {Object} snapshot - The value returned by validateSharePayload.
+ * @returns {Promise<{share: Object, revokeToken: string}>} The public share
+ *   and its revoke token (only returned here, never stored).
+ */
+export const createShare = async ({ persona, title, messages, expires_in_days }) => {
+  const id = randomBytes(16).toString("hex");
+  const revokeToken = randomBytes(24).toString("base64url");
+  const now = Date.now();
+
+  const share = {
+    id,
+    persona,
+    title,
+    messages,
+    created_at: new Date(now).toISOString(),
+    expires_at: expires_in_days ? new Date(now + expires_in_days * 24 * 60 * 60 * 1000).toISOString() : null,
+  };
+  await writeDocument(documentName(id), { ...share, revoke_token_hash: hashToken(revokeToken) });
+  return { share, revokeToken };
+};
+
+/**
+ * Reads a stored share (with its revoke token hash).
+ * @param {string} id
+ * @returns {Promise<Object|null>} The share, or null when unknown or expired.
+ */
+const readShare = async (id) => {
+  if (!isValidShareId(id)) return null;
+  const stored = await readDocument(documentName(id), null);
+  if (!stored) return null;
+  if (isExpired(stored)) {
+    await deleteDocument(documentName(id));
+    return null;
+  }
+  return stored;
+};
+
+/**
+ * Returns a share as anyone with the link may see it.
+ * @param {string} id
+ * @returns {Promise<Object|null>} The share, or null when unknown or expired.
+ */
+export const getShare = async (id) => {
+  const stored = await readShare(id);
+  if (!stored) return null;
+  const { revoke_token_hash, ...share } = stored;
+  return share;
+};
+
+/**
+ * Deletes a share.
+ *
+ * @param {string} id
+ * @param {Object} credentials
+ * @param {string} [credentials.revokeToken] - The token returned when the share was created.
+ * @param {boolean} [credentials.isAdmin] - True when the request carried the admin token.
+ * @returns {Promise<"revoked"|"not_found"|"forbidden">} What happened.
+ */
+export const revokeShare = async (id, { revokeToken, isAdmin = false }) => {
+  const stored = await readShare(id);
+  if (!stored) return "not_found";
+  if (!isAdmin && !(revokeToken && safeEqual(hashToken(revokeToken), stored.revoke_token_hash))) {
+    return "forbidden";
+  }
+  await deleteDocument(documentName(id));
+  return "revoked";
+};
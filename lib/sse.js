@@ -0,0 +1,90 @@
+// sse.js
+// =============================================================================
+// Server-Sent Events (SSE) Helpers
+// =============================================================================
+// Small helpers for reading and writing the "text/event-stream" format.
+// They are shared by the proxy (which reads the upstream flow's stream and
+// relays it) and by the chat component (which reads the proxy's stream).
+//
+// An SSE stream is plain text made of events separated by a blank line:
+//
+//   event: delta
+//   data: {"content":"Hel"}
+//
+//   event: delta
+//   data: {"content":"lo"}
+//
+// Only the "event" and "data" fields are used here; comments (lines starting
+// with ":") and other fields are ignored.
+// =============================================================================
+
+/**
+ * Formats a single SSE event ready to be written to a response.
+ * @param {string} event - The event name (e.g. "delta", "done", "error").
+ * @param {*} data - Any JSON-serializable value.
+ * @returns {string} The encoded event, terminated by a blank line.
+ */
+export const formatSseEvent = (event, data) =>
+  `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+
+/**
+ * Parses one raw event block (the text between two blank lines).
+ * @param {string} block - The raw event text.
+ * @returns {{event: string, data: string}|null} The parsed event, or null if it carried no data.
+ */
+const parseEventBlock = (block) => {
+  let event = "message";
+  const dataLines = [];
+
+  for (const line of block.split(/\r?\n/)) {
+    // Lines starting with ":" are comments (often used as keep-alives).
+    if (!line || line.startsWith(":")) continue;
+
+    const separator = line.indexOf(":");
+    const field = separator === -1 ? line : line.slice(0, separator);
+    // The spec allows one optional space after the colon.
+    let value = separator === -1 ? "" : line.slice(separator + 1);
+    if (value.startsWith(" ")) value = value.slice(1);
+
+    if (field === "event") event = value;
+    if (field === "data") dataLines.push(value);
+  }
+
+  if (dataLines.length === 0) return null;
+  return { event, data: dataLines.join("\n") };
+};
+
+/**
+ * Reads a web ReadableStream of SSE text and calls `onEvent` for each event.
+ * Works with both the browser's fetch and Node's built-in fetch.
+ *
+ * @param {ReadableStream<Uint8Array>} body - The response body to read.
+ * @param {(event: {event: string, data: string}) => void} onEvent - Called once per event.
+ * @returns {Promise<void>} Resolves when the stream ends.
+ */
+export const readSseStream = async (body, onEvent) => {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+
+    // Events are separated by a blank line; keep any incomplete tail in the buffer.
+    const blocks = buffer.split(/\r?\n\r?\n/);
+    buffer = blocks.pop();
+
+    for (const block of blocks) {
+      const parsed = parseEventBlock(block);
+      if (parsed) onEvent(parsed);
+    }
+  }
+
+  // Flush whatever is left once the stream closes without a trailing blank line.
+  buffer += decoder.decode();
+  const parsed = parseEventBlock(buffer);
+  if (parsed) onEvent(parsed);
+};
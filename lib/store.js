@@ -0,0 +1,158 @@
+// store.js
+// =============================================================================
+// Local File-Backed Storage
+// =============================================================================
+// A tiny append-only store used by the API routes to keep records on disk.
+// Each collection (e.g. "feedback") is a JSON Lines file: one JSON object per
+// line. Appending never rewrites the file, so concurrent writes from
+// different requests can't corrupt earlier records. Collections can be
+// grouped in a folder by naming them "group/name" (e.g. one per session).
+//
+// Small pieces of state that are rewritten as a whole (e.g. rate limit
+// counters) are kept as "documents": one JSON file each, replaced atomically.
+//
+// Files live in the directory named by the DATA_DIR environment variable,
+// or in ".data/" at the project root by default. On Vercel, the project
+// directory is read-only, so point DATA_DIR at "/tmp" (which is not
+// persistent) or swap this module for a real database.
+// =============================================================================
+
+import { promises as fs } from "fs";
+import path from "path";
+
+/**
+ * Returns the directory where collections are stored.
+ * @returns {string} The absolute data directory path.
+ */
+export const getDataDir = () =>
+  process.env.DATA_DIR || path.join(process.cwd(), ".data");
+
+/**
+ * Returns the file path of a collection.
+ * @param {string} collection - The collection name (letters, digits, "-" and "_"),
+ *   optionally in a group ("group/name").
+ * @returns {string} The absolute file path.
+ */
+const collectionPath = (collection) => {
+  if (!/^[\w-]+(\/[\w-]+)?$/.test(collection)) {
+    throw new Error(`Invalid collection name: ${collection}`);
+  }
+  return path.join(getDataDir(), `${collection}.jsonl`);
+};
+
+/**
+ * Returns the file path of a document.
+ * @param {string} name - The document name (letters, digits, "-" and "_").
+ * @returns {string} The absolute file path.
+ */
+const documentPath = (name) => {
+  if (!/^[\w-]+$/.test(name)) {
+    throw new Error(`Invalid document name: ${name}`);
+  }
+  return path.join(getDataDir(), `${name}.json`);
+};
+
+/**
+ * Appends one record to a collection, creating the file if needed.
+ * @param {string} collection - The collection name.
+ * @param {Object} record - Any JSON-serializable object.
+ * @returns {Promise<Object>} The stored record.
+ */
+export const appendRecord = async (collection, record) => {
+  const file = collectionPath(collection);
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.appendFile(file, `${JSON.stringify(record)}\n`);
+  return record;
+};
+
+/**
+ * Appends several records to a collection in one write.
+ * @param {string} collection - The collection name.
+ * @param {Object[]} records - Any JSON-serializable objects.
+ * @returns {Promise<Object[]>} The stored records.
+ */
+export const appendRecords = async (collection, records) => {
+  if (records.length === 0) return records;
+  const file = collectionPath(collection);
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.appendFile(
+    file,
+    records.map((record) => `${JSON.stringify(record)}\n`).join("")
+  );
+  return records;
+};
+
+/**
+ * Reads every record of a collection in the order they were written.
+ * Missing collections read as empty, and malformed lines are skipped.
+ * @param {string} collection - The collection name.
+ * @returns {Promise<Object[]>} The stored records.
+ */
+export const readRecords = async (collection) => {
+  let text;
+  try {
+    text = await fs.readFile(collectionPath(collection), "utf8");
+  } catch (error) {
+    if (error.code === "ENOENT") return [];
+    throw error;
+  }
+
+  const records = [];
+  for (const line of text.split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      records.push(JSON.parse(line));
+    } catch {
+      // A half-written line (e.g. after a crash) shouldn't break reads.
+    }
+  }
+  return records;
+};
+
+/**
+ * Reads a document.
+ * @param {string} name - The document name.
+ * @param {*} fallback - Returned when the document doesn't exist or is unreadable.
+ * @returns {Promise<*>} The stored value.
+ */
+export const readDocument = async (name, fallback) => {
+  try {
+    return JSON.parse(await fs.readFile(documentPath(name), "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT" || error instanceof SyntaxError) return fallback;
+    throw error;
+  }
+};
+
+// Makes temporary file names unique when one process writes the same document twice at once.
+let writeCounter = 0;
+
+/**
+ * Replaces a document. The new content is written to a temporary file first
+ * and then renamed over the old one, so readers never see a half-written file.
+ * @param {string} name - The document name.
+ * @param {*} value - Any JSON-serializable value.
+ * @returns {Promise<void>}
+ */
+export const writeDocument = async (name, value) => {
+  await fs.mkdir(getDataDir(), { recursive: true });
+  const target = documentPath(name);
+  const temporary = `${target}.${process.pid}.${(writeCounter += 1)}.tmp`;
+  await fs.writeFile(temporary, JSON.stringify(value));
+  await fs.rename(temporary, target);
+};
+
+/**
+ * Deletes a document. Deleting a missing document is not an error.
+ * @param {string} name - The document name.
+ * @returns {Promise<boolean>} True when a document was deleted.
+ */
+export const deleteDocument = async (name) => {
+  try {
+    await fs.unlink(documentPath(name));
+    return true;
+  } catch (error) {
+    if (error.code === "ENOENT") return false;
+    throw error;
+  }
+};
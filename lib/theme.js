@@ -0,0 +1,170 @@
+// theme.js
+// =============================================================================
+// Theme Tokens
+// =============================================================================
+// Every color, font, radius and spacing of the chat is a "token" exposed as a
+// CSS custom property on the chat's root element, e.g. accentColor becomes
+// --chai-accent-color. The components only use var(--chai-...) values, so a
+// theme can change every color at once without touching them.
+//
+// A persona picks its theme in its config:
+//
+//   theme: {
+//     mode: "auto",                // "light", "dark" or "auto" (follows the
+//                                  // visitor's prefers-color-scheme setting)
+//     accentColor: "#FF6B9D",      // any token: applies to both schemes
+//     light: { userBubbleColor: "#FFE3EE" },  // tokens for the light scheme only
+//     dark: { userBubbleColor: "#4A2233" },   // tokens for the dark scheme only
+//   }
+//
+// The host page can change tokens at runtime with the bridge's setTheme
+// command (see lib/bridge.js).
+// =============================================================================
+
+// The light scheme: the chat's original look.
+const LIGHT = {
+  // Colors
+  accentColor: "#FF6B9D",
+  accentTextColor: "#FFFFFF",
+  backgroundColor: "#FFFFFF",
+  surfaceColor: "#F7F7F7",
+  controlColor: "#FFFFFF",
+  textColor: "#000000",
+  mutedTextColor: "#424242",
+  subtleTextColor: "#666666",
+  iconColor: "#1C1B1F",
+  borderColor: "rgba(0, 0, 0, 0.12)",
+  cardBorderColor: "rgba(0, 0, 0, 0.08)",
+  badgeColor: "#D9D9D9",
+  errorColor: "#C62828",
+  pillColor: "rgba(128, 128, 128, 0.30)",
+  pillHoverColor: "rgba(128, 128, 128, 0.50)",
+  pillBorderColor: "rgba(255, 255, 255, 0.40)",
+  scrollbarColor: "#CCCCCC",
+  userBubbleColor: "#F7F7F7",
+  userBubbleTextColor: "#000000",
+  agentBubbleColor: "transparent",
+  agentBubbleTextColor: "#000000",
+  // Code in replies (see components/MarkdownMessage.js)
+  codeBackgroundColor: "#F3F3F5",
+  codeTextColor: "#1C1B1F",
+  codeKeywordColor: "#A626A4",
+  codeStringColor: "#50A14F",
+  codeNumberColor: "#986801",
+  codeCommentColor: "#A0A1A7",
+  // Fonts
+  fontFamily: "Acumin Pro, Arial, sans-serif",
+  fontSize: "14px",
+  // Shapes
+  bubbleRadius: "13px",
+  cardRadius: "16px",
+  inputRadius: "24px",
+  controlRadius: "14px",
+  cardShadow: "0 8px 32px rgba(0, 0, 0, 0.12), 0 2px 8px rgba(0, 0, 0, 0.08)",
+  // Spacing
+  bubblePadding: "19px 13px",
+  cardPadding: "24px",
+  messageGap: "5px",
+};
+
+// The dark scheme: only the colors change.
+const DARK = {
+  ...LIGHT,
+  backgroundColor: "#1B1B1F",
+  surfaceColor: "#2A2A30",
+  controlColor: "#24242A",
+  textColor: "#F2F2F2",
+  mutedTextColor: "#C4C4C8",
+  subtleTextColor: "#9A9AA0",
+  iconColor: "#E6E1E5",
+  borderColor: "rgba(255, 255, 255, 0.16)",
+  cardBorderColor: "rgba(255, 255, 255, 0.08)",
+  badgeColor: "#3A3A40",
+  errorColor: "#FF8A80",
+  pillColor: "rgba(255, 255, 255, 0.10)",
+  pillHoverColor: "rgba(255, 255, 255, 0.20)",
+  pillBorderColor: "rgba(255, 255, 255, 0.12)",
+  scrollbarColor: "#4A4A50",
+  userBubbleColor: "#2A2A30",
+  userBubbleTextColor: "#F2F2F2",
+  agentBubbleTextColor: "#F2F2F2",
+  codeBackgroundColor: "#111114",
+  codeTextColor: "#E6E1E5",
+  codeKeywordColor: "#C678DD",
+  codeStringColor: "#98C379",
+  codeNumberColor: "#D19A66",
+  codeCommentColor: "#7F848E",
+  cardShadow: "0 8px 32px rgba(0, 0, 0, 0.5)",
+};
+
+// The built-in schemes.
+export const THEME_PRESETS = { light: LIGHT, dark: DARK };
+
+// The theme settings that aren't tokens.
+const THEME_SETTINGS = ["mode", "light", "dark"];
+
+/**
+ * Turns a token name into its CSS custom property name.
+ * @param {string} token - e.g. "accentColor".
+ * @returns {string} e.g. "--chai-accent-color".
+ */
+const toPropertyName = (token) =>
+  `--chai-${token.replace(/[A-Z]/g, (letter) => `-${letter.toLowerCase()}`)}`;
+
+/**
+ * Returns the CSS value that reads a token, for use in inline styles.
+ * @param {string} token - The token name (a key of THEME_PRESETS.light).
+ * @returns {string} e.g. "var(--chai-accent-color)".
+ */
+export const themeVar = (token) => `var(${toPropertyName(token)})`;
+
+/**
+ * Resolves the tokens of one scheme for a theme config.
+ * @param {Object} theme - The theme config (see the top of this file).
+ * @param {"light"|"dark"} scheme
+ * @returns {Object} Every token of the scheme.
+ */
+export const resolveThemeTokens = (theme, scheme) => {
+  const shared = Object.fromEntries(
+    Object.entries(theme).filter(([key]) => !THEME_SETTINGS.includes(key))
+  );
+  return { ...THEME_PRESETS[scheme], ...shared, ...(theme[scheme] || {}) };
+};
+
+/**
+ * Formats tokens as CSS custom property declarations. Names and values that
+ * could break out of the declaration (from a host page's setTheme, say) are skipped.
+ * @param {Object} tokens
+ * @returns {string} e.g. "--chai-accent-color: #FF6B9D;".
+ */
+const toDeclarations = (tokens) =>
+  Object.entries(tokens)
+    .filter(
+      ([token, value]) =>
+        /^[A-Za-z][A-Za-z0-9]*$/.test(token) &&
+        ["string", "number"].includes(typeof value) &&
+        !/[;{}<>]/.test(value)
+    )
+    .map(([token, value]) => `${toPropertyName(token)}: ${value};`)
+    .join(" ");
+
+/**
+ * Builds the stylesheet that defines a theme's custom properties.
+ *
+ * @param {Object} theme - The theme config.
+ * @param {string} selector - The chat's root element selector.
+ * @returns {string} The CSS.
+ */
+export const buildThemeCss = (theme = {}, selector) => {
+  const mode = theme.mode || "light";
+  if (mode !== "auto") {
+    const scheme = mode === "dark" ? "dark" : "light";
+    return `${selector} { ${toDeclarations(resolveThemeTokens(theme, scheme))} color-scheme: ${scheme}; }`;
+  }
+  return [
+    `${selector} { ${toDeclarations(resolveThemeTokens(theme, "light"))} color-scheme: light; }`,
+    `@media (prefers-color-scheme: dark) {`,
+    `  ${selector} { ${toDeclarations(resolveThemeTokens(theme, "dark"))} color-scheme: dark; }`,
+    `}`,
+  ].join("\n");
+};
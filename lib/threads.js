@@ -0,0 +1,168 @@
+// threads.js
+// =============================================================================
+// Chat Threads (Client-Side Persistence)
+// =============================================================================
+// Keeps several chat threads in the browser's localStorage so visitors can
+// start a new chat and come back to earlier ones after a reload.
+//
+// Each thread looks like:
+// {
+//   id: "…",          // 32-char id used to pick the thread
+//   sessionId: "…",   // 32-char session_id sent to the flow
+//   title: "…",       // derived from the first user message ("" until then)
+//   messages: [],     // the conversation ({ role, content })
+//   feedback: [],     // like/dislike state per message
+//   branches: {},     // earlier versions after edits/regenerates (see lib/branches.js)
+//   shares: [],       // read-only links to this thread ({ id, url, revokeToken, expiresAt })
+//   createdAt: 0,     // timestamps in milliseconds
+//   updatedAt: 0,
+// }
+//
+// Threads are stored per persona, so each persona has its own list.
+// Unsent drafts are kept apart from the threads (see loadDraft), so typing
+// doesn't rewrite every thread on each keystroke.
+// These helpers only run in the browser; they return empty values during SSR.
+// =============================================================================
+
+// Import UUID to generate thread and session ids.
+import { v4 as uuidv4 } from "uuid";
+
+// localStorage keys (suffixed with ":<persona>").
+const THREADS_KEY = "chatThreads";
+const ACTIVE_THREAD_KEY = "activeThreadId";
+const DRAFTS_KEY = "chatDrafts";
+
+/**
+ * Returns the localStorage key for a persona.
+ * @param {string} key - The base key.
+ * @param {string} persona - The persona id.
+ * @returns {string} The key to use.
+ */
+const personaKey = (key, persona) => `${key}:${persona}`;
+
+// Maximum length of a thread title derived from the first message.
+const TITLE_LENGTH = 40;
+
+/**
+ * Generates a random 32-character id (a UUID without dashes).
+ * The flow limits user and session ids to 32 characters.
+ * @returns {string} The id.
+ */
+export const createId = () => uuidv4().replace(/-/g, "").slice(0, 32);
+
+/**
+ * Creates a new, empty thread with its own session id.
+ * @returns {Object} The thread.
+ */
+export const createThread = () => {
+  const now = Date.now();
+  return {
+    id: createId(),
+    sessionId: createId(),
+    title: "",
+    messages: [],
+    feedback: [],
+    branches: {},
+    shares: [],
+    createdAt: now,
+    updatedAt: now,
+  };
+};
+
+/**
+ * Derives a thread title from its first user message.
+ * @param {Object[]} messages - The thread's messages.
+ * @returns {string} The title, or "" if the user hasn't written anything yet.
+ */
+export const titleFromMessages = (messages) => {
+  const first = messages.find((msg) => msg.role === "user");
+  if (!first) return "";
+  const text = first.content.replace(/\s+/g, " ").trim();
+  return text.length > TITLE_LENGTH ? `${text.slice(0, TITLE_LENGTH - 1)}…` : text;
+};
+
+/**
+ * Loads a persona's saved threads and the id of the last open one.
+ * @param {string} persona - The persona id.
+ * @returns {{threads: Object[], activeId: string|null}} The saved state.
+ */
+export const loadThreads = (persona) => {
+  if (typeof window === "undefined") return { threads: [], activeId: null }; // Prevent SSR issues
+
+  let threads = [];
+  try {
+    const saved = JSON.parse(localStorage.getItem(personaKey(THREADS_KEY, persona)));
+    threads = Array.isArray(saved) ? saved.filter((t) => t && t.id && t.sessionId) : [];
+  } catch {
+    // Corrupt data: start over rather than crash the chat.
+  }
+  return { threads, activeId: localStorage.getItem(personaKey(ACTIVE_THREAD_KEY, persona)) };
+};
+
+/**
+ * Saves a persona's threads and the id of the open one.
+ * @param {string} persona - The persona id.
+ * @param {Object[]} threads - All threads.
+ * @param {string} activeId - The open thread's id.
+ */
+export const saveThreads = (persona, threads, activeId) => {
+  if (typeof window === "undefined") return; // Prevent SSR issues
+
+  try {
+    localStorage.setItem(personaKey(THREADS_KEY, persona), JSON.stringify(threads));
+    localStorage.setItem(personaKey(ACTIVE_THREAD_KEY, persona), activeId);
+  } catch (err) {
+    // Storage can be full or disabled (e.g. some private browsing modes).
+    console.error("Error saving chat threads:", err);
+  }
+};
+
+/**
+ * Reads a persona's saved drafts.
+ * @param {string} persona - The persona id.
+ * @returns {Object<string, string>} The draft text per thread id.
+ */
+const readDrafts = (persona) => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(personaKey(DRAFTS_KEY, persona)));
+    return saved && typeof saved === "object" && !Array.isArray(saved) ? saved : {};
+  } catch {
+    return {};
+  }
+};
+
+/**
+ * Loads the unsent draft of a thread.
+ * @param {string} persona - The persona id.
+ * @param {string} threadId - The thread id.
+ * @returns {string} The draft, or "" when there is none.
+ */
+export const loadDraft = (persona, threadId) => {
+  if (typeof window === "undefined") return ""; // Prevent SSR issues
+
+  const draft = readDrafts(persona)[threadId];
+  return typeof draft === "string" ? draft : "";
+};
+
+/**
+ * Saves the unsent draft of a thread (an empty draft removes it).
+ * @param {string} persona - The persona id.
+ * @param {string} threadId - The thread id.
+ * @param {string} text - The draft.
+ */
+export const saveDraft = (persona, threadId, text) => {
+  if (typeof window === "undefined") return; // Prevent SSR issues
+
+  const drafts = readDrafts(persona);
+  if ((drafts[threadId] || "") === text) return;
+  if (text) {
+    drafts[threadId] = text;
+  } else {
+    delete drafts[threadId];
+  }
+  try {
+    localStorage.setItem(personaKey(DRAFTS_KEY, persona), JSON.stringify(drafts));
+  } catch (err) {
+    console.error("Error saving the draft:", err);
+  }
+};
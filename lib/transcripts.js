@@ -0,0 +1,227 @@
+// transcripts.js
+// =============================================================================
+// Transcript Storage
+// =============================================================================
+// Keeps a server-side record of every conversation so the team can review
+// what visitors asked. The proxy appends each user message and agent reply,
+// keyed by the session_id and user_id the chat component generates, and
+// tagged with the persona the visitor was chatting with.
+//
+// The storage backend is pluggable. Choose one with the TRANSCRIPT_STORE
+// environment variable:
+// - "file" (default): JSON Lines files in the local data directory (see
+//   lib/store.js): one with every message, for the session list, and one per
+//   session, so loading a transcript (the proxy does it for every message to
+//   a stateless backend) doesn't read every other session's too.
+// - "memory": kept in memory only; lost on restart (handy for development).
+// - "none": transcripts are not recorded.
+//
+// Other backends can be added with registerTranscriptStore(). A backend is an
+// object with three async methods:
+// - appendMessage({ persona, sessionId, userId, role, content, attachments?, seeded? }) -> stored message
+//   (attachments describe the files of a user message: [{ name, type, size }];
+//   seeded marks messages the chat sent to start a new branch, which the
+//   server never saw happen: their text comes from the visitor's browser)
+// - listSessions() -> [{ session_id, user_id, persona, message_count, first_message,
+//                        started_at, last_message_at }]
+//   (first_message is the session's first user message, or null)
+// - getTranscript(sessionId) -> { session_id, user_id, persona, messages } or null
+// =============================================================================
+
+import { appendRecord, appendRecords, readDocument, readRecords, writeDocument } from "./store";
+
+// The collection name used by the file backend.
+const COLLECTION = "transcripts";
+
+// Marks a data directory whose messages were already copied to per-session
+// collections (messages recorded before those existed are copied once).
+const SPLIT_DOCUMENT = "transcripts-split";
+
+/**
+ * Returns the collection name holding one session's messages.
+ * @param {string} sessionId
+ * @returns {string|null} The collection, or null for ids that can't name one.
+ */
+const sessionCollection = (sessionId) =>
+  typeof sessionId === "string" && /^[\w-]+$/.test(sessionId) ? `${COLLECTION}/${sessionId}` : null;
+
+/**
+ * Builds the stored form of a message.
+ * @param {{persona: string, sessionId: string, userId: string, role: string, content: string, attachments?: Object[], seeded?: boolean}} message
+ * @returns {Object} The record to store.
+ */
+const toRecord = ({ persona, sessionId, userId, role, content, attachments, seeded }) => ({
+  session_id: sessionId,
+  user_id: userId,
+  persona,
+  role,
+  content,
+  ...(attachments && attachments.length > 0 && { attachments }),
+  ...(seeded && { seeded: true }),
+  created_at: new Date().toISOString(),
+});
+
+/**
+ * Groups message records into per-session summaries, most recent first.
+ * @param {Object[]} records - Message records in write order.
+ * @returns {Object[]} Session summaries.
+ */
+const summarizeSessions = (records) => {
+  const sessions = new Map();
+  for (const record of records) {
+    const session = sessions.get(record.session_id) || {
+      session_id: record.session_id,
+      user_id: record.user_id,
+      persona: record.persona,
+      message_count: 0,
+      first_message: null,
+      started_at: record.created_at,
+      last_message_at: record.created_at,
+    };
+    session.message_count += 1;
+    if (record.role === "user" && session.first_message === null) {
+      session.first_message = record.content;
+    }
+    session.last_message_at = record.created_at;
+    sessions.set(record.session_id, session);
+  }
+  return [...sessions.values()].sort((a, b) =>
+    b.last_message_at.localeCompare(a.last_message_at)
+  );
+};
+
+/**
+ * Builds the transcript of one session from message records.
+ * @param {Object[]} records - Message records in write order.
+ * @param {string} sessionId - The session to extract.
+ * @returns {Object|null} The transcript, or null if the session is unknown.
+ */
+const buildTranscript = (records, sessionId) => {
+  const messages = records.filter((record) => record.session_id === sessionId);
+  if (messages.length === 0) return null;
+  return {
+    session_id: sessionId,
+    user_id: messages[0].user_id,
+    persona: messages[0].persona,
+    messages: messages.map(({ role, content, attachments, seeded, created_at }) => ({
+      role,
+      content,
+      ...(attachments && { attachments }),
+      ...(seeded && { seeded }),
+      created_at,
+    })),
+  };
+};
+
+/**
+ * Creates a store that appends messages to the local "transcripts" collection
+ * and to a collection per session.
+ * @returns {Object} The transcript store.
+ */
+export const createFileTranscriptStore = () => {
+  let splitting = null;
+
+  // Copies messages recorded before the per-session collections existed,
+  // once. Retried on the next call if it fails.
+  const splitOlderMessages = () => {
+    if (!splitting) {
+      splitting = (async () => {
+        if (await readDocument(SPLIT_DOCUMENT, null)) return;
+        const bySession = new Map();
+        for (const record of await readRecords(COLLECTION)) {
+          const collection = sessionCollection(record.session_id);
+          if (!collection) continue;
+          bySession.set(collection, [...(bySession.get(collection) || []), record]);
+        }
+        for (const [collection, records] of bySession) {
+          await appendRecords(collection, records);
+        }
+        await writeDocument(SPLIT_DOCUMENT, { split_at: new Date().toISOString() });
+      })();
+      splitting.catch(() => {
+        splitting = null;
+      });
+    }
+    return splitting;
+  };
+
+  return {
+    appendMessage: async (message) => {
+      await splitOlderMessages();
+      const record = toRecord(message);
+      await appendRecord(COLLECTION, record);
+      const collection = sessionCollection(record.session_id);
+      if (collection) await appendRecord(collection, record);
+      return record;
+    },
+    listSessions: async () => summarizeSessions(await readRecords(COLLECTION)),
+    getTranscript: async (sessionId) => {
+      const collection = sessionCollection(sessionId);
+      if (!collection) return null;
+      await splitOlderMessages();
+      return buildTranscript(await readRecords(collection), sessionId);
+    },
+  };
+};
+
+/**
+ * Creates a store that keeps messages in memory for the life of the process.
+ * @returns {Object} The transcript store.
+ */
+export const createMemoryTranscriptStore = () => {
+  const records = [];
+  return {
+    appendMessage: async (message) => {
+      const record = toRecord(message);
+      records.push(record);
+      return record;
+    },
+    listSessions: async () => summarizeSessions(records),
+    getTranscript: async (sessionId) => buildTranscript(records, sessionId),
+  };
+};
+
+/**
+ * Creates a store that records nothing.
+ * @returns {Object} The transcript store.
+ */
+export const createNullTranscriptStore = () => ({
+  appendMessage: async () => null,
+  listSessions: async () => [],
+  getTranscript: async () => null,
+});
+
+// Known backends, by the name used in TRANSCRIPT_STORE.
+const factories = {
+  file: createFileTranscriptStore,
+  memory: createMemoryTranscriptStore,
+  none: createNullTranscriptStore,
+};
+
+/**
+ * Registers an extra backend that can then be selected with TRANSCRIPT_STORE.
+ * @param {string} name - The backend name.
+ * @param {() => Object} factory - Creates the store.
+ */
+export const registerTranscriptStore = (name, factory) => {
+  factories[name] = factory;
+};
+
+// The store in use, created on first access.
+let activeStore = null;
+
+/**
+ * Returns the transcript store selected by the TRANSCRIPT_STORE environment variable.
+ * @returns {Object} The transcript store.
+ */
+export const getTranscriptStore = () => {
+  if (!activeStore) {
+    const name = process.env.TRANSCRIPT_STORE || "file";
+    const factory = factories[name];
+    if (!factory) {
+      throw new Error(`Unknown TRANSCRIPT_STORE "${name}"`);
+    }
+    activeStore = factory();
+  }
+  return activeStore;
+};
@@ -0,0 +1,150 @@
+// upstream.js
+// =============================================================================
+// Upstream Requests (Timeouts and Retries)
+// =============================================================================
+// Wraps fetch for the calls the proxy makes to the flow:
+// - Each attempt times out if no response arrives within `timeoutMs`.
+// - Network errors, timeouts and 502/503/504 responses are retried up to
+//   `retries` times, waiting `backoffMs`, then twice as long, and so on
+//   (plus a little random jitter so many clients don't retry in lockstep).
+// - An optional AbortSignal (e.g. aborted when our client disconnects) stops
+//   the current attempt and any further retries right away.
+//
+// Defaults come from `upstream` in config/server.js.
+// =============================================================================
+
+// Import the server configuration settings.
+import serverConfig from "../config/server";
+
+// Statuses worth retrying: the gateway or the flow is briefly unavailable.
+const RETRYABLE_STATUSES = [502, 503, 504];
+
+/**
+ * Returns the upstream settings, with environment variable overrides.
+ * @returns {{timeoutMs: number, retries: number, backoffMs: number}}
+ */
+export const getUpstreamSettings = () => {
+  const { timeoutMs, retries, backoffMs } = serverConfig.upstream;
+  const fromEnv = (name, fallback) => {
+    const value = parseInt(process.env[name], 10);
+    return Number.isNaN(value) ? fallback : value;
+  };
+  return {
+    timeoutMs: fromEnv("UPSTREAM_TIMEOUT_MS", timeoutMs),
+    retries: fromEnv("UPSTREAM_RETRIES", retries),
+    backoffMs,
+  };
+};
+
+/**
+ * Waits for a delay, unless the signal aborts first.
+ * @param {number} ms - The delay.
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>} Rejects with the abort reason if aborted.
+ */
+const wait = async (ms, signal) => {
+  if (signal && signal.aborted) throw signal.reason;
+  let onAbort;
+  try {
+    await new Promise((resolve, reject) => {
+      const timer = setTimeout(resolve, ms);
+      onAbort = () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      };
+      if (signal) signal.addEventListener("abort", onAbort, { once: true });
+    });
+  } finally {
+    // Don't leave a listener behind on the caller's signal for every wait.
+    if (signal) signal.removeEventListener("abort", onAbort);
+  }
+};
+
+/**
+ * Makes one attempt, aborting it after `timeoutMs` or when `signal` aborts.
+ * The timeout only covers waiting for the response headers, so a long
+ * streamed reply isn't cut off once it has started.
+ *
+ * The caller's signal keeps aborting a response that arrived, so that it
+ * also stops its body (e.g. a streamed reply). Call `release` once that
+ * response is dropped; failed attempts release it themselves.
+ *
+ * @param {string} url
+ * @param {RequestInit} init
+ * @param {number} timeoutMs
+ * @param {AbortSignal} [signal]
+ * @param {typeof fetch} fetchImpl - The fetch function to call.
+ * @returns {Promise<{response: Response, release: () => void}>}
+ */
+const attempt = async (url, init, timeoutMs, signal, fetchImpl) => {
+  const controller = new AbortController();
+  const abortFromCaller = () => controller.abort(signal.reason);
+  if (signal) signal.addEventListener("abort", abortFromCaller, { once: true });
+  const release = () => {
+    if (signal) signal.removeEventListener("abort", abortFromCaller);
+  };
+
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeoutMs);
+
+  let response;
+  try {
+    response = await fetchImpl(url, { ...init, signal: controller.signal });
+    return { response, release };
+  } catch (error) {
+    if (timedOut) {
+      const timeoutError = new Error(`Upstream did not respond within ${timeoutMs}ms`);
+      timeoutError.code = "UPSTREAM_TIMEOUT";
+      throw timeoutError;
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+    if (!response) release();
+  }
+};
+
+/**
+ * Fetches with a timeout per attempt and bounded retries with backoff.
+ *
+ * @param {string} url - The URL to fetch.
+ * @param {RequestInit} init - The fetch options (without `signal`).
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Aborts the request and stops retrying.
+ * @param {number} [options.timeoutMs] - Defaults to the server config.
+ * @param {number} [options.retries] - Defaults to the server config.
+ * @param {number} [options.backoffMs] - Defaults to the server config.
+ * @param {typeof fetch} [options.fetch] - Replaces the global fetch (e.g. the mock backend's).
+ * @returns {Promise<Response>} The last response (which may still be a 5xx
+ *   once the retries are used up).
+ */
+export const fetchWithRetry = async (url, init, options = {}) => {
+  const { signal, timeoutMs, retries, backoffMs, fetch: fetchImpl = fetch } = {
+    ...getUpstreamSettings(),
+    ...options,
+  };
+
+  for (let attemptNumber = 0; ; attemptNumber += 1) {
+    const isLastAttempt = attemptNumber >= retries;
+    try {
+      const { response, release } = await attempt(url, init, timeoutMs, signal, fetchImpl);
+      if (isLastAttempt || !RETRYABLE_STATUSES.includes(response.status)) {
+        return response;
+      }
+      // Free the connection of the response we're dropping before trying again.
+      release();
+      await response.body?.cancel();
+      console.warn(`Upstream returned ${response.status}, retrying (${attemptNumber + 1}/${retries})`);
+    } catch (error) {
+      // Never retry once our own caller gave up.
+      if ((signal && signal.aborted) || isLastAttempt) throw error;
+      console.warn(`Upstream request failed (${error.message}), retrying (${attemptNumber + 1}/${retries})`);
+    }
+
+    const delay = backoffMs * 2 ** attemptNumber;
+    await wait(delay + Math.random() * backoffMs, signal);
+  }
+};
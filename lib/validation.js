@@ -0,0 +1,294 @@
+// validation.js
+// =============================================================================
+// Proxy Payload Validation
+// =============================================================================
+// Checks and cleans the body the chat component sends to /api/proxy before
+// anything is forwarded to the flow. The accepted shape is:
+//
+//   {
+//     data: {
+//       message: { role: "user", content: "..." },  // 1..maxMessageLength characters
+//       variables: { key: "value" },                // optional, from the host page bridge
+//                                                   // and the chat's locale (see below)
+//       messages: [{ role: "user", content }],      // optional earlier messages (see below)
+//     },
+//     stateful: true,                               // optional boolean (default true)
+//     stream: false,                                // optional boolean (default false)
+//     user_id: "…",                                 // 1..32 letters, digits, "-" or "_"
+//     session_id: "…",                              // same rule
+//     verbose: false,                               // optional; only false is accepted
+//   }
+//
+// `data.messages` seeds a new session with the conversation so far. The chat
+// sends it when the visitor edits a message or regenerates a reply, which
+// continues the conversation in a fresh session (see lib/branches.js). Roles
+// are "user" or "assistant".
+//
+// `data.variables.locale` is the chat's interface language (see lib/i18n.js),
+// e.g. "es" or "pt-BR", so the flow can reply in the visitor's language.
+//
+// Messages with attachments arrive as a multipart upload (see lib/multipart.js);
+// the files are checked apart from the payload, with validateAttachments.
+//
+// Unknown fields are dropped, so callers can't slip extra options through to
+// the flow. Problems are reported per field, e.g.
+// { "data.message.content": "must be at most 4000 characters" }.
+// =============================================================================
+
+// Import the server configuration settings.
+import serverConfig from "../config/server";
+// Import the language tag rule.
+import { isLocaleTag } from "./i18n";
+// Import the attachment checks shared with the chat.
+import { checkAttachment, matchesFileType } from "./attachments";
+// Import the variable limits shared with the host page bridge (setContext).
+import { MAX_CONTEXT_ENTRIES, MAX_CONTEXT_NAME_LENGTH, MAX_CONTEXT_VALUE_LENGTH } from "./bridge";
+
+// The id rule used by the chat component when it generates user and session
+// ids (see createId in lib/threads.js): at most 32 characters.
+const ID_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+
+// Limits for the optional variables object.
+const MAX_VARIABLES = MAX_CONTEXT_ENTRIES;
+const MAX_VARIABLE_NAME_LENGTH = MAX_CONTEXT_NAME_LENGTH;
+const MAX_VARIABLE_VALUE_LENGTH = MAX_CONTEXT_VALUE_LENGTH;
+
+// Limit for each earlier message in data.messages (replies can be long).
+const MAX_HISTORY_CONTENT_LENGTH = 20000;
+
+/**
+ * Returns the longest accepted message, with the MAX_MESSAGE_LENGTH override.
+ * @returns {number} The limit in characters.
+ */
+export const getMaxMessageLength = () =>
+  parseInt(process.env.MAX_MESSAGE_LENGTH, 10) || serverConfig.validation.maxMessageLength;
+
+/**
+ * Returns the attachment limits (see `attachments` in config/server.js), with
+ * the ATTACHMENTS_ENABLED and MAX_ATTACHMENT_BYTES overrides.
+ * @returns {{maxFiles: number, maxFileBytes: number, allowedTypes: string[]}|null}
+ *   The limits, or null when attachments are turned off.
+ */
+export const getAttachmentLimits = () => {
+  const settings = serverConfig.attachments;
+  const override = String(process.env.ATTACHMENTS_ENABLED || "").toLowerCase();
+  if (["0", "false", "no", "off"].includes(override) || !settings.enabled) return null;
+  return {
+    maxFiles: settings.maxFiles,
+    maxFileBytes: parseInt(process.env.MAX_ATTACHMENT_BYTES, 10) || settings.maxFileBytes,
+    allowedTypes: settings.allowedTypes,
+  };
+};
+
+/**
+ * Returns the most earlier messages accepted in data.messages.
+ * @returns {number}
+ */
+const getMaxHistoryMessages = () => serverConfig.validation.maxHistoryMessages;
+
+/**
+ * Returns the limits on data.messages, so the chat can cut the history it
+ * sends after an edit or a regenerate (see historyForFork in lib/branches.js).
+ * @returns {{maxMessages: number, maxContentLength: number}}
+ */
+export const getHistoryLimits = () => ({
+  maxMessages: getMaxHistoryMessages(),
+  maxContentLength: MAX_HISTORY_CONTENT_LENGTH,
+});
+
+/**
+ * Checks a user or session id.
+ * @param {*} id
+ * @returns {boolean} True when the id follows the 32-character rule.
+ */
+export const isValidId = (id) => typeof id === "string" && ID_PATTERN.test(id);
+
+/**
+ * Checks whether a value is a plain object (not null, not an array).
+ * @param {*} value
+ * @returns {boolean}
+ */
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * Validates the optional variables object and returns a cleaned copy.
+ * @param {*} variables - The raw value.
+ * @param {Object} errors - Field errors are added here.
+ * @returns {Object|undefined} The cleaned variables.
+ */
+const validateVariables = (variables, errors) => {
+  if (variables === undefined) return undefined;
+  if (!isPlainObject(variables)) {
+    errors["data.variables"] = "must be an object";
+    return undefined;
+  }
+
+  const entries = Object.entries(variables);
+  if (entries.length > MAX_VARIABLES) {
+    errors["data.variables"] = `must have at most ${MAX_VARIABLES} entries`;
+    return undefined;
+  }
+
+  const cleaned = {};
+  for (const [name, value] of entries) {
+    const field = `data.variables.${name}`;
+    if (name.length > MAX_VARIABLE_NAME_LENGTH) {
+      errors["data.variables"] = `names must be at most ${MAX_VARIABLE_NAME_LENGTH} characters`;
+    } else if (name === "locale" && !isLocaleTag(value)) {
+      errors[field] = 'must be a language tag such as "en" or "pt-BR"';
+    } else if (typeof value === "string") {
+      if (value.length > MAX_VARIABLE_VALUE_LENGTH) {
+        errors[field] = `must be at most ${MAX_VARIABLE_VALUE_LENGTH} characters`;
+      } else {
+        cleaned[name] = value;
+      }
+    } else if (typeof value === "number" || typeof value === "boolean") {
+      cleaned[name] = value;
+    } else {
+      errors[field] = "must be a string, number or boolean";
+    }
+  }
+  return cleaned;
+};
+
+/**
+ * Validates the optional earlier messages and returns a cleaned copy.
+ * @param {*} messages - The raw value.
+ * @param {Object} errors - Field errors are added here.
+ * @returns {Object[]|undefined} The cleaned messages.
+ */
+const validateHistory = (messages, errors) => {
+  if (messages === undefined) return undefined;
+  const maxMessages = getMaxHistoryMessages();
+  if (!Array.isArray(messages)) {
+    errors["data.messages"] = "must be an array";
+    return undefined;
+  }
+  if (messages.length > maxMessages) {
+    errors["data.messages"] = `must have at most ${maxMessages} entries`;
+    return undefined;
+  }
+
+  messages.forEach((entry, index) => {
+    const field = `data.messages.${index}`;
+    if (!isPlainObject(entry) || !["user", "assistant"].includes(entry.role)) {
+      errors[`${field}.role`] = 'must be "user" or "assistant"';
+    } else if (typeof entry.content !== "string" || entry.content.length > MAX_HISTORY_CONTENT_LENGTH) {
+      errors[`${field}.content`] = `must be a string of at most ${MAX_HISTORY_CONTENT_LENGTH} characters`;
+    }
+  });
+  return messages.map((entry) => ({ role: entry && entry.role, content: entry && entry.content }));
+};
+
+/**
+ * Validates a /api/proxy request body.
+ *
+ * @param {*} body - The parsed request body.
+ * @returns {{value: Object|null, errors: Object|null}} The cleaned payload
+ *   (only known fields) or the field errors.
+ */
+export const validateProxyPayload = (body) => {
+  if (!isPlainObject(body)) {
+    return { value: null, errors: { body: "must be a JSON object" } };
+  }
+
+  const errors = {};
+  const maxMessageLength = getMaxMessageLength();
+
+  // data.message
+  const data = isPlainObject(body.data) ? body.data : null;
+  const message = data && isPlainObject(data.message) ? data.message : null;
+  if (!data) {
+    errors.data = "must be an object";
+  } else if (!message) {
+    errors["data.message"] = "must be an object";
+  } else {
+    if (message.role !== "user") {
+      errors["data.message.role"] = 'must be "user"';
+    }
+    if (typeof message.content !== "string" || !message.content.trim()) {
+      errors["data.message.content"] = "must be a non-empty string";
+    } else if (message.content.length > maxMessageLength) {
+      errors["data.message.content"] = `must be at most ${maxMessageLength} characters`;
+    }
+  }
+  const variables = data ? validateVariables(data.variables, errors) : undefined;
+  const history = data ? validateHistory(data.messages, errors) : undefined;
+
+  // Flags
+  for (const flag of ["stateful", "stream"]) {
+    if (body[flag] !== undefined && typeof body[flag] !== "boolean") {
+      errors[flag] = "must be a boolean";
+    }
+  }
+  if (body.verbose !== undefined && body.verbose !== false) {
+    errors.verbose = "must be false";
+  }
+
+  // Ids
+  for (const field of ["user_id", "session_id"]) {
+    if (!isValidId(body[field])) {
+      errors[field] = "must be 1-32 letters, digits, '-' or '_'";
+    }
+  }
+
+  if (Object.keys(errors).length > 0) {
+    return { value: null, errors };
+  }
+
+  return {
+    value: {
+      data: {
+        message: { role: "user", content: message.content },
+        ...(variables && Object.keys(variables).length > 0 && { variables }),
+        ...(history && history.length > 0 && { messages: history }),
+      },
+      stateful: body.stateful !== undefined ? body.stateful : true,
+      stream: body.stream === true,
+      user_id: body.user_id,
+      session_id: body.session_id,
+      verbose: false,
+    },
+    errors: null,
+  };
+};
+
+/**
+ * Validates the files attached to a message (read by lib/multipart.js).
+ *
+ * @param {Object[]} files - { name, type, size, data: Buffer, truncated }.
+ * @param {Object|null} limits - From getAttachmentLimits (null when attachments are off).
+ * @returns {{value: Object[]|null, errors: Object|null}} The files
+ *   ({ name, type, size, data }) or the errors, keyed "attachments.<index>".
+ */
+export const validateAttachments = (files, limits) => {
+  if (files.length === 0) return { value: [], errors: null };
+  if (!limits) return { value: null, errors: { attachments: "are turned off" } };
+
+  const errors = {};
+  if (files.length > limits.maxFiles) {
+    errors.attachments = `must be at most ${limits.maxFiles} files`;
+  }
+  files.forEach((file, index) => {
+    const field = `attachments.${index}`;
+    const problem = file.truncated ? "tooLarge" : checkAttachment(file, limits);
+    if (problem === "wrongType") {
+      errors[field] = `must be one of ${limits.allowedTypes.join(", ")}`;
+    } else if (problem === "tooLarge") {
+      errors[field] = `must be at most ${limits.maxFileBytes} bytes`;
+    } else if (file.size === 0) {
+      errors[field] = "must not be empty";
+    } else if (!matchesFileType(file.data, file.type)) {
+      errors[field] = `is not a valid ${file.type} file`;
+    }
+  });
+
+  if (Object.keys(errors).length > 0) {
+    return { value: null, errors };
+  }
+  return {
+    value: files.map(({ name, type, size, data }) => ({ name: name.slice(0, 200), type, size, data })),
+    errors: null,
+  };
+};
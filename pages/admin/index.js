@@ -0,0 +1,319 @@
+// =============================================================================
+// Admin Dashboard
+//
+// Shows how the agent is used, at /admin: sessions with their message
+// counts, the like/dislike ratio over time, the most-disliked answers and
+// the most-clicked suggestion pills, and (with analytics on) where visitors
+// drop off (see lib/adminStats.js).
+//
+// The page asks for the ADMIN_TOKEN first and keeps the admin signed in with
+// a session cookie (see lib/auth.js). Without ADMIN_TOKEN it is disabled.
+// =============================================================================
+
+import { useState } from "react";
+// Import the admin page frame and the vote chart.
+import AdminLayout, { AdminCard, tableStyles } from "../../components/AdminLayout";
+import VoteChart from "../../components/VoteChart";
+// Import the admin check and the dashboard numbers (server-side only).
+import { isAdminRequest } from "../../lib/auth";
+import { getDashboardStats } from "../../lib/adminStats";
+// Import the theme tokens (see lib/theme.js).
+import { themeVar } from "../../lib/theme";
+
+// How many sessions the session list shows (most recent first).
+const SESSION_LIMIT = 100;
+
+// The names of the drop-off funnel's steps (see lib/events.js).
+const FUNNEL_LABELS = {
+  session_start: "Opened a chat",
+  message_sent: "Sent a message",
+  reply_received: "Got a reply",
+  feedback: "Voted on a reply",
+};
+
+/**
+ * Shortens a text for a table cell.
+ * @param {string} text
+ * @param {number} length
+ * @returns {string}
+ */
+const truncate = (text, length) =>
+  text && text.length > length ? `${text.slice(0, length - 1)}…` : text || "";
+
+/**
+ * The sign-in form shown until the admin enters the token.
+ * @returns {JSX.Element}
+ */
+const SignInForm = () => {
+  const [token, setToken] = useState("");
+  const [error, setError] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+    const res = await fetch("/api/admin/session", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ token }),
+    });
+    if (res.ok) {
+      window.location.reload();
+      return;
+    }
+    setError(res.status === 429 ? "Too many attempts, please wait a minute." : "Wrong token.");
+  };
+
+  const fieldStyle = {
+    padding: "6px 10px",
+    borderRadius: themeVar("controlRadius"),
+    border: `1px solid ${themeVar("borderColor")}`,
+    background: themeVar("controlColor"),
+    color: themeVar("textColor"),
+    fontFamily: themeVar("fontFamily"),
+  };
+
+  return (
+    <AdminCard title="Sign in">
+      <form onSubmit={handleSubmit} style={{ display: "flex", gap: "8px", flexWrap: "wrap" }}>
+        <label htmlFor="admin-token" style={{ alignSelf: "center" }}>
+          Admin token
+        </label>
+        <input
+          id="admin-token"
+          type="password"
+          autoComplete="current-password"
+          value={token}
+          onChange={(e) => setToken(e.target.value)}
+          style={{ ...fieldStyle, flex: "1", minWidth: "200px" }}
+        />
+        <button
+          type="submit"
+          disabled={!token}
+          style={{ ...fieldStyle, border: "none", background: themeVar("accentColor"), color: themeVar("accentTextColor"), cursor: "pointer" }}
+        >
+          Sign in
+        </button>
+      </form>
+      {error && <p style={{ margin: "8px 0 0 0", color: themeVar("accentColor") }}>{error}</p>}
+    </AdminCard>
+  );
+};
+
+/**
+ * One number in the totals row.
+ * @param {{label: string, value: string|number}} props
+ * @returns {JSX.Element}
+ */
+const Total = ({ label, value }) => (
+  <div
+    style={{
+      flex: "1",
+      minWidth: "140px",
+      padding: "12px 16px",
+      borderRadius: themeVar("cardRadius"),
+      border: `1px solid ${themeVar("cardBorderColor")}`,
+      background: themeVar("backgroundColor"),
+    }}
+  >
+    <div style={{ fontSize: "12px", color: themeVar("subtleTextColor") }}>{label}</div>
+    <div style={{ fontSize: "24px", fontWeight: 700 }}>{value}</div>
+  </div>
+);
+
+/**
+ * Renders the dashboard, the sign-in form or a "disabled" notice.
+ * @param {{status: "disabled"|"signed_out"|"signed_in", stats?: Object}} props - Provided by getServerSideProps.
+ * @returns {JSX.Element} The page.
+ */
+export default function AdminPage({ status, stats }) {
+  if (status === "disabled") {
+    return (
+      <AdminLayout title="Dashboard">
+        <AdminCard title="Admin disabled">
+          Set the ADMIN_TOKEN environment variable to enable the admin dashboard.
+        </AdminCard>
+      </AdminLayout>
+    );
+  }
+  if (status === "signed_out") {
+    return (
+      <AdminLayout title="Dashboard">
+        <SignInForm />
+      </AdminLayout>
+    );
+  }
+
+  const { totals, sessions, votesByDay, mostDisliked, pillClicks, funnel } = stats;
+  const votes = totals.likes + totals.dislikes;
+  const { table, th, td } = tableStyles;
+
+  return (
+    <AdminLayout title="Dashboard" signedIn>
+      {/* TOTALS */}
+      <div style={{ display: "flex", gap: "12px", flexWrap: "wrap" }}>
+        <Total label="Sessions" value={totals.sessions} />
+        <Total label="Messages" value={totals.messages} />
+        <Total label="Likes" value={totals.likes} />
+        <Total label="Dislikes" value={totals.dislikes} />
+        <Total label="Liked" value={votes > 0 ? `${Math.round((totals.likes / votes) * 100)}%` : "–"} />
+      </div>
+
+      <AdminCard title="Likes and dislikes per day">
+        <VoteChart days={votesByDay} />
+      </AdminCard>
+
+      <AdminCard title="Most-disliked answers">
+        {mostDisliked.length === 0 ? (
+          <p style={{ margin: 0, color: themeVar("subtleTextColor") }}>No dislikes yet.</p>
+        ) : (
+          <table style={table}>
+            <thead>
+              <tr>
+                <th style={th}>Answer</th>
+                <th style={th}>Prompt</th>
+                <th style={th}>Persona</th>
+                <th style={th}>Dislikes</th>
+                <th style={th}>Likes</th>
+                <th style={th}>Reasons</th>
+              </tr>
+            </thead>
+            <tbody>
+              {mostDisliked.map((answer) => (
+                <tr key={`${answer.persona}:${answer.message}`}>
+                  <td style={td} title={answer.message}>{truncate(answer.message, 200)}</td>
+                  <td style={td} title={answer.prompt || ""}>{truncate(answer.prompt, 80)}</td>
+                  <td style={td}>{answer.persona}</td>
+                  <td style={td}>{answer.dislikes}</td>
+                  <td style={td}>{answer.likes}</td>
+                  <td style={td}>
+                    {Object.entries(answer.reasons)
+                      .map(([reason, count]) => `${reason} (${count})`)
+                      .join(", ")}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </AdminCard>
+
+      <AdminCard title="Suggestion pills">
+        <table style={table}>
+          <thead>
+            <tr>
+              <th style={th}>Pill</th>
+              <th style={th}>Message</th>
+              <th style={th}>Persona</th>
+              <th style={th}>Chats started</th>
+              {funnel && <th style={th}>Hovers</th>}
+              {funnel && <th style={th}>Clicks</th>}
+            </tr>
+          </thead>
+          <tbody>
+            {pillClicks.map((pill) => (
+              <tr key={`${pill.persona}:${pill.message}`}>
+                <td style={td}>{pill.title}</td>
+                <td style={td}>{pill.message}</td>
+                <td style={td}>{pill.persona}</td>
+                <td style={td}>{pill.clicks}</td>
+                {funnel && <td style={td}>{pill.hovers}</td>}
+                {funnel && <td style={td}>{pill.reported_clicks}</td>}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </AdminCard>
+
+      {funnel && (
+        <AdminCard title="Drop-off">
+          <table style={table}>
+            <thead>
+              <tr>
+                <th style={th}>Step</th>
+                <th style={th}>Sessions</th>
+                <th style={th}>Of the first step</th>
+              </tr>
+            </thead>
+            <tbody>
+              {funnel.map(({ step, sessions: count }) => (
+                <tr key={step}>
+                  <td style={td}>{FUNNEL_LABELS[step] || step}</td>
+                  <td style={td}>{count}</td>
+                  <td style={td}>
+                    {funnel[0].sessions > 0 ? `${Math.round((count / funnel[0].sessions) * 100)}%` : "–"}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </AdminCard>
+      )}
+
+      <AdminCard
+        title={
+          sessions.length < totals.sessions
+            ? `Sessions (the ${sessions.length} most recent of ${totals.sessions})`
+            : "Sessions"
+        }
+      >
+        {sessions.length === 0 ? (
+          <p style={{ margin: 0, color: themeVar("subtleTextColor") }}>No sessions recorded yet.</p>
+        ) : (
+          <table style={table}>
+            <thead>
+              <tr>
+                <th style={th}>Last message</th>
+                <th style={th}>Persona</th>
+                <th style={th}>Messages</th>
+                <th style={th}>First message</th>
+              </tr>
+            </thead>
+            <tbody>
+              {sessions.map((session) => (
+                <tr key={session.session_id}>
+                  <td style={td}>
+                    <a
+                      href={`/admin/sessions/${encodeURIComponent(session.session_id)}`}
+                      style={{ color: themeVar("accentColor") }}
+                    >
+                      {session.last_message_at.replace("T", " ").slice(0, 16)}
+                    </a>
+                  </td>
+                  <td style={td}>{session.persona}</td>
+                  <td style={td}>{session.message_count}</td>
+                  <td style={td}>{truncate(session.first_message, 80)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </AdminCard>
+    </AdminLayout>
+  );
+}
+
+/**
+ * Checks the admin session and loads the dashboard numbers on every request.
+ */
+export const getServerSideProps = async ({ req }) => {
+  if (!process.env.ADMIN_TOKEN) return { props: { status: "disabled" } };
+  if (!isAdminRequest(req)) return { props: { status: "signed_out" } };
+
+  const stats = await getDashboardStats();
+  return {
+    props: {
+      status: "signed_in",
+      stats: {
+        ...stats,
+        // Only the fields the page shows (custom transcript stores may leave some out).
+        sessions: stats.sessions.slice(0, SESSION_LIMIT).map((session) => ({
+          session_id: session.session_id,
+          persona: session.persona || null,
+          message_count: session.message_count,
+          first_message: session.first_message || null,
+          last_message_at: session.last_message_at,
+        })),
+      },
+    },
+  };
+};
@@ -0,0 +1,60 @@
+// =============================================================================
+// Admin Transcript Page
+//
+// Shows every message of one recorded session at /admin/sessions/<id>, in
+// the chat's bubbles. Admins only: other visitors are sent to the sign-in
+// form on /admin.
+// =============================================================================
+
+// Import the admin page frame and the chat's message bubble.
+import AdminLayout, { AdminCard } from "../../../components/AdminLayout";
+import MessageBubble from "../../../components/MessageBubble";
+// Import the admin check and the transcript store (server-side only).
+import { isAdminRequest } from "../../../lib/auth";
+import { getTranscriptStore } from "../../../lib/transcripts";
+// Import the theme tokens (see lib/theme.js).
+import { themeVar } from "../../../lib/theme";
+
+/**
+ * Renders one transcript.
+ * @param {{transcript: Object}} props - Provided by getServerSideProps.
+ * @returns {JSX.Element} The page.
+ */
+export default function TranscriptPage({ transcript }) {
+  const timeStyle = { fontSize: "11px", color: themeVar("subtleTextColor") };
+
+  return (
+    <AdminLayout title="Transcript" signedIn>
+      <AdminCard title={`Session ${transcript.session_id}`}>
+        <p style={{ margin: "0 0 12px 0", color: themeVar("subtleTextColor") }}>
+          Persona {transcript.persona} · user {transcript.user_id} · {transcript.messages.length} messages
+        </p>
+        <div style={{ display: "flex", flexDirection: "column", gap: themeVar("messageGap") }}>
+          {transcript.messages.map((msg, index) => (
+            <div key={index} style={{ display: "flex", flexDirection: "column" }}>
+              <span style={{ ...timeStyle, alignSelf: msg.role === "user" ? "flex-end" : "flex-start" }}>
+                {msg.created_at.replace("T", " ").slice(0, 19)}
+                {/* Copied from the visitor's browser when a branch started: not verified. */}
+                {msg.seeded && " · sent by the chat, not recorded by the server"}
+              </span>
+              <MessageBubble message={msg} />
+            </div>
+          ))}
+        </div>
+      </AdminCard>
+    </AdminLayout>
+  );
+}
+
+/**
+ * Sends visitors who aren't signed in to /admin and loads the transcript.
+ */
+export const getServerSideProps = async ({ req, params }) => {
+  if (!isAdminRequest(req)) {
+    return { redirect: { destination: "/admin", permanent: false } };
+  }
+
+  const transcript = await getTranscriptStore().getTranscript(params.sessionId);
+  if (!transcript) return { notFound: true };
+  return { props: { transcript } };
+};
@@ -0,0 +1,39 @@
+// This is a serverless function that signs admins in and out of the /admin
+// dashboard:
+// - POST { token } checks the token against ADMIN_TOKEN and sets the admin
+//   session cookie (see lib/auth.js).
+// - DELETE clears the cookie.
+// Sign-in attempts count against the per-IP rate limit, so the token can't
+// be guessed quickly.
+
+// Import the admin session helpers.
+import { clearAdminCookie, createAdminCookie, safeEqual } from "../../../lib/auth";
+// Import the per-IP rate limiter.
+import { applyRateLimit } from "../../../lib/rateLimit";
+
+export default async function handler(req, res) {
+  // Only allow POST and DELETE requests.
+  if (!["POST", "DELETE"].includes(req.method)) {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  if (req.method === "DELETE") {
+    res.setHeader("Set-Cookie", clearAdminCookie());
+    return res.status(200).json({ ok: true });
+  }
+
+  const adminToken = process.env.ADMIN_TOKEN;
+  if (!adminToken) {
+    return res.status(503).json({ error: "Admin API disabled: set ADMIN_TOKEN to enable it" });
+  }
+
+  if (!(await applyRateLimit(req, res))) return;
+
+  const token = req.body && typeof req.body.token === "string" ? req.body.token : "";
+  if (!token || !safeEqual(token, adminToken)) {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+
+  res.setHeader("Set-Cookie", createAdminCookie());
+  res.status(200).json({ ok: true });
+}
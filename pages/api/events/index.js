@@ -0,0 +1,48 @@
+// This is a serverless function that records analytics events.
+// The chat sends them in batches (see lib/analytics.js); each event is
+// checked against its type's schema and stored (see lib/events.js).
+// Invalid events are skipped and counted in the response.
+
+// Import the CORS origin check.
+import { applyCors } from "../../../lib/cors";
+// Import the per-IP rate limiter, so the event store can't be flooded.
+import { applyRateLimit } from "../../../lib/rateLimit";
+// Import the event store.
+import { isAnalyticsEnabled, recordEvents } from "../../../lib/events";
+
+export default async function handler(req, res) {
+  // Set CORS headers for allowed origins, answer preflight OPTIONS requests
+  // and reject other sites (see lib/cors.js).
+  if (!applyCors(req, res, { methods: "POST, OPTIONS" })) return;
+
+  // Only allow POST requests.
+  if (req.method !== "POST") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  if (!isAnalyticsEnabled()) {
+    return res.status(503).json({ error: "Analytics disabled" });
+  }
+
+  // Counted apart from the chat's messages (the chat sends a batch every few seconds).
+  if (!(await applyRateLimit(req, res, { scope: "events" }))) return;
+
+  try {
+    // sendBeacon() may deliver the batch as text: parse it here in that case.
+    const body = typeof req.body === "string" ? JSON.parse(req.body) : req.body;
+    const result = await recordEvents(body);
+    if (result.error) {
+      return res.status(400).json({ error: "Invalid events", details: [result.error] });
+    }
+    res.status(202).json(result);
+  } catch (error) {
+    if (error instanceof SyntaxError) {
+      return res.status(400).json({ error: "Invalid events", details: ["Body must be JSON"] });
+    }
+    // Log the error for debugging purposes.
+    console.error("Error recording events:", error);
+    res
+      .status(500)
+      .json({ error: "Internal Server Error", details: error.message });
+  }
+}
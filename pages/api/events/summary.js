@@ -0,0 +1,38 @@
+// This is a serverless function that summarizes the analytics events:
+// counts per type, the drop-off funnel, pill hovers and clicks, reply
+// latency and the most common errors (see lib/events.js).
+// It requires the admin token (see lib/auth.js).
+//
+// Optional query parameters: ?persona=<id> and ?since=<ISO date>.
+
+// Import the admin check and the event store.
+import { requireAdmin } from "../../../lib/auth";
+import { isAnalyticsEnabled, summarizeEvents } from "../../../lib/events";
+
+export default async function handler(req, res) {
+  // Only allow GET requests.
+  if (req.method !== "GET") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  if (!requireAdmin(req, res)) return;
+
+  if (!isAnalyticsEnabled()) {
+    return res.status(503).json({ error: "Analytics disabled" });
+  }
+
+  try {
+    const { persona, since } = req.query;
+    const summary = await summarizeEvents({
+      persona: typeof persona === "string" ? persona : undefined,
+      since: typeof since === "string" ? since : undefined,
+    });
+    res.status(200).json(summary);
+  } catch (error) {
+    // Log the error for debugging purposes.
+    console.error("Error summarizing events:", error);
+    res
+      .status(500)
+      .json({ error: "Internal Server Error", details: error.message });
+  }
+}
@@ -0,0 +1,111 @@
+// This is a serverless function that records like/dislike feedback.
+// Every vote from the chat component is appended to the local "feedback"
+// collection together with the answer and the prompt that produced it,
+// so we can later review which answers the agent gets wrong.
+
+// Import the CORS origin check.
+import { applyCors } from "../../lib/cors";
+// Import the persona lookup (for the allowed dislike reasons).
+import { DEFAULT_PERSONA, getPersona } from "../../lib/personas";
+// Import the per-IP rate limiter, so the store can't be flooded.
+import { applyRateLimit } from "../../lib/rateLimit";
+// Import the local file-backed store.
+import { appendRecord } from "../../lib/store";
+// Import the user/session id rule shared with the proxy.
+import { isValidId } from "../../lib/validation";
+
+// The votes a visitor can cast. "clear" records that a vote was taken back.
+const VOTES = ["like", "dislike", "clear"];
+
+// Upper bound for the free-text comment so the store can't be flooded.
+const MAX_COMMENT_LENGTH = 1000;
+// Upper bounds for the answer and the prompt saved with the vote (the same
+// bound the proxy puts on each earlier message it accepts).
+const MAX_MESSAGE_LENGTH = 20000;
+const MAX_PROMPT_LENGTH = 20000;
+
+/**
+ * Checks the request body and returns a list of problems (empty when valid).
+ * @param {Object} body - The parsed request body.
+ * @returns {string[]} Human-readable validation errors.
+ */
+const validateFeedback = (body) => {
+  const errors = [];
+  if (!body || typeof body !== "object") return ["Body must be a JSON object"];
+
+  const persona = getPersona(body.persona || DEFAULT_PERSONA);
+  if (!persona) return ["persona is not a known persona"];
+
+  if (!VOTES.includes(body.vote)) {
+    errors.push(`vote must be one of: ${VOTES.join(", ")}`);
+  }
+  if (!isValidId(body.user_id)) {
+    errors.push("user_id must be 1-32 letters, digits, '-' or '_'");
+  }
+  if (!isValidId(body.session_id)) {
+    errors.push("session_id must be 1-32 letters, digits, '-' or '_'");
+  }
+  if (typeof body.message !== "string" || body.message.length > MAX_MESSAGE_LENGTH) {
+    errors.push(`message must be a string of at most ${MAX_MESSAGE_LENGTH} characters`);
+  }
+  if (
+    body.prompt != null &&
+    (typeof body.prompt !== "string" || body.prompt.length > MAX_PROMPT_LENGTH)
+  ) {
+    errors.push(`prompt must be a string of at most ${MAX_PROMPT_LENGTH} characters`);
+  }
+  if (body.reason != null && !(persona.feedbackReasons || []).includes(body.reason)) {
+    errors.push("reason is not one of the configured feedback reasons");
+  }
+  if (
+    body.comment != null &&
+    (typeof body.comment !== "string" || body.comment.length > MAX_COMMENT_LENGTH)
+  ) {
+    errors.push(`comment must be a string of at most ${MAX_COMMENT_LENGTH} characters`);
+  }
+  return errors;
+};
+
+export default async function handler(req, res) {
+  // Set CORS headers for allowed origins, answer preflight OPTIONS requests
+  // and reject other sites (see lib/cors.js).
+  if (!applyCors(req, res, { methods: "POST, OPTIONS" })) return;
+
+  // Only allow POST requests.
+  if (req.method !== "POST") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  // Counted apart from the chat's messages, like /api/events.
+  if (!(await applyRateLimit(req, res, { scope: "feedback" }))) return;
+
+  const body = req.body;
+  const errors = validateFeedback(body);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: "Invalid feedback", details: errors });
+  }
+
+  try {
+    // Only keep the fields we know about.
+    const record = await appendRecord("feedback", {
+      persona: body.persona || DEFAULT_PERSONA,
+      vote: body.vote,
+      reason: body.reason || null,
+      comment: body.comment ? body.comment.trim() : null,
+      message: body.message,
+      prompt: body.prompt || null,
+      message_index: Number.isInteger(body.message_index) ? body.message_index : null,
+      user_id: body.user_id,
+      session_id: body.session_id,
+      created_at: new Date().toISOString(),
+    });
+
+    res.status(201).json({ ok: true, created_at: record.created_at });
+  } catch (error) {
+    // Log the error for debugging purposes.
+    console.error("Error in feedback function:", error);
+    res
+      .status(500)
+      .json({ error: "Internal Server Error", details: error.message });
+  }
+}
@@ -0,0 +1,18 @@
+// This is a serverless function that runs on Vercel.
+// It forwards chat messages to the flow of the persona named in the URL:
+// /api/proxy/<persona>. The actual work happens in lib/proxy.js.
+
+// Import the shared proxy logic.
+import { handleProxyRequest } from "../../../lib/proxy";
+
+export default function handler(req, res) {
+  return handleProxyRequest(req, res, req.query.persona);
+}
+
+// The body is read by lib/multipart.js instead of Next's parser, so that
+// messages with attachments can be uploaded as multipart/form-data.
+export const config = {
+  api: {
+    bodyParser: false,
+  },
+};
@@ -0,0 +1,19 @@
+// This is a serverless function that runs on Vercel.
+// It forwards chat messages to the flow of the default persona.
+// The actual work happens in lib/proxy.js.
+
+// Import the shared proxy logic and the default persona id.
+import { handleProxyRequest } from "../../../lib/proxy";
+import { DEFAULT_PERSONA } from "../../../lib/personas";
+
+export default function handler(req, res) {
+  return handleProxyRequest(req, res, DEFAULT_PERSONA);
+}
+
+// The body is read by lib/multipart.js instead of Next's parser, so that
+// messages with attachments can be uploaded as multipart/form-data.
+export const config = {
+  api: {
+    bodyParser: false,
+  },
+};
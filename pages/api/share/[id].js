@@ -0,0 +1,53 @@
+// This is a serverless function for one shared conversation:
+// - GET returns the snapshot (anyone with the link may read it).
+// - DELETE revokes it. The request must send the revoke token returned when
+//   the share was created (or the admin token) as "Authorization: Bearer <token>".
+
+// Import the CORS origin check.
+import { applyCors } from "../../../lib/cors";
+// Import the token helpers.
+import { getBearerToken, isAdminRequest } from "../../../lib/auth";
+// Import the share store.
+import { getShare, revokeShare } from "../../../lib/shares";
+
+export default async function handler(req, res) {
+  // Set CORS headers for allowed origins, answer preflight OPTIONS requests
+  // and reject other sites (see lib/cors.js).
+  if (!applyCors(req, res, { methods: "GET, DELETE, OPTIONS" })) return;
+
+  // Only allow GET and DELETE requests.
+  if (!["GET", "DELETE"].includes(req.method)) {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  try {
+    // The share id comes from the URL: /api/share/<id>
+    const { id } = req.query;
+
+    if (req.method === "GET") {
+      const share = await getShare(id);
+      if (!share) {
+        return res.status(404).json({ error: "Share not found" });
+      }
+      return res.status(200).json(share);
+    }
+
+    const result = await revokeShare(id, {
+      revokeToken: getBearerToken(req),
+      isAdmin: isAdminRequest(req),
+    });
+    if (result === "not_found") {
+      return res.status(404).json({ error: "Share not found" });
+    }
+    if (result === "forbidden") {
+      return res.status(403).json({ error: "Invalid revoke token" });
+    }
+    res.status(200).json({ ok: true });
+  } catch (error) {
+    // Log the error for debugging purposes.
+    console.error("Error handling share:", error);
+    res
+      .status(500)
+      .json({ error: "Internal Server Error", details: error.message });
+  }
+}
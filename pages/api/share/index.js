@@ -0,0 +1,46 @@
+// This is a serverless function that creates a shareable, read-only link to
+// a conversation. The chat sends a snapshot of the open thread; only the
+// messages are kept (see lib/shares.js), never the session or user ids.
+// The response holds the link and a revoke token for DELETE /api/share/<id>.
+
+// Import the CORS origin check.
+import { applyCors } from "../../../lib/cors";
+// Import the per-IP rate limiter, so the store can't be flooded.
+import { applyRateLimit } from "../../../lib/rateLimit";
+// Import the share store.
+import { createShare, validateSharePayload } from "../../../lib/shares";
+
+export default async function handler(req, res) {
+  // Set CORS headers for allowed origins, answer preflight OPTIONS requests
+  // and reject other sites (see lib/cors.js).
+  if (!applyCors(req, res, { methods: "POST, OPTIONS" })) return;
+
+  // Only allow POST requests.
+  if (req.method !== "POST") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  // Counted apart from the chat's messages, like /api/feedback.
+  if (!(await applyRateLimit(req, res, { scope: "share" }))) return;
+
+  const { value, errors } = validateSharePayload(req.body);
+  if (errors) {
+    return res.status(400).json({ error: "Invalid share", fields: errors });
+  }
+
+  try {
+    const { share, revokeToken } = await createShare(value);
+    res.status(201).json({
+      id: share.id,
+      url: `/share/${share.id}`,
+      revoke_token: revokeToken,
+      expires_at: share.expires_at,
+    });
+  } catch (error) {
+    // Log the error for debugging purposes.
+    console.error("Error creating share:", error);
+    res
+      .status(500)
+      .json({ error: "Internal Server Error", details: error.message });
+  }
+}
@@ -0,0 +1,31 @@
+// This is a serverless function that returns the transcript of one session.
+// It requires the admin token (see lib/auth.js) because transcripts contain
+// everything visitors typed.
+
+// Import the admin check and the transcript store.
+import { requireAdmin } from "../../../lib/auth";
+import { getTranscriptStore } from "../../../lib/transcripts";
+
+export default async function handler(req, res) {
+  // Only allow GET requests.
+  if (req.method !== "GET") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  if (!requireAdmin(req, res)) return;
+
+  try {
+    // The session id comes from the URL: /api/transcripts/<sessionId>
+    const transcript = await getTranscriptStore().getTranscript(req.query.sessionId);
+    if (!transcript) {
+      return res.status(404).json({ error: "Transcript not found" });
+    }
+    res.status(200).json(transcript);
+  } catch (error) {
+    // Log the error for debugging purposes.
+    console.error("Error fetching transcript:", error);
+    res
+      .status(500)
+      .json({ error: "Internal Server Error", details: error.message });
+  }
+}
@@ -0,0 +1,28 @@
+// This is a serverless function that lists the recorded chat sessions.
+// It requires the admin token (see lib/auth.js) because transcripts contain
+// everything visitors typed.
+
+// Import the admin check and the transcript store.
+import { requireAdmin } from "../../../lib/auth";
+import { getTranscriptStore } from "../../../lib/transcripts";
+
+export default async function handler(req, res) {
+  // Only allow GET requests.
+  if (req.method !== "GET") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  if (!requireAdmin(req, res)) return;
+
+  try {
+    // Sessions are returned most recent first.
+    const sessions = await getTranscriptStore().listSessions();
+    res.status(200).json({ sessions });
+  } catch (error) {
+    // Log the error for debugging purposes.
+    console.error("Error listing transcripts:", error);
+    res
+      .status(500)
+      .json({ error: "Internal Server Error", details: error.message });
+  }
+}
@@ -0,0 +1,54 @@
+// =============================================================================
+// Persona Page
+//
+// Renders the chat for one persona at /p/<persona>.
+// Personas are registered in config/personas/index.js.
+// =============================================================================
+
+// Import the chat component, the persona helpers, the analytics switch and
+// the message, attachment and history limits.
+import AgentComponent from "../../components/AgentComponent";
+import { getPersona, listPersonaIds, toPublicConfig } from "../../lib/personas";
+import { isAnalyticsEnabled } from "../../lib/events";
+import { getAttachmentLimits, getHistoryLimits, getMaxMessageLength } from "../../lib/validation";
+
+/**
+ * Renders one persona's chat.
+ * @param {Object} props - Provided by getStaticProps: the persona id, its config, the
+ *   analytics switch and the message, attachment and history limits (see lib/validation.js).
+ * @returns {JSX.Element} The chat page.
+ */
+export default function PersonaPage({ persona, config, analytics, maxMessageLength, attachmentLimits, historyLimits }) {
+  return (
+    <AgentComponent
+      persona={persona}
+      config={config}
+      analytics={analytics}
+      maxMessageLength={maxMessageLength}
+      attachmentLimits={attachmentLimits}
+      historyLimits={historyLimits}
+    />
+  );
+}
+
+/**
+ * Pre-renders a page for every registered persona; any other id is a 404.
+ */
+export const getStaticPaths = () => ({
+  paths: listPersonaIds().map((persona) => ({ params: { persona } })),
+  fallback: false,
+});
+
+/**
+ * Passes only the browser-safe part of the persona config to the page.
+ */
+export const getStaticProps = ({ params }) => ({
+  props: {
+    persona: params.persona,
+    config: toPublicConfig(getPersona(params.persona), params.persona),
+    analytics: isAnalyticsEnabled(),
+    maxMessageLength: getMaxMessageLength(),
+    attachmentLimits: getAttachmentLimits(),
+    historyLimits: getHistoryLimits(),
+  },
+});
@@ -0,0 +1,131 @@
+// =============================================================================
+// Shared Conversation Page
+//
+// Shows a conversation shared with the chat's "Share" action at /share/<id>
+// (see lib/shares.js). The page is read-only: it uses the same bubbles and
+// theme as the chat of the persona, without the input or the feedback icons.
+// Unknown, expired and revoked shares are a 404. The texts are in the
+// visitor's language (see lib/i18n.js), picked on the server.
+// =============================================================================
+
+// Import Head to keep shared conversations out of search engines.
+import Head from "next/head";
+// Import the message bubble shared with the chat.
+import MessageBubble from "../../components/MessageBubble";
+// Import the persona helpers and the share store.
+import { DEFAULT_PERSONA, getPersona, toPublicConfig } from "../../lib/personas";
+import { getShare } from "../../lib/shares";
+// Import the translations (persona texts can be set per language too).
+import {
+  I18nContext,
+  createTranslator,
+  detectLocale,
+  getDirection,
+  localize,
+  parseAcceptLanguage,
+} from "../../lib/i18n";
+// Import the theme tokens (see lib/theme.js).
+import { buildThemeCss, themeVar } from "../../lib/theme";
+
+/**
+ * Renders one shared conversation.
+ * @param {{share: Object, persona: string, config: Object, locale: string}} props - Provided by getServerSideProps.
+ * @returns {JSX.Element} The page.
+ */
+export default function SharePage({ share, persona, config, locale }) {
+  const t = createTranslator(locale);
+  const dir = getDirection(locale);
+  const themeClass = `chai-theme-${persona}`;
+  const title = share.title || localize(config.header.title, locale) || t("share.page.title");
+  const chatLink = persona === DEFAULT_PERSONA ? "/" : `/p/${persona}`;
+
+  const noteStyle = {
+    color: themeVar("subtleTextColor"),
+    fontFamily: themeVar("fontFamily"),
+    fontSize: "12px",
+  };
+
+  return (
+    <I18nContext.Provider value={{ locale, dir, t }}>
+      <div
+        className={themeClass}
+        lang={locale}
+        dir={dir}
+        style={{
+          display: "flex",
+          justifyContent: "center",
+          padding: "20px",
+          fontFamily: themeVar("fontFamily"),
+        }}
+      >
+        <Head>
+          <title>{title}</title>
+          <meta name="robots" content="noindex" />
+        </Head>
+
+        {/* THEME - the persona's --chai-* custom properties, as in the chat */}
+        <style dangerouslySetInnerHTML={{ __html: buildThemeCss(config.theme, `.${themeClass}`) }} />
+
+        <div
+          style={{
+            display: "flex",
+            flexDirection: "column",
+            gap: themeVar("messageGap"),
+            width: "100%",
+            maxWidth: `${config.layout.cardWidth}px`,
+            padding: themeVar("cardPadding"),
+            boxSizing: "border-box",
+            background: themeVar("backgroundColor"),
+            color: themeVar("textColor"),
+            border: `1px solid ${themeVar("cardBorderColor")}`,
+            borderRadius: themeVar("cardRadius"),
+            boxShadow: themeVar("cardShadow"),
+          }}
+        >
+          {/* HEADER - the share title and when it was shared */}
+          <div style={{ marginBottom: "12px" }}>
+            <h1 style={{ margin: 0, fontSize: "18px", fontWeight: 700, color: themeVar("textColor") }}>
+              {title}
+            </h1>
+            <span style={noteStyle}>
+              {/* Dates as YYYY-MM-DD, so the server and browser render the same text */}
+              {t("share.page.shared", { date: share.created_at.slice(0, 10) })}
+              {share.expires_at && ` · ${t("share.page.availableUntil", { date: share.expires_at.slice(0, 10) })}`}
+            </span>
+          </div>
+
+          {/* MESSAGES - read-only, in the chat's bubbles */}
+          {share.messages.map((msg, index) => (
+            <MessageBubble key={index} message={msg} />
+          ))}
+
+          {/* FOOTER - a way into the chat itself */}
+          <a href={chatLink} style={{ ...noteStyle, marginTop: "16px", color: themeVar("accentColor") }}>
+            {t("share.page.startChat")}
+          </a>
+        </div>
+      </div>
+    </I18nContext.Provider>
+  );
+}
+
+/**
+ * Loads the share on every request, so revoked and expired shares disappear
+ * right away. Only the browser-safe part of the persona config is passed on.
+ * The locale comes from ?lang=, the persona's setting or the browser's
+ * languages, as in the chat.
+ */
+export const getServerSideProps = async ({ params, query, req }) => {
+  const share = await getShare(params.id);
+  if (!share) return { notFound: true };
+
+  // The persona may have been removed since: fall back to the default one.
+  const persona = getPersona(share.persona) ? share.persona : DEFAULT_PERSONA;
+  const config = toPublicConfig(getPersona(persona), persona);
+  const locale = detectLocale({
+    requested: query.lang,
+    configured: config.locale,
+    preferred: parseAcceptLanguage(req.headers["accept-language"]),
+  });
+  return { props: { share, persona, config, locale } };
+};
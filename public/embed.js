@@ -0,0 +1,354 @@
+// =============================================================================
+// Chat Agent Embed Loader
+//
+// Drop this script into any web page (e.g. a Google Sites "Embed code" block)
+// to add a floating chat bubble. Clicking the bubble opens the chat page of
+// this deployment in an iframe panel: a card above the bubble on desktop, and
+// full screen on phones.
+//
+// Usage:
+//
+//   <script
+//     src="https://your-vercel-deployment-url.vercel.app/embed.js"
+//     data-chai-agent
+//     data-persona="chai"
+//     data-position="bottom-right"
+//     data-color="#FF6B9D"
+//     data-greeting="Hi! Ask me anything."
+//     async
+//   ></script>
+//
+// Options (all optional, set as data attributes on the script tag):
+// - data-persona:    the persona to open (default: the default persona).
+// - data-position:   "bottom-right" (default) or "bottom-left".
+// - data-color:      the bubble's background color (default: #FF6B9D).
+// - data-icon-color: the bubble icon's color (default: #FFFFFF).
+// - data-greeting:   a tooltip shown next to the bubble until the chat is opened.
+// - data-width / data-height: the panel size on desktop, in pixels (default: 400 x 640).
+// - data-lang:       the chat's language, e.g. "es" (default: the visitor's browser language).
+//
+// Whether the panel is open is remembered (per persona) in the host page's
+// localStorage, so it stays open while visitors move between pages.
+//
+// The script also exposes window.ChaiAgent so the host page can drive the chat
+// and react to it (through the postMessage bridge, see lib/bridge.js). The host
+// page's origin must be listed in the persona's `bridge.allowedOrigins`.
+//
+//   ChaiAgent.open();  ChaiAgent.close();
+//   ChaiAgent.prefill("Tell me about your work");
+//   ChaiAgent.send("What is your design process?");
+//   ChaiAgent.reset();
+//   ChaiAgent.setContext({ page: "pricing" });
+//   ChaiAgent.setTheme({ accentColor: "#0057FF" });
+//   ChaiAgent.on("reply_received", function (payload) { ... });
+//
+// Events: "ready", "message_sent", "reply_received", "feedback", "error".
+// The script has no dependencies and is written in plain ES5 so it runs on
+// any host page.
+// =============================================================================
+
+(function () {
+  // Find our own <script> tag to read its options.
+  var script =
+    document.currentScript || document.querySelector("script[data-chai-agent]");
+  if (!script || window.__chaiAgentLoaded) return;
+  // Only load once, even if the snippet is pasted twice.
+  window.__chaiAgentLoaded = true;
+
+  // The chat pages are served from the same deployment as this script.
+  var baseUrl = new URL(script.src, window.location.href).origin;
+
+  var options = {
+    persona: script.getAttribute("data-persona") || "",
+    position: script.getAttribute("data-position") === "bottom-left" ? "left" : "right",
+    color: script.getAttribute("data-color") || "#FF6B9D",
+    iconColor: script.getAttribute("data-icon-color") || "#FFFFFF",
+    greeting: script.getAttribute("data-greeting") || "",
+    width: parseInt(script.getAttribute("data-width"), 10) || 400,
+    height: parseInt(script.getAttribute("data-height"), 10) || 640,
+    lang: script.getAttribute("data-lang") || "",
+  };
+
+  // The chat page to load: /p/<persona>, or the root page for the default persona.
+  var chatUrl =
+    baseUrl +
+    (options.persona ? "/p/" + encodeURIComponent(options.persona) : "/") +
+    "?embed=1" +
+    (options.lang ? "&lang=" + encodeURIComponent(options.lang) : "");
+
+  // localStorage keys (the host page's storage, so they survive page views).
+  var OPEN_KEY = "chaiAgent:open:" + (options.persona || "default");
+  var GREETED_KEY = "chaiAgent:greeted:" + (options.persona || "default");
+
+  /**
+   * Reads a value from localStorage, ignoring storage errors
+   * (e.g. disabled storage in some private browsing modes).
+   * @param {string} key
+   * @returns {string|null}
+   */
+  function readStorage(key) {
+    try {
+      return window.localStorage.getItem(key);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Writes a value to localStorage, ignoring storage errors.
+   * @param {string} key
+   * @param {string} value
+   */
+  function writeStorage(key, value) {
+    try {
+      window.localStorage.setItem(key, value);
+    } catch (e) {
+      // Nothing to do: the state just won't be remembered.
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Styles
+  // ---------------------------------------------------------------------------
+  // Every class is prefixed with "chai-agent-" to avoid clashing with the host page.
+  var side = options.position;
+  var css =
+    ".chai-agent-bubble{position:fixed;bottom:20px;" + side + ":20px;width:56px;height:56px;" +
+    "border-radius:28px;border:none;padding:0;cursor:pointer;z-index:2147483000;" +
+    "display:flex;align-items:center;justify-content:center;" +
+    "box-shadow:0 4px 16px rgba(0,0,0,0.2);transition:transform 0.2s;}" +
+    ".chai-agent-bubble:hover{transform:scale(1.05);}" +
+    ".chai-agent-bubble:focus-visible{outline:3px solid rgba(0,0,0,0.4);outline-offset:2px;}" +
+    ".chai-agent-panel{position:fixed;bottom:88px;" + side + ":20px;" +
+    "width:" + options.width + "px;height:" + options.height + "px;" +
+    "max-width:calc(100vw - 40px);max-height:calc(100vh - 108px);" +
+    "border-radius:16px;overflow:hidden;background:#FFFFFF;z-index:2147483000;" +
+    "box-shadow:0 8px 32px rgba(0,0,0,0.12),0 2px 8px rgba(0,0,0,0.08);display:none;}" +
+    ".chai-agent-panel.chai-agent-open{display:block;}" +
+    ".chai-agent-panel iframe{width:100%;height:100%;border:0;display:block;}" +
+    ".chai-agent-close{display:none;position:absolute;top:8px;" + side + ":8px;width:32px;height:32px;" +
+    "border-radius:16px;border:none;background:rgba(0,0,0,0.06);cursor:pointer;font-size:18px;line-height:32px;z-index:1;}" +
+    ".chai-agent-greeting{position:fixed;bottom:32px;" + side + ":88px;max-width:240px;" +
+    "padding:10px 14px;border-radius:13px;background:#FFFFFF;color:#000000;" +
+    "font:14px/1.3 Arial,sans-serif;box-shadow:0 4px 16px rgba(0,0,0,0.15);" +
+    "z-index:2147483000;cursor:pointer;}" +
+    // Phones: the panel takes the whole screen and gets its own close button.
+    "@media (max-width:480px){" +
+    ".chai-agent-panel{top:0;left:0;right:0;bottom:0;width:100%;height:100%;" +
+    "max-width:none;max-height:none;border-radius:0;}" +
+    ".chai-agent-close{display:block;}" +
+    ".chai-agent-open~.chai-agent-bubble{display:none;}" +
+    "}";
+
+  var style = document.createElement("style");
+  style.appendChild(document.createTextNode(css));
+  document.head.appendChild(style);
+
+  // ---------------------------------------------------------------------------
+  // Elements
+  // ---------------------------------------------------------------------------
+  var CHAT_ICON =
+    '<svg xmlns="http://www.w3.org/2000/svg" width="26" height="26" viewBox="0 0 24 24" fill="none" aria-hidden="true">' +
+    '<path d="M4 4h16a1 1 0 0 1 1 1v11a1 1 0 0 1-1 1H9l-5 4v-4H4a1 1 0 0 1-1-1V5a1 1 0 0 1 1-1z" ' +
+    'stroke="' + options.iconColor + '" stroke-width="2" stroke-linejoin="round"/></svg>';
+  var CLOSE_ICON =
+    '<svg xmlns="http://www.w3.org/2000/svg" width="22" height="22" viewBox="0 0 24 24" fill="none" aria-hidden="true">' +
+    '<path d="M6 6l12 12M18 6L6 18" stroke="' + options.iconColor + '" stroke-width="2" stroke-linecap="round"/></svg>';
+
+  var panel = document.createElement("div");
+  panel.className = "chai-agent-panel";
+  panel.setAttribute("role", "dialog");
+  panel.setAttribute("aria-label", "Chat");
+
+  var closeButton = document.createElement("button");
+  closeButton.className = "chai-agent-close";
+  closeButton.type = "button";
+  closeButton.setAttribute("aria-label", "Close chat");
+  closeButton.innerHTML = "&times;";
+  panel.appendChild(closeButton);
+
+  var bubble = document.createElement("button");
+  bubble.className = "chai-agent-bubble";
+  bubble.type = "button";
+  bubble.style.background = options.color;
+
+  var greeting = null;
+  if (options.greeting && !readStorage(GREETED_KEY)) {
+    greeting = document.createElement("div");
+    greeting.className = "chai-agent-greeting";
+    greeting.textContent = options.greeting;
+  }
+
+  // The iframe is only created the first time the panel opens,
+  // so host pages don't pay for the chat until it is used.
+  var iframe = null;
+
+  /**
+   * Creates the chat iframe if it doesn't exist yet.
+   */
+  function ensureIframe() {
+    if (iframe) return;
+    iframe = document.createElement("iframe");
+    iframe.src = chatUrl;
+    iframe.title = "Chat";
+    iframe.setAttribute("allow", "clipboard-write");
+    // Fallback in case the chat can't tell who embeds it and never says "ready".
+    iframe.addEventListener("load", function () {
+      setTimeout(flushCommands, 1000);
+    });
+    panel.appendChild(iframe);
+  }
+
+  /**
+   * Opens or closes the panel and remembers the choice.
+   * @param {boolean} open
+   */
+  function setOpen(open) {
+    if (open) ensureIframe();
+
+    panel.className = open ? "chai-agent-panel chai-agent-open" : "chai-agent-panel";
+    bubble.innerHTML = open ? CLOSE_ICON : CHAT_ICON;
+    bubble.setAttribute("aria-label", open ? "Close chat" : "Open chat");
+    bubble.setAttribute("aria-expanded", open ? "true" : "false");
+    writeStorage(OPEN_KEY, open ? "1" : "0");
+
+    // The greeting is only shown until the chat has been opened once.
+    if (open && greeting) {
+      if (greeting.parentNode) greeting.parentNode.removeChild(greeting);
+      greeting = null;
+      writeStorage(GREETED_KEY, "1");
+    }
+  }
+
+  bubble.addEventListener("click", function () {
+    setOpen(panel.className.indexOf("chai-agent-open") === -1);
+  });
+  closeButton.addEventListener("click", function () {
+    setOpen(false);
+    bubble.focus();
+  });
+  // Escape closes the panel.
+  document.addEventListener("keydown", function (event) {
+    if (event.key === "Escape" && panel.className.indexOf("chai-agent-open") !== -1) {
+      setOpen(false);
+      bubble.focus();
+    }
+  });
+
+  // ---------------------------------------------------------------------------
+  // Bridge (host page <-> chat), see lib/bridge.js for the message schema
+  // ---------------------------------------------------------------------------
+  var BRIDGE_SOURCE = "chai-agent";
+  var BRIDGE_VERSION = 1;
+
+  // Commands wait here until the chat says it is ready.
+  var pendingCommands = [];
+  var chatReady = false;
+  // Event listeners registered with ChaiAgent.on(), by event name.
+  var listeners = {};
+
+  /**
+   * Posts the queued commands to the chat.
+   */
+  function flushCommands() {
+    if (!iframe || !iframe.contentWindow) return;
+    chatReady = true;
+    while (pendingCommands.length > 0) {
+      iframe.contentWindow.postMessage(pendingCommands.shift(), baseUrl);
+    }
+  }
+
+  /**
+   * Sends a command to the chat, loading it first if needed.
+   * @param {string} name - The command name.
+   * @param {Object} payload - The command data.
+   */
+  function sendCommand(name, payload) {
+    ensureIframe();
+    pendingCommands.push({
+      source: BRIDGE_SOURCE,
+      version: BRIDGE_VERSION,
+      kind: "command",
+      name: name,
+      payload: payload || {},
+    });
+    if (chatReady) flushCommands();
+  }
+
+  // Relay events from the chat to the listeners.
+  window.addEventListener("message", function (event) {
+    var message = event.data;
+    if (!iframe || event.source !== iframe.contentWindow || event.origin !== baseUrl) return;
+    if (!message || message.source !== BRIDGE_SOURCE || message.kind !== "event") return;
+
+    if (message.name === "ready") flushCommands();
+
+    var handlers = listeners[message.name] || [];
+    for (var i = 0; i < handlers.length; i++) {
+      try {
+        handlers[i](message.payload || {});
+      } catch (e) {
+        // A broken listener on the host page shouldn't stop the others.
+        if (window.console) window.console.error(e);
+      }
+    }
+  });
+
+  // The public API for the host page.
+  window.ChaiAgent = {
+    version: BRIDGE_VERSION,
+    open: function () {
+      setOpen(true);
+    },
+    close: function () {
+      setOpen(false);
+    },
+    prefill: function (text) {
+      setOpen(true);
+      sendCommand("prefill", { text: text });
+    },
+    send: function (text) {
+      setOpen(true);
+      sendCommand("send", { text: text });
+    },
+    reset: function () {
+      sendCommand("reset", {});
+    },
+    setContext: function (context) {
+      sendCommand("setContext", { context: context });
+    },
+    setTheme: function (theme) {
+      sendCommand("setTheme", { theme: theme });
+    },
+    on: function (name, handler) {
+      (listeners[name] = listeners[name] || []).push(handler);
+    },
+    off: function (name, handler) {
+      listeners[name] = (listeners[name] || []).filter(function (h) {
+        return h !== handler;
+      });
+    },
+  };
+
+  /**
+   * Adds the elements to the page (the panel must come before the bubble
+   * so the mobile CSS can hide the bubble while the panel is open).
+   */
+  function mount() {
+    document.body.appendChild(panel);
+    document.body.appendChild(bubble);
+    if (greeting) {
+      greeting.addEventListener("click", function () {
+        setOpen(true);
+      });
+      document.body.appendChild(greeting);
+    }
+    setOpen(readStorage(OPEN_KEY) === "1");
+  }
+
+  if (document.body) {
+    mount();
+  } else {
+    document.addEventListener("DOMContentLoaded", mount);
+  }
+})();
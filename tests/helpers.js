@@ -0,0 +1,52 @@
+// helpers.js
+// =============================================================================
+// Test Helpers
+// =============================================================================
+// Runs the API handlers in a plain Node HTTP server, so the tests talk to them
+// over real connections (streams, early error responses, aborted requests)
+// without starting Next.
+// =============================================================================
+
+import http from "http";
+
+/**
+ * Adds the response helpers Next gives API routes (res.status and res.json).
+ * @param {import("http").ServerResponse} res
+ * @returns {import("http").ServerResponse} The same response.
+ */
+const withApiHelpers = (res) => {
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.setHeader("Content-Type", "application/json; charset=utf-8");
+    res.end(JSON.stringify(body));
+    return res;
+  };
+  return res;
+};
+
+/**
+ * Starts a server on a free port that hands every request to `handler`.
+ * @param {(req: import("http").IncomingMessage, res: import("http").ServerResponse) => Promise<void>} handler
+ * @returns {Promise<{url: string, close: () => Promise<void>}>} The server's base URL.
+ */
+export const startServer = async (handler) => {
+  const server = http.createServer((req, res) => {
+    handler(req, withApiHelpers(res)).catch((error) => {
+      res.statusCode = 500;
+      res.end(error.message);
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const { port } = server.address();
+  return {
+    url: `http://127.0.0.1:${port}`,
+    close: () =>
+      new Promise((resolve) => {
+        server.closeAllConnections();
+        server.close(resolve);
+      }),
+  };
+};
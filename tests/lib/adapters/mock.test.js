@@ -0,0 +1,63 @@
+import { describe, expect, it } from "vitest";
+import mockAdapter from "../../../lib/adapters/mock";
+import { readSseStream } from "../../../lib/sse";
+
+/**
+ * Asks the mock backend, the way the proxy does.
+ * @param {string} content - The visitor's message.
+ * @param {Object} [options]
+ * @param {boolean} [options.stream]
+ * @param {Object[]} [options.attachments]
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<Response>}
+ */
+const ask = (content, { stream = false, attachments = [], signal } = {}) => {
+  const payload = { data: { message: { role: "user", content } }, stream };
+  const { url, init } = mockAdapter.buildRequest(payload, { personaId: "chai", attachments });
+  return mockAdapter.fetch(url, { ...init, signal });
+};
+
+describe("mock adapter", () => {
+  it("puts the visitor's message in the reply as typed", async () => {
+    const text = "costs $5 or $& or $1 or $$";
+    const data = await (await ask(text)).json();
+    expect(mockAdapter.parseResponse(data)).toContain(`"${text}"`);
+  });
+
+  it("names the attached files as given", async () => {
+    const data = await (await ask("see", { attachments: [{ name: "$&.png" }] })).json();
+    expect(mockAdapter.parseResponse(data)).toContain("**$&.png**");
+  });
+
+  it("answers with an error status when a fixture says so", async () => {
+    const response = await ask("mock error");
+    expect(response.status).toBe(500);
+  });
+
+  it("streams the reply without piling up listeners on the signal", async () => {
+    const { signal } = new AbortController();
+    const live = new Set();
+    const add = signal.addEventListener.bind(signal);
+    const remove = signal.removeEventListener.bind(signal);
+    signal.addEventListener = (type, listener, options) => {
+      if (type === "abort") live.add(listener);
+      add(type, listener, options);
+    };
+    signal.removeEventListener = (type, listener, options) => {
+      if (type === "abort") live.delete(listener);
+      remove(type, listener, options);
+    };
+
+    const response = await ask("a fairly long question with many words in it", {
+      stream: true,
+      signal,
+    });
+    let last = null;
+    await readSseStream(response.body, ({ data }) => {
+      last = JSON.parse(data);
+    });
+
+    expect(last.output_data.content).toContain("a fairly long question");
+    expect(live.size).toBe(0);
+  });
+});
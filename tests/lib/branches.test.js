@@ -0,0 +1,75 @@
+import { describe, expect, it } from "vitest";
+import { forkAt, historyForFork, switchBranch } from "../../lib/branches";
+
+/**
+ * Builds a conversation state from "role: content" lines.
+ * @param {string[]} lines
+ * @param {string} sessionId
+ * @returns {Object}
+ */
+const conversation = (lines, sessionId) => {
+  const messages = lines.map((line) => {
+    const [role, content] = line.split(": ");
+    return { role, content };
+  });
+  return { messages, feedback: messages.map(() => null), sessionId, branches: {} };
+};
+
+describe("forkAt and switchBranch", () => {
+  const start = conversation(["user: Hi", "agent: Hello", "user: Price?", "agent: $10"], "s1");
+
+  it("cuts the conversation back and keeps the old version", () => {
+    const forked = forkAt(start, 2, "s2");
+    expect(forked.messages).toEqual(start.messages.slice(0, 2));
+    expect(forked.sessionId).toBe("s2");
+    expect(forked.branches[2].active).toBe(1);
+    expect(forked.branches[2].versions[0].messages).toEqual(start.messages.slice(2));
+  });
+
+  it("pages between the versions and back", () => {
+    const forked = forkAt(start, 2, "s2");
+    const edited = {
+      ...forked,
+      messages: [...forked.messages, { role: "user", content: "Cost?" }, { role: "agent", content: "Ten" }],
+      feedback: [...forked.feedback, null, "up"],
+    };
+
+    const first = switchBranch(edited, 2, 0);
+    expect(first.messages).toEqual(start.messages);
+    expect(first.sessionId).toBe("s1");
+
+    const second = switchBranch(first, 2, 1);
+    expect(second.messages).toEqual(edited.messages);
+    expect(second.feedback).toEqual(edited.feedback);
+    expect(second.sessionId).toBe("s2");
+  });
+
+  it("leaves the state alone for unknown versions", () => {
+    const forked = forkAt(start, 2, "s2");
+    expect(switchBranch(forked, 2, 5)).toBe(forked);
+    expect(switchBranch(forked, 0, 0)).toBe(forked);
+  });
+});
+
+describe("historyForFork", () => {
+  it("leaves out errors and empty messages", () => {
+    const messages = [
+      { role: "user", content: "Hi" },
+      { role: "agent", content: "Oops", error: true },
+      { role: "agent", content: "" },
+      { role: "agent", content: "Hello" },
+    ];
+    expect(historyForFork(messages)).toEqual([
+      { role: "user", content: "Hi" },
+      { role: "assistant", content: "Hello" },
+    ]);
+  });
+
+  it("keeps the latest messages, shortened, within the limits", () => {
+    const messages = ["one", "two", "three"].map((content) => ({ role: "user", content }));
+    expect(historyForFork(messages, { maxMessages: 2, maxContentLength: 3 })).toEqual([
+      { role: "user", content: "two" },
+      { role: "user", content: "thr" },
+    ]);
+  });
+});
@@ -0,0 +1,50 @@
+import { describe, expect, it } from "vitest";
+import { MAX_CONTEXT_ENTRIES, cleanContext, createBridgeMessage } from "../../lib/bridge";
+
+describe("createBridgeMessage", () => {
+  it("wraps a payload in the versioned schema", () => {
+    expect(createBridgeMessage("event", "ready")).toEqual({
+      source: "chai-agent",
+      version: 1,
+      kind: "event",
+      name: "ready",
+      payload: {},
+    });
+  });
+});
+
+describe("cleanContext", () => {
+  it("keeps strings, finite numbers and booleans", () => {
+    const context = { page: "pricing", plan: 3, trial: false };
+    expect(cleanContext(context)).toEqual({ context, problems: [] });
+  });
+
+  it("drops values the proxy would refuse and says why", () => {
+    const { context, problems } = cleanContext({
+      page: "pricing",
+      user: { id: 1 },
+      tags: ["a"],
+      score: Number.NaN,
+      note: "x".repeat(501),
+      locale: "fr",
+    });
+    expect(context).toEqual({ page: "pricing" });
+    expect(problems).toHaveLength(5);
+    expect(problems.join(" ")).toMatch(/user: must be a string, number or boolean/);
+    expect(problems.join(" ")).toMatch(/note: must be at most 500 characters/);
+    expect(problems.join(" ")).toMatch(/locale: set by the chat/);
+  });
+
+  it("keeps at most MAX_CONTEXT_ENTRIES entries", () => {
+    const many = Object.fromEntries(Array.from({ length: MAX_CONTEXT_ENTRIES + 2 }, (_, i) => [`k${i}`, i]));
+    const { context, problems } = cleanContext(many);
+    expect(Object.keys(context)).toHaveLength(MAX_CONTEXT_ENTRIES);
+    expect(problems).toHaveLength(2);
+  });
+
+  it("treats a missing context as empty and refuses other shapes", () => {
+    expect(cleanContext(undefined)).toEqual({ context: {}, problems: [] });
+    expect(cleanContext(["a"])).toEqual({ context: {}, problems: ["context must be an object"] });
+    expect(cleanContext("page=1")).toEqual({ context: {}, problems: ["context must be an object"] });
+  });
+});
@@ -0,0 +1,55 @@
+import { describe, expect, it } from "vitest";
+import locales from "../../config/locales";
+import {
+  createTranslator,
+  detectLocale,
+  getDirection,
+  matchLocale,
+  parseAcceptLanguage,
+} from "../../lib/i18n";
+
+describe("parseAcceptLanguage", () => {
+  it("orders the languages by quality and drops q=0", () => {
+    expect(parseAcceptLanguage("en;q=0.5, fr-CH, fr;q=0.9, de;q=0")).toEqual(["fr-CH", "fr", "en"]);
+  });
+
+  it("reads a missing header as no preference", () => {
+    expect(parseAcceptLanguage(undefined)).toEqual([]);
+  });
+});
+
+describe("matchLocale", () => {
+  it("matches exactly, then by language", () => {
+    expect(matchLocale("ES")).toBe("es");
+    expect(matchLocale("es-MX")).toBe("es");
+    expect(matchLocale("de")).toBeNull();
+    expect(matchLocale("not a tag")).toBeNull();
+  });
+});
+
+describe("detectLocale", () => {
+  it("prefers the URL, then the persona, then the browser", () => {
+    const preferred = ["fr-CH", "en"];
+    expect(detectLocale({ requested: "ar", configured: "es", preferred })).toBe("ar");
+    expect(detectLocale({ requested: "xx", configured: "es", preferred })).toBe("es");
+    expect(detectLocale({ configured: "auto", preferred })).toBe("fr");
+    expect(detectLocale({ preferred: ["de"] })).toBe("en");
+  });
+});
+
+describe("createTranslator", () => {
+  it("fills in values and falls back to English, then the key", () => {
+    const t = createTranslator("fr");
+    expect(t("share.page.availableUntil", { date: "1 mai" })).toBe("disponible jusqu'au 1 mai");
+    expect(t("no.such.key")).toBe("no.such.key");
+  });
+
+  it("translates the share page in every locale", () => {
+    for (const locale of Object.keys(locales)) {
+      const t = createTranslator(locale);
+      expect(t("share.page.startChat")).not.toBe("share.page.startChat");
+    }
+    expect(getDirection("ar")).toBe("rtl");
+    expect(getDirection("en")).toBe("ltr");
+  });
+});
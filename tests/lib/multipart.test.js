@@ -0,0 +1,108 @@
+import { afterAll, beforeAll, describe, expect, it } from "vitest";
+import { readProxyBody } from "../../lib/multipart";
+import { startServer } from "../helpers";
+
+const limits = { maxFiles: 2, maxFileBytes: 10 };
+
+let server;
+
+// Answers with what readProxyBody read, or with its error the way the proxy does.
+beforeAll(async () => {
+  server = await startServer(async (req, res) => {
+    try {
+      const { body, files } = await readProxyBody(req, limits);
+      res.status(200).json({
+        body,
+        files: files.map(({ name, type, size, truncated }) => ({ name, type, size, truncated })),
+      });
+    } catch (error) {
+      res.setHeader("Connection", "close");
+      res.status(error.status || 500).json({ error: error.code, details: error.message });
+    }
+  });
+});
+
+afterAll(async () => {
+  await server.close();
+});
+
+/**
+ * Sends a multipart body with a payload field and attached files.
+ * @param {Object<string, string>} fields - The text fields.
+ * @param {{name: string, content: string}[]} [files] - The attachments.
+ * @returns {Promise<Response>}
+ */
+const sendForm = (fields, files = []) => {
+  const form = new FormData();
+  for (const [name, value] of Object.entries(fields)) form.append(name, value);
+  for (const { name, content } of files) {
+    form.append("attachments", new Blob([content], { type: "text/plain" }), name);
+  }
+  return fetch(server.url, { method: "POST", body: form });
+};
+
+describe("readProxyBody with JSON", () => {
+  it("parses the body", async () => {
+    const response = await fetch(server.url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ hello: "world" }),
+    });
+    expect(await response.json()).toEqual({ body: { hello: "world" }, files: [] });
+  });
+
+  it("refuses invalid JSON", async () => {
+    const response = await fetch(server.url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: "{nope",
+    });
+    expect(response.status).toBe(400);
+  });
+
+  it("sends the 413 for bodies over 1 MB to the client", async () => {
+    const response = await fetch(server.url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ text: "x".repeat(3 * 1024 * 1024) }),
+    });
+    expect(response.status).toBe(413);
+    expect(await response.json()).toEqual({ error: "INVALID_BODY", details: "The payload must be at most 1 MB" });
+  });
+});
+
+describe("readProxyBody with multipart", () => {
+  it("reads the payload and the files", async () => {
+    const response = await sendForm({ payload: JSON.stringify({ a: 1 }) }, [
+      { name: "a.txt", content: "hi" },
+      { name: "b.txt", content: "x".repeat(20) },
+    ]);
+    expect(await response.json()).toEqual({
+      body: { a: 1 },
+      files: [
+        { name: "a.txt", type: "text/plain", size: 2, truncated: false },
+        // Files over the limit are cut short and flagged.
+        { name: "b.txt", type: "text/plain", size: 11, truncated: true },
+      ],
+    });
+  });
+
+  it("refuses too many files", async () => {
+    const files = ["a", "b", "c"].map((name) => ({ name: `${name}.txt`, content: "hi" }));
+    const response = await sendForm({ payload: "{}" }, files);
+    expect(response.status).toBe(400);
+    expect((await response.json()).details).toBe("At most 2 files can be attached");
+  });
+
+  it("refuses a body without the payload field", async () => {
+    const response = await sendForm({}, [{ name: "a.txt", content: "hi" }]);
+    expect(response.status).toBe(400);
+    expect((await response.json()).details).toBe("The payload field is missing");
+  });
+
+  it("refuses extra fields", async () => {
+    const response = await sendForm({ payload: "{}", other: "x" });
+    expect(response.status).toBe(400);
+    expect((await response.json()).details).toBe("Only the payload field is accepted");
+  });
+});
@@ -0,0 +1,94 @@
+import { afterAll, beforeAll, describe, expect, it, vi } from "vitest";
+import { readSseStream } from "../../lib/sse";
+import { startServer } from "../helpers";
+
+// The proxy answers from the mock backend (lib/adapters/mock.js) and keeps
+// its transcripts in memory.
+vi.stubEnv("MOCK_BACKEND", "1");
+vi.stubEnv("TRANSCRIPT_STORE", "memory");
+
+let server;
+let getTranscriptStore;
+
+beforeAll(async () => {
+  const { handleProxyRequest } = await import("../../lib/proxy");
+  ({ getTranscriptStore } = await import("../../lib/transcripts"));
+  const { DEFAULT_PERSONA } = await import("../../lib/personas");
+  server = await startServer((req, res) => handleProxyRequest(req, res, DEFAULT_PERSONA));
+});
+
+afterAll(async () => {
+  await server.close();
+  vi.unstubAllEnvs();
+});
+
+/**
+ * Sends a JSON payload to the proxy.
+ * @param {Object} payload
+ * @returns {Promise<Response>}
+ */
+const send = (payload) =>
+  fetch(server.url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(payload),
+  });
+
+/**
+ * Builds a valid payload.
+ * @param {string} content - The visitor's message.
+ * @param {Object} [extra] - Fields to add or replace.
+ * @returns {Object}
+ */
+const payload = (content, extra = {}) => ({
+  user_id: "tester",
+  session_id: `session-${Math.random().toString(36).slice(2, 10)}`,
+  data: { message: { role: "user", content } },
+  ...extra,
+});
+
+describe("handleProxyRequest", () => {
+  it("relays a streamed reply as delta events and a done event", async () => {
+    const body = payload("hello there", { stream: true });
+    const res = await send(body);
+    expect(res.status).toBe(200);
+    expect(res.headers.get("content-type")).toContain("text/event-stream");
+
+    const events = [];
+    await readSseStream(res.body, ({ event, data }) => events.push({ event, data: JSON.parse(data) }));
+
+    const done = events.pop();
+    expect(done.event).toBe("done");
+    expect(done.data.content).toContain('This is a mock reply to "hello there"');
+    expect(events.length).toBeGreaterThan(1);
+    expect(events.every(({ event }) => event === "delta")).toBe(true);
+    expect(events.map(({ data }) => data.content).join("")).toBe(done.data.content);
+
+    // Both sides of the exchange are recorded.
+    const transcript = await getTranscriptStore().getTranscript(body.session_id);
+    expect(transcript.messages.map(({ role }) => role)).toEqual(["user", "agent"]);
+    expect(transcript.messages[1].content).toBe(done.data.content);
+  });
+
+  it("answers with JSON when the client doesn't stream", async () => {
+    const res = await send(payload("plain please"));
+    expect(res.status).toBe(200);
+    const data = await res.json();
+    expect(data.output_data.content).toContain('"plain please"');
+  });
+
+  it("rejects invalid payloads with the problem of each field", async () => {
+    const res = await send(payload("", { user_id: "not a valid id!" }));
+    expect(res.status).toBe(400);
+    const data = await res.json();
+    expect(Object.keys(data.fields)).toEqual(expect.arrayContaining(["user_id", "data.message.content"]));
+  });
+
+  it("reports backend errors with their details", async () => {
+    const consoleError = vi.spyOn(console, "error").mockImplementation(() => {});
+    const res = await send(payload("mock error"));
+    expect(res.status).toBe(500);
+    expect((await res.json()).details).toContain("error 500");
+    consoleError.mockRestore();
+  });
+});
@@ -0,0 +1,151 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import serverConfig from "../../config/server";
+import {
+  applyRateLimit,
+  createMemoryRateLimitStore,
+  getClientIp,
+  slideWindow,
+} from "../../lib/rateLimit";
+
+const HOUR = 60 * 60 * 1000;
+
+afterEach(() => {
+  vi.unstubAllEnvs();
+});
+
+/**
+ * Builds a request as the rate limiter sees it.
+ * @param {string} remoteAddress - The connection's address.
+ * @param {Object} [headers]
+ * @returns {Object}
+ */
+const request = (remoteAddress, headers = {}) => ({ headers, socket: { remoteAddress } });
+
+/**
+ * Builds a response that records what the rate limiter sends.
+ * @returns {Object}
+ */
+const response = () => {
+  const res = { headers: {}, statusCode: 200, body: null };
+  res.setHeader = (name, value) => {
+    res.headers[name] = value;
+  };
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    return res;
+  };
+  return res;
+};
+
+describe("slideWindow", () => {
+  const options = { limit: 2, windowMs: 1000 };
+
+  it("allows requests until the limit and records them", () => {
+    const first = slideWindow([], { ...options, now: 0 });
+    expect(first).toEqual({ timestamps: [0], allowed: true, retryAfterMs: 0 });
+    const second = slideWindow(first.timestamps, { ...options, now: 100 });
+    expect(second.allowed).toBe(true);
+  });
+
+  it("blocks at the limit without counting the blocked request", () => {
+    const result = slideWindow([0, 100], { ...options, now: 200 });
+    expect(result).toEqual({ timestamps: [0, 100], allowed: false, retryAfterMs: 800 });
+  });
+
+  it("forgets requests that left the window", () => {
+    const result = slideWindow([0, 100], { ...options, now: 1000 });
+    expect(result).toEqual({ timestamps: [100, 1000], allowed: true, retryAfterMs: 0 });
+  });
+});
+
+describe("createMemoryRateLimitStore", () => {
+  it("counts each key apart", async () => {
+    const store = createMemoryRateLimitStore();
+    const options = { limit: 1, windowMs: 1000, now: 0 };
+    expect((await store.hit("a", options)).allowed).toBe(true);
+    expect((await store.hit("a", options)).allowed).toBe(false);
+    expect((await store.hit("b", options)).allowed).toBe(true);
+  });
+
+  it("forgets keys idle for a day", async () => {
+    const store = createMemoryRateLimitStore();
+    // A window longer than a day, so only pruning can let "a" through again.
+    const options = { limit: 1, windowMs: 48 * HOUR };
+    await store.hit("a", { ...options, now: 0 });
+    expect((await store.hit("a", { ...options, now: HOUR })).allowed).toBe(false);
+
+    // Another key's request, a day later, sweeps "a" away.
+    await store.hit("b", { ...options, now: 25 * HOUR });
+    expect((await store.hit("a", { ...options, now: 25 * HOUR })).allowed).toBe(true);
+  });
+});
+
+describe("getClientIp", () => {
+  const headers = { "x-forwarded-for": "6.6.6.6, 203.0.113.7, 10.0.0.2" };
+
+  it("ignores X-Forwarded-For without trusted proxies", () => {
+    expect(getClientIp(request("10.0.0.1", headers), 0)).toBe("10.0.0.1");
+  });
+
+  it("takes the entry added by the outermost trusted proxy", () => {
+    expect(getClientIp(request("10.0.0.1", headers), 1)).toBe("10.0.0.2");
+    expect(getClientIp(request("10.0.0.1", headers), 2)).toBe("203.0.113.7");
+  });
+
+  it("never goes further left than the header", () => {
+    expect(getClientIp(request("10.0.0.1", headers), 5)).toBe("6.6.6.6");
+  });
+
+  it("falls back to the connection's address", () => {
+    expect(getClientIp(request("10.0.0.1"), 1)).toBe("10.0.0.1");
+  });
+
+  it("reads the number of proxies from TRUSTED_PROXIES, and trusts one on Vercel", () => {
+    vi.stubEnv("TRUSTED_PROXIES", "2");
+    expect(getClientIp(request("10.0.0.1", headers))).toBe("203.0.113.7");
+    vi.stubEnv("TRUSTED_PROXIES", "");
+    vi.stubEnv("VERCEL", "1");
+    expect(getClientIp(request("10.0.0.1", headers))).toBe("10.0.0.2");
+  });
+});
+
+describe("applyRateLimit", () => {
+  const { perIp, perUser } = serverConfig.rateLimit;
+
+  it("sends a 429 with Retry-After once an IP reaches its limit", async () => {
+    const req = request("192.0.2.1");
+    for (let i = 0; i < perIp.limit; i += 1) {
+      expect(await applyRateLimit(req, response())).toBe(true);
+    }
+    const res = response();
+    expect(await applyRateLimit(req, res)).toBe(false);
+    expect(res.statusCode).toBe(429);
+    expect(Number(res.headers["Retry-After"])).toBeGreaterThan(0);
+    expect(res.body.retry_after).toBe(Number(res.headers["Retry-After"]));
+  });
+
+  it("counts each scope apart", async () => {
+    const req = request("192.0.2.2");
+    for (let i = 0; i < perIp.limit; i += 1) await applyRateLimit(req, response());
+    expect(await applyRateLimit(req, response())).toBe(false);
+    expect(await applyRateLimit(req, response(), { scope: "events" })).toBe(true);
+  });
+
+  it("limits a user on any IP, and can skip the IP check", async () => {
+    for (let i = 0; i < perUser.limit; i += 1) {
+      expect(await applyRateLimit(request(`198.51.100.${i}`), response(), { userId: "busy" })).toBe(true);
+    }
+    expect(await applyRateLimit(request("198.51.100.200"), response(), { userId: "busy" })).toBe(false);
+
+    // The user check alone doesn't count against the IP.
+    const req = request("192.0.2.3");
+    await applyRateLimit(req, response(), { userId: "quiet", ip: false });
+    for (let i = 0; i < perIp.limit; i += 1) {
+      expect(await applyRateLimit(req, response())).toBe(true);
+    }
+  });
+});
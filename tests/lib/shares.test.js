@@ -0,0 +1,109 @@
+import { promises as fs } from "fs";
+import os from "os";
+import path from "path";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { listPersonaIds } from "../../lib/personas";
+import { createShare, getShare, isValidShareId, revokeShare, validateSharePayload } from "../../lib/shares";
+
+const persona = listPersonaIds()[0];
+
+let dataDir;
+
+beforeEach(async () => {
+  dataDir = await fs.mkdtemp(path.join(os.tmpdir(), "chai-shares-"));
+  vi.stubEnv("DATA_DIR", dataDir);
+});
+
+afterEach(async () => {
+  vi.unstubAllEnvs();
+  await fs.rm(dataDir, { recursive: true, force: true });
+});
+
+/**
+ * Stores a small shared conversation.
+ * @param {Object} [extra] - Fields added to the snapshot.
+ * @returns {Promise<{share: Object, revokeToken: string}>}
+ */
+const share = (extra = {}) =>
+  createShare({
+    persona,
+    title: "Pricing",
+    messages: [{ role: "user", content: "Price?", created_at: null }],
+    expires_in_days: null,
+    ...extra,
+  });
+
+describe("validateSharePayload", () => {
+  it("keeps only the snapshot fields", () => {
+    const { value, errors } = validateSharePayload({
+      persona,
+      title: " Pricing ",
+      session_id: "dropped",
+      messages: [{ role: "user", content: "Price?", createdAt: 0 }],
+    });
+    expect(errors).toBeNull();
+    expect(value).toEqual({
+      persona,
+      title: "Pricing",
+      messages: [{ role: "user", content: "Price?", created_at: "1970-01-01T00:00:00.000Z" }],
+      expires_in_days: null,
+    });
+  });
+
+  it("reports every problem by field", () => {
+    const { errors } = validateSharePayload({
+      persona: "nobody",
+      messages: [{ role: "system", content: "x" }],
+      expires_in_days: 0,
+    });
+    expect(Object.keys(errors).sort()).toEqual(["expires_in_days", "messages.0.role", "persona"]);
+  });
+});
+
+describe("createShare", () => {
+  it("returns the revoke token but only stores its hash", async () => {
+    const { share: created, revokeToken } = await share();
+    expect(isValidShareId(created.id)).toBe(true);
+    expect(revokeToken).toBeTruthy();
+
+    const stored = await fs.readFile(path.join(dataDir, `share-${created.id}.json`), "utf8");
+    expect(stored).not.toContain(revokeToken);
+    expect(JSON.parse(stored).revoke_token_hash).toMatch(/^[0-9a-f]{64}$/);
+  });
+
+  it("sets the expiry from the number of days", async () => {
+    const { share: created } = await share({ expires_in_days: 2 });
+    const days = (Date.parse(created.expires_at) - Date.parse(created.created_at)) / (24 * 60 * 60 * 1000);
+    expect(days).toBe(2);
+  });
+});
+
+describe("getShare", () => {
+  it("hides the revoke token hash", async () => {
+    const { share: created } = await share();
+    expect(await getShare(created.id)).toEqual(created);
+  });
+
+  it("returns null for unknown or invalid ids", async () => {
+    expect(await getShare("0".repeat(32))).toBeNull();
+    expect(await getShare("../secrets")).toBeNull();
+  });
+});
+
+describe("revokeShare", () => {
+  it("needs the revoke token", async () => {
+    const { share: created, revokeToken } = await share();
+    expect(await revokeShare(created.id, {})).toBe("forbidden");
+    expect(await revokeShare(created.id, { revokeToken: "wrong" })).toBe("forbidden");
+    expect(await getShare(created.id)).not.toBeNull();
+
+    expect(await revokeShare(created.id, { revokeToken })).toBe("revoked");
+    expect(await getShare(created.id)).toBeNull();
+    expect(await revokeShare(created.id, { revokeToken })).toBe("not_found");
+  });
+
+  it("lets an admin revoke without the token", async () => {
+    const { share: created } = await share();
+    expect(await revokeShare(created.id, { isAdmin: true })).toBe("revoked");
+  });
+});
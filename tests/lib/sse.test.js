@@ -0,0 +1,89 @@
+import { describe, expect, it } from "vitest";
+import { formatSseEvent, readSseStream } from "../../lib/sse";
+
+/**
+ * Builds a stream that delivers the given text pieces one chunk at a time.
+ * @param {string[]} pieces
+ * @returns {ReadableStream<Uint8Array>}
+ */
+const streamOf = (pieces) => {
+  const encoder = new TextEncoder();
+  return new ReadableStream({
+    start(controller) {
+      for (const piece of pieces) controller.enqueue(encoder.encode(piece));
+      controller.close();
+    },
+  });
+};
+
+/**
+ * Collects every event of a stream.
+ * @param {string[]} pieces
+ * @returns {Promise<{event: string, data: string}[]>}
+ */
+const readAll = async (pieces) => {
+  const events = [];
+  await readSseStream(streamOf(pieces), (event) => events.push(event));
+  return events;
+};
+
+describe("formatSseEvent", () => {
+  it("writes the event name and JSON data, ending with a blank line", () => {
+    expect(formatSseEvent("delta", { content: "Hi" })).toBe('event: delta\ndata: {"content":"Hi"}\n\n');
+  });
+
+  it("is read back by readSseStream", async () => {
+    const events = await readAll([formatSseEvent("done", { content: "a\nb" })]);
+    expect(events).toEqual([{ event: "done", data: '{"content":"a\\nb"}' }]);
+  });
+});
+
+describe("readSseStream", () => {
+  it("joins events split across chunks", async () => {
+    const events = await readAll(["event: del", "ta\ndata: {\"content\":", "\"Hel\"}\n", "\nevent: delta\ndata: x\n\n"]);
+    expect(events).toEqual([
+      { event: "delta", data: '{"content":"Hel"}' },
+      { event: "delta", data: "x" },
+    ]);
+  });
+
+  it("accepts CRLF line endings", async () => {
+    expect(await readAll(["data: one\r\n\r\ndata: two\r\n\r\n"])).toEqual([
+      { event: "message", data: "one" },
+      { event: "message", data: "two" },
+    ]);
+  });
+
+  it("skips comments and events without data", async () => {
+    expect(await readAll([": keep-alive\n\nevent: ping\n\ndata: kept\n\n"])).toEqual([
+      { event: "message", data: "kept" },
+    ]);
+  });
+
+  it("joins multi-line data with new lines", async () => {
+    expect(await readAll(["data: first\ndata: second\n\n"])).toEqual([
+      { event: "message", data: "first\nsecond" },
+    ]);
+  });
+
+  it("reads a last event that has no trailing blank line", async () => {
+    expect(await readAll(["data: a\n\ndata: tail"])).toEqual([
+      { event: "message", data: "a" },
+      { event: "message", data: "tail" },
+    ]);
+  });
+
+  it("decodes characters split between chunks", async () => {
+    const bytes = new TextEncoder().encode("data: héllo\n\n");
+    const body = new ReadableStream({
+      start(controller) {
+        controller.enqueue(bytes.slice(0, 8)); // ends halfway through "é"
+        controller.enqueue(bytes.slice(8));
+        controller.close();
+      },
+    });
+    const events = [];
+    await readSseStream(body, (event) => events.push(event));
+    expect(events).toEqual([{ event: "message", data: "héllo" }]);
+  });
+});
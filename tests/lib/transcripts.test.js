@@ -0,0 +1,107 @@
+import { promises as fs } from "fs";
+import os from "os";
+import path from "path";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { createFileTranscriptStore, createMemoryTranscriptStore } from "../../lib/transcripts";
+
+let dataDir;
+
+beforeEach(async () => {
+  dataDir = await fs.mkdtemp(path.join(os.tmpdir(), "chai-transcripts-"));
+  vi.stubEnv("DATA_DIR", dataDir);
+});
+
+afterEach(async () => {
+  vi.unstubAllEnvs();
+  await fs.rm(dataDir, { recursive: true, force: true });
+});
+
+/**
+ * Builds a message for appendMessage.
+ * @param {string} sessionId
+ * @param {string} role
+ * @param {string} content
+ * @param {Object} [extra]
+ * @returns {Object}
+ */
+const message = (sessionId, role, content, extra = {}) => ({
+  persona: "chai",
+  sessionId,
+  userId: "visitor",
+  role,
+  content,
+  ...extra,
+});
+
+describe("createFileTranscriptStore", () => {
+  it("keeps each session in its own file", async () => {
+    const store = createFileTranscriptStore();
+    await store.appendMessage(message("s1", "user", "Hello"));
+    await store.appendMessage(message("s2", "user", "Other"));
+    await store.appendMessage(message("s1", "agent", "Hi!"));
+
+    const transcript = await store.getTranscript("s1");
+    expect(transcript.messages.map(({ content }) => content)).toEqual(["Hello", "Hi!"]);
+
+    const s1File = await fs.readFile(path.join(dataDir, "transcripts", "s1.jsonl"), "utf8");
+    expect(s1File).not.toContain("Other");
+  });
+
+  it("lists every session from the combined file", async () => {
+    const store = createFileTranscriptStore();
+    await store.appendMessage(message("s1", "user", "First"));
+    await store.appendMessage(message("s2", "user", "Second"));
+
+    const sessions = await store.listSessions();
+    expect(sessions.map(({ session_id }) => session_id).sort()).toEqual(["s1", "s2"]);
+    expect(sessions.find(({ session_id }) => session_id === "s1").first_message).toBe("First");
+  });
+
+  it("copies messages recorded before the per-session files once", async () => {
+    const older = {
+      session_id: "old",
+      user_id: "visitor",
+      persona: "chai",
+      role: "user",
+      content: "From before",
+      created_at: "2026-01-01T00:00:00.000Z",
+    };
+    await fs.writeFile(path.join(dataDir, "transcripts.jsonl"), `${JSON.stringify(older)}\n`);
+
+    const store = createFileTranscriptStore();
+    expect((await store.getTranscript("old")).messages[0].content).toBe("From before");
+    await store.appendMessage(message("old", "agent", "Reply"));
+
+    // A new process doesn't copy them a second time.
+    const restarted = createFileTranscriptStore();
+    expect((await restarted.getTranscript("old")).messages.map(({ content }) => content)).toEqual([
+      "From before",
+      "Reply",
+    ]);
+  });
+
+  it("returns null for unknown sessions and ids that can't name a file", async () => {
+    const store = createFileTranscriptStore();
+    expect(await store.getTranscript("missing")).toBeNull();
+    expect(await store.getTranscript("../secrets")).toBeNull();
+  });
+
+  it("marks seeded messages", async () => {
+    const store = createFileTranscriptStore();
+    await store.appendMessage(message("s1", "agent", "Made up", { seeded: true }));
+    await store.appendMessage(message("s1", "user", "Real"));
+
+    const [seeded, real] = (await store.getTranscript("s1")).messages;
+    expect(seeded.seeded).toBe(true);
+    expect(real).not.toHaveProperty("seeded");
+  });
+});
+
+describe("createMemoryTranscriptStore", () => {
+  it("keeps attachments of user messages", async () => {
+    const store = createMemoryTranscriptStore();
+    const attachments = [{ name: "a.png", type: "image/png", size: 10 }];
+    await store.appendMessage(message("s1", "user", "See this", { attachments }));
+    expect((await store.getTranscript("s1")).messages[0].attachments).toEqual(attachments);
+  });
+});
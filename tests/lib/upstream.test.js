@@ -0,0 +1,135 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { fetchWithRetry } from "../../lib/upstream";
+
+// Quick settings, so retries don't slow the tests down.
+const settings = { timeoutMs: 200, retries: 2, backoffMs: 1 };
+
+beforeEach(() => {
+  vi.spyOn(console, "warn").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+/**
+ * Builds a fake fetch that answers with the given statuses in turn, and
+ * remembers whether each response's body was cancelled.
+ * @param {number[]} statuses
+ * @returns {{fetch: Function, calls: Object[]}}
+ */
+const fakeBackend = (statuses) => {
+  const calls = [];
+  const fetch = async (url, init) => {
+    const call = { init, cancelled: false };
+    calls.push(call);
+    const body = new ReadableStream({
+      cancel() {
+        call.cancelled = true;
+      },
+    });
+    return new Response(body, { status: statuses[calls.length - 1] });
+  };
+  return { fetch, calls };
+};
+
+/**
+ * Wraps an AbortSignal so the tests can count its "abort" listeners.
+ * @param {AbortSignal} signal
+ * @returns {{signal: AbortSignal, listeners: () => number}}
+ */
+const countListeners = (signal) => {
+  const live = new Set();
+  const add = signal.addEventListener.bind(signal);
+  const remove = signal.removeEventListener.bind(signal);
+  signal.addEventListener = (type, listener, options) => {
+    if (type === "abort") live.add(listener);
+    add(type, listener, options);
+  };
+  signal.removeEventListener = (type, listener, options) => {
+    if (type === "abort") live.delete(listener);
+    remove(type, listener, options);
+  };
+  return { signal, listeners: () => live.size };
+};
+
+describe("fetchWithRetry", () => {
+  it("returns the first response that isn't worth retrying", async () => {
+    const backend = fakeBackend([200]);
+    const response = await fetchWithRetry("https://flow", {}, { ...settings, fetch: backend.fetch });
+    expect(response.status).toBe(200);
+    expect(backend.calls).toHaveLength(1);
+  });
+
+  it("retries 502, 503 and 504, cancelling the dropped responses", async () => {
+    const backend = fakeBackend([502, 503, 200]);
+    const response = await fetchWithRetry("https://flow", {}, { ...settings, fetch: backend.fetch });
+    expect(response.status).toBe(200);
+    expect(backend.calls.map(({ cancelled }) => cancelled)).toEqual([true, true, false]);
+  });
+
+  it("returns the last error response once the retries are used up", async () => {
+    const backend = fakeBackend([503, 503, 504]);
+    const response = await fetchWithRetry("https://flow", {}, { ...settings, fetch: backend.fetch });
+    expect(response.status).toBe(504);
+    expect(backend.calls).toHaveLength(3);
+  });
+
+  it("doesn't retry other errors", async () => {
+    const backend = fakeBackend([500]);
+    const response = await fetchWithRetry("https://flow", {}, { ...settings, fetch: backend.fetch });
+    expect(response.status).toBe(500);
+    expect(backend.calls).toHaveLength(1);
+  });
+
+  it("times out attempts that get no response", async () => {
+    const hang = (url, init) =>
+      new Promise((resolve, reject) => {
+        init.signal.addEventListener("abort", () => reject(init.signal.reason));
+      });
+    await expect(
+      fetchWithRetry("https://flow", {}, { ...settings, retries: 0, timeoutMs: 20, fetch: hang })
+    ).rejects.toMatchObject({ code: "UPSTREAM_TIMEOUT" });
+  });
+
+  it("retries network errors", async () => {
+    let calls = 0;
+    const flaky = async () => {
+      calls += 1;
+      if (calls === 1) throw new TypeError("fetch failed");
+      return new Response("ok");
+    };
+    const response = await fetchWithRetry("https://flow", {}, { ...settings, fetch: flaky });
+    expect(await response.text()).toBe("ok");
+    expect(calls).toBe(2);
+  });
+
+  it("stops right away when the caller aborts", async () => {
+    const controller = new AbortController();
+    const backend = fakeBackend([503, 503, 200]);
+    const fetch = async (url, init) => {
+      const response = await backend.fetch(url, init);
+      controller.abort(new Error("client left"));
+      return response;
+    };
+    await expect(
+      fetchWithRetry("https://flow", {}, { ...settings, backoffMs: 50, signal: controller.signal, fetch })
+    ).rejects.toThrow("client left");
+    expect(backend.calls).toHaveLength(1);
+  });
+
+  it("leaves a listener on the caller's signal only for the response it returns", async () => {
+    const { signal, listeners } = countListeners(new AbortController().signal);
+    const backend = fakeBackend([503, 502, 200]);
+    await fetchWithRetry("https://flow", {}, { ...settings, signal, fetch: backend.fetch });
+    expect(listeners()).toBe(1);
+  });
+
+  it("lets the caller's signal abort the returned response", async () => {
+    const controller = new AbortController();
+    const backend = fakeBackend([200]);
+    await fetchWithRetry("https://flow", {}, { ...settings, signal: controller.signal, fetch: backend.fetch });
+    controller.abort();
+    expect(backend.calls[0].init.signal.aborted).toBe(true);
+  });
+});
@@ -0,0 +1,160 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import {
+  getAttachmentLimits,
+  getHistoryLimits,
+  getMaxMessageLength,
+  isValidId,
+  validateAttachments,
+  validateProxyPayload,
+} from "../../lib/validation";
+
+afterEach(() => {
+  vi.unstubAllEnvs();
+});
+
+/**
+ * Builds a valid payload, with some fields added or replaced.
+ * @param {Object} [extra]
+ * @returns {Object}
+ */
+const payload = (extra = {}) => ({
+  user_id: "visitor-1",
+  session_id: "session_1",
+  data: { message: { role: "user", content: "Hello" } },
+  ...extra,
+});
+
+describe("isValidId", () => {
+  it("accepts 1-32 letters, digits, '-' or '_'", () => {
+    expect(isValidId("a")).toBe(true);
+    expect(isValidId("A_b-9".padEnd(32, "x"))).toBe(true);
+    expect(isValidId("")).toBe(false);
+    expect(isValidId("x".repeat(33))).toBe(false);
+    expect(isValidId("a b")).toBe(false);
+    expect(isValidId(42)).toBe(false);
+  });
+});
+
+describe("validateProxyPayload", () => {
+  it("keeps only the known fields and fills in the defaults", () => {
+    const { value, errors } = validateProxyPayload(payload({ extra: "dropped", verbose: false }));
+    expect(errors).toBeNull();
+    expect(value).toEqual({
+      data: { message: { role: "user", content: "Hello" } },
+      stateful: true,
+      stream: false,
+      user_id: "visitor-1",
+      session_id: "session_1",
+      verbose: false,
+    });
+  });
+
+  it("refuses bodies that aren't objects", () => {
+    expect(validateProxyPayload(null).errors).toEqual({ body: "must be a JSON object" });
+    expect(validateProxyPayload([]).errors).toEqual({ body: "must be a JSON object" });
+  });
+
+  it("reports every problem by field", () => {
+    const { value, errors } = validateProxyPayload({
+      user_id: "bad id",
+      data: { message: { role: "assistant", content: "  " } },
+      stream: "yes",
+      verbose: true,
+    });
+    expect(value).toBeNull();
+    expect(Object.keys(errors).sort()).toEqual([
+      "data.message.content",
+      "data.message.role",
+      "session_id",
+      "stream",
+      "user_id",
+      "verbose",
+    ]);
+  });
+
+  it("limits the message length, with the MAX_MESSAGE_LENGTH override", () => {
+    vi.stubEnv("MAX_MESSAGE_LENGTH", "10");
+    expect(getMaxMessageLength()).toBe(10);
+    const { errors } = validateProxyPayload(payload({ data: { message: { role: "user", content: "x".repeat(11) } } }));
+    expect(errors).toEqual({ "data.message.content": "must be at most 10 characters" });
+  });
+
+  it("accepts flat variables and a valid locale", () => {
+    const variables = { page: "pricing", plan: 2, trial: true, locale: "pt-BR" };
+    const { value } = validateProxyPayload(payload({ data: { message: { role: "user", content: "Hi" }, variables } }));
+    expect(value.data.variables).toEqual(variables);
+  });
+
+  it("refuses nested variables and bad locales", () => {
+    const variables = { user: { id: 1 }, locale: "not a tag" };
+    const { errors } = validateProxyPayload(payload({ data: { message: { role: "user", content: "Hi" }, variables } }));
+    expect(errors).toEqual({
+      "data.variables.user": "must be a string, number or boolean",
+      "data.variables.locale": 'must be a language tag such as "en" or "pt-BR"',
+    });
+  });
+
+  it("checks the earlier messages against the history limits", () => {
+    const { maxMessages, maxContentLength } = getHistoryLimits();
+    const message = { role: "user", content: "Hi" };
+
+    const ok = validateProxyPayload(
+      payload({ data: { message, messages: [{ role: "user", content: "Q" }, { role: "assistant", content: "A" }] } })
+    );
+    expect(ok.value.data.messages).toHaveLength(2);
+
+    const tooMany = Array.from({ length: maxMessages + 1 }, () => ({ role: "user", content: "Q" }));
+    expect(validateProxyPayload(payload({ data: { message, messages: tooMany } })).errors).toHaveProperty(
+      "data.messages"
+    );
+
+    const tooLong = [{ role: "assistant", content: "x".repeat(maxContentLength + 1) }, { role: "agent", content: "" }];
+    expect(Object.keys(validateProxyPayload(payload({ data: { message, messages: tooLong } })).errors)).toEqual([
+      "data.messages.0.content",
+      "data.messages.1.role",
+    ]);
+  });
+});
+
+describe("validateAttachments", () => {
+  const limits = { maxFiles: 2, maxFileBytes: 100, allowedTypes: ["image/png", "text/plain"] };
+  const png = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0]);
+
+  it("accepts files within the limits", () => {
+    const files = [
+      { name: "a.png", type: "image/png", size: png.length, data: png, truncated: false },
+      { name: "b.txt", type: "text/plain", size: 2, data: Buffer.from("hi"), truncated: false },
+    ];
+    const { value, errors } = validateAttachments(files, limits);
+    expect(errors).toBeNull();
+    expect(value.map(({ name }) => name)).toEqual(["a.png", "b.txt"]);
+  });
+
+  it("refuses files when attachments are off", () => {
+    const files = [{ name: "b.txt", type: "text/plain", size: 2, data: Buffer.from("hi") }];
+    expect(validateAttachments(files, null).errors).toEqual({ attachments: "are turned off" });
+  });
+
+  it("reports the problem with each file", () => {
+    const files = [
+      { name: "fake.png", type: "image/png", size: 4, data: Buffer.from("text"), truncated: false },
+      { name: "big.txt", type: "text/plain", size: 101, data: Buffer.alloc(101), truncated: true },
+      { name: "app.exe", type: "application/octet-stream", size: 4, data: Buffer.alloc(4), truncated: false },
+    ];
+    expect(validateAttachments(files, limits).errors).toEqual({
+      attachments: "must be at most 2 files",
+      "attachments.0": "is not a valid image/png file",
+      "attachments.1": "must be at most 100 bytes",
+      "attachments.2": "must be one of image/png, text/plain",
+    });
+  });
+});
+
+describe("getAttachmentLimits", () => {
+  it("can be turned off and resized from the environment", () => {
+    vi.stubEnv("MAX_ATTACHMENT_BYTES", "1234");
+    expect(getAttachmentLimits().maxFileBytes).toBe(1234);
+    vi.stubEnv("ATTACHMENTS_ENABLED", "false");
+    expect(getAttachmentLimits()).toBeNull();
+  });
+});